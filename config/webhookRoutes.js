@@ -0,0 +1,174 @@
+const fs = require("fs");
+
+// ===============================================
+// WEBHOOK ROUTING CONFIG
+//
+// Which webhook targets receive which events. Rules come from
+// WEBHOOK_ROUTES (JSON) or WEBHOOK_ROUTES_FILE (path to a JSON file):
+//
+// [
+//   {
+//     "name": "lg-schemes",
+//     "events": ["claim.created"],            // default: claim.created
+//     "match": {
+//       "supplier": ["LG*", "LG Electronics"], // case-insensitive, * wildcard
+//       "schemeFrom": "2025-04-01",           // claim scheme dates must
+//       "schemeTo": "2026-03-31",             //   fall inside this range
+//       "claimType": ["monthly_scheme"]       // see claimTypeOf()
+//     },
+//     "targets": [
+//       "https://lg.example.com/claims",
+//       { "url": "https://erp.example.com/hooks",
+//         "transform": { "pick": ["claimNumber", "items"] },
+//         "fileDelivery": "multipart" }
+//     ],
+//     "transform": { "envelope": "claim" }    // default for plain-URL targets
+//   }
+// ]
+//
+// Transforms run in order: pick, omit, rename {from: to},
+// set {field: constant}, envelope "<key>" → { event, <key>: payload }.
+//
+// Events no rule matches go to the defaults:
+//   claim.*                          → WEBHOOK_URLS
+//   vendor.*, purchase_request.*     → VENDOR_WEBHOOK_URLS
+//
+// Claim attachments reach a target as a signed download URL in the
+// payload ("url") or as a multipart part ("multipart"); per target
+// fileDelivery, else WEBHOOK_FILE_DELIVERY (default "url").
+// WEBHOOK_CLAIM_PDF=true adds the claim statement PDF the same way
+// (payload "document" / multipart part "document").
+// ===============================================
+
+const DEFAULT_EVENTS = ["claim.created"];
+const MATCH_KEYS = ["supplier", "schemeFrom", "schemeTo", "claimType"];
+const TRANSFORM_KEYS = ["pick", "omit", "rename", "set", "envelope"];
+const FILE_DELIVERY_MODES = ["url", "multipart"];
+
+function parseUrlList(value) {
+  return String(value || "")
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+const asList = (value) =>
+  value === undefined ? undefined : [].concat(value).map(String);
+
+function fail(rule, message) {
+  throw new Error(`Webhook route "${rule}": ${message}`);
+}
+
+function checkTransform(name, transform) {
+  if (transform === undefined) return undefined;
+  if (!transform || typeof transform !== "object") {
+    fail(name, "transform must be an object");
+  }
+  const unknown = Object.keys(transform).filter(
+    (k) => !TRANSFORM_KEYS.includes(k),
+  );
+  if (unknown.length > 0) {
+    fail(name, `unknown transform step(s): ${unknown.join(", ")}`);
+  }
+  return transform;
+}
+
+function checkDate(name, value, field) {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    fail(name, `match.${field} must be YYYY-MM-DD`);
+  }
+  return value;
+}
+
+function normalizeRule(raw, index) {
+  const name = raw?.name || `#${index + 1}`;
+  if (!raw || typeof raw !== "object") fail(name, "must be an object");
+
+  const match = raw.match || {};
+  const unknown = Object.keys(match).filter((k) => !MATCH_KEYS.includes(k));
+  if (unknown.length > 0) {
+    fail(name, `unknown match key(s): ${unknown.join(", ")}`);
+  }
+
+  const targets = [].concat(raw.targets || []).map((target) => {
+    const url = typeof target === "string" ? target : target?.url;
+    try {
+      new URL(url);
+    } catch {
+      fail(name, `invalid target URL "${url}"`);
+    }
+    const fileDelivery = target?.fileDelivery;
+    if (fileDelivery && !FILE_DELIVERY_MODES.includes(fileDelivery)) {
+      fail(
+        name,
+        `fileDelivery must be one of: ${FILE_DELIVERY_MODES.join(", ")}`,
+      );
+    }
+    return {
+      url,
+      transform: checkTransform(
+        name,
+        typeof target === "string" ? raw.transform : target.transform,
+      ),
+      fileDelivery: fileDelivery || null,
+    };
+  });
+  if (targets.length === 0) fail(name, "needs at least one target");
+
+  return {
+    name,
+    events: asList(raw.events) || DEFAULT_EVENTS,
+    match: {
+      supplier: asList(match.supplier),
+      schemeFrom: checkDate(name, match.schemeFrom, "schemeFrom"),
+      schemeTo: checkDate(name, match.schemeTo, "schemeTo"),
+      claimType: asList(match.claimType),
+    },
+    targets,
+  };
+}
+
+function readRules(env) {
+  if (env.WEBHOOK_ROUTES_FILE) {
+    return JSON.parse(fs.readFileSync(env.WEBHOOK_ROUTES_FILE, "utf8"));
+  }
+  return env.WEBHOOK_ROUTES ? JSON.parse(env.WEBHOOK_ROUTES) : [];
+}
+
+function loadWebhookRoutes(env = process.env) {
+  let rules;
+  try {
+    rules = readRules(env);
+  } catch (error) {
+    throw new Error(`Webhook routes are not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error("Webhook routes must be a JSON array of rules");
+  }
+
+  const fileDelivery = env.WEBHOOK_FILE_DELIVERY || "url";
+  if (!FILE_DELIVERY_MODES.includes(fileDelivery)) {
+    throw new Error(
+      `WEBHOOK_FILE_DELIVERY must be one of: ${FILE_DELIVERY_MODES.join(", ")}`,
+    );
+  }
+
+  return {
+    rules: rules.map(normalizeRule),
+    defaults: {
+      claim: parseUrlList(env.WEBHOOK_URLS),
+      vendor: parseUrlList(env.VENDOR_WEBHOOK_URLS),
+      fileDelivery,
+      claimPdf: env.WEBHOOK_CLAIM_PDF === "true",
+    },
+  };
+}
+
+const webhookRoutes = loadWebhookRoutes();
+
+module.exports = {
+  webhookRoutes,
+  loadWebhookRoutes,
+  parseUrlList,
+};
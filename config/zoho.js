@@ -0,0 +1,128 @@
+// ===============================================
+// ZOHO DATA CENTRE CONFIG
+//
+// ZOHO_DC picks the region; accounts + API hosts are derived
+// from it. Accepts "in", ".in", "zoho.in", "zohoapis.in",
+// "com.au", "au", ... (case-insensitive).
+//
+// ZOHO_BASE_URL is intentionally not read: it predates ZOHO_DC and
+// can disagree with it. Use ZOHO_API_VERSIONS for versions instead.
+//
+// Offline development: ZOHO_EMULATOR=true sends every call to the
+// local emulator (dev/zohoEmulator.js) mounted on this server, or
+// ZOHO_ACCOUNTS_URL / ZOHO_API_URL point at one running elsewhere.
+// ===============================================
+
+const DATA_CENTRES = {
+  in: { accounts: "https://accounts.zoho.in", api: "https://www.zohoapis.in" },
+  com: {
+    accounts: "https://accounts.zoho.com",
+    api: "https://www.zohoapis.com",
+  },
+  eu: { accounts: "https://accounts.zoho.eu", api: "https://www.zohoapis.eu" },
+  "com.au": {
+    accounts: "https://accounts.zoho.com.au",
+    api: "https://www.zohoapis.com.au",
+  },
+  jp: { accounts: "https://accounts.zoho.jp", api: "https://www.zohoapis.jp" },
+};
+
+const DC_ALIASES = { us: "com", au: "com.au" };
+
+const EMULATOR_MOUNT = "/__zoho";
+
+const DEFAULT_DC = "in";
+const DEFAULT_API_VERSION = "v2";
+
+function normalizeDc(value) {
+  const dc = String(value || DEFAULT_DC)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^(www\.)?(accounts\.)?(zohoapis|zoho)?\.?/, "");
+
+  const resolved = DC_ALIASES[dc] || dc;
+  if (!DATA_CENTRES[resolved]) {
+    throw new Error(
+      `Unsupported ZOHO_DC "${value}" (expected one of: ${Object.keys(DATA_CENTRES).join(", ")})`,
+    );
+  }
+  return resolved;
+}
+
+// "Vendors=v6,Purchase_Requests=v6" → { Vendors: "v6", Purchase_Requests: "v6" }
+function parseVersionMap(value) {
+  const map = {};
+  String(value || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [module, version] = pair.split("=").map((s) => s.trim());
+      if (module && version) map[module] = version;
+    });
+  return map;
+}
+
+function resolveZohoConfig(env = process.env) {
+  const dc = normalizeDc(env.ZOHO_DC);
+  const emulator = env.ZOHO_EMULATOR === "true";
+
+  const emulatorUrl = `http://127.0.0.1:${env.PORT || 5000}${EMULATOR_MOUNT}`;
+  const hosts = emulator
+    ? { accounts: emulatorUrl, api: emulatorUrl }
+    : DATA_CENTRES[dc];
+
+  const accountsUrl = env.ZOHO_ACCOUNTS_URL || hosts.accounts;
+  const apiUrl = env.ZOHO_API_URL || hosts.api;
+
+  const modules = {
+    contacts: "Contacts",
+    products: "Products",
+    cashSlips: "Cash_Slips",
+    trail: "Trial",
+    vendors: env.ZOHO_VENDORS_MODULE_ID || "Vendors",
+    purchaseRequests:
+      env.ZOHO_PURCHASE_REQUESTS_MODULE_ID || "Purchase_Requests",
+    // Counter records for services/sequencer.js (SEQUENCE_STORE=zoho)
+    ...(env.SEQUENCE_STORE === "zoho" && {
+      sequences: env.ZOHO_SEQUENCES_MODULE || "Sequences",
+    }),
+    // Claim records with a Vendor lookup (services/claimZoho.js)
+    ...(env.ZOHO_CLAIMS_MODULE && { claims: env.ZOHO_CLAIMS_MODULE }),
+  };
+
+  // Vendor + purchase request code was written against v6; the rest on v2
+  const apiVersions = {
+    [modules.vendors]: "v6",
+    [modules.purchaseRequests]: "v6",
+    ...parseVersionMap(env.ZOHO_API_VERSIONS),
+  };
+
+  return {
+    dc,
+    emulator,
+    emulatorMount: EMULATOR_MOUNT,
+    accountsUrl,
+    apiUrl,
+    crmUrl: `${apiUrl}/crm`,
+    defaultApiVersion: env.ZOHO_API_VERSION || DEFAULT_API_VERSION,
+    apiVersions,
+    modules,
+  };
+}
+
+const zohoConfig = resolveZohoConfig();
+
+// API version for a request path ("Vendors/search" → "v6")
+function apiVersionFor(path) {
+  const module = String(path).replace(/^\//, "").split("/")[0];
+  return zohoConfig.apiVersions[module] || zohoConfig.defaultApiVersion;
+}
+
+module.exports = {
+  zohoConfig,
+  resolveZohoConfig,
+  apiVersionFor,
+  DATA_CENTRES,
+};
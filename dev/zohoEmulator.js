@@ -0,0 +1,576 @@
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+const { logger } = require("../services/logger");
+
+// ===============================================
+// LOCAL ZOHO CRM EMULATOR
+//
+// In-process stand-in for accounts.zoho.* + zohoapis.* covering the
+// subset this backend uses: OAuth token/consent, module CRUD, /search
+// with criteria, attachments, and Zoho's 204-on-empty behaviour.
+//
+// Turn it on with ZOHO_EMULATOR=true – index.js mounts it at /__zoho
+// and config/zoho.js points every Zoho call there. Or run it on its own:
+//   npm run zoho-emulator   (ZOHO_EMULATOR_PORT, default 5055)
+// and set ZOHO_ACCOUNTS_URL / ZOHO_API_URL to http://localhost:5055.
+//
+// Data is in memory; ZOHO_EMULATOR_SEED=<file.json> preloads
+// { "Products": [ {...} ], "Contacts": [ ... ] }.
+// ===============================================
+
+const DEFAULT_MODULES = [
+  "Contacts",
+  "Vendors",
+  "Products",
+  "Cash_Slips",
+  "Trial",
+  "Purchase_Requests",
+];
+
+const OWNER = { id: "1000000000000000001", name: "Emulator User" };
+
+const DEFAULT_SEED = {
+  Products: [
+    {
+      Product_Name: "LG 1.5 Ton Split AC",
+      SKU: "LG-AC-15",
+      Unit_Price: 42990,
+      Product_Category: "Air Conditioner",
+      Brand: "LG",
+    },
+    {
+      Product_Name: "Samsung 253L Refrigerator",
+      SKU: "SS-RF-253",
+      Unit_Price: 27490,
+      Product_Category: "Refrigerator",
+      Brand: "Samsung",
+    },
+  ],
+  Contacts: [
+    {
+      First_Name: "Demo",
+      Last_Name: "Customer",
+      Mobile: "9876543210",
+      Email: "demo.customer@example.com",
+      Mailing_Street: "MG Road",
+      Location: "DB",
+    },
+  ],
+};
+
+const zohoError = (code, message, details = {}) => ({
+  code,
+  details,
+  message,
+  status: "error",
+});
+
+let idCounter = BigInt(Date.now()) * 1000n;
+const nextId = () => String(++idCounter);
+
+const nowIso = () => new Date().toISOString().slice(0, 19) + "+05:30";
+
+// ---------------- criteria ----------------
+
+// Values come escaped by escapeCriteria (services/zohoClient.js):
+// "\(", "\)", "\," and "\\" are literal characters, not syntax
+
+// Index of the next unescaped `char` from `from` on, -1 if none
+function findUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+}
+
+function splitUnescaped(text, char) {
+  const parts = [];
+  let start = 0;
+  let end;
+  while ((end = findUnescaped(text, char, start)) !== -1) {
+    parts.push(text.slice(start, end));
+    start = end + 1;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+const unescapeValue = (value) => value.replace(/\\(.)/g, "$1");
+
+// "((A:equals:x)and(B:starts_with:y))" → predicate(record)
+function parseCriteria(criteria) {
+  let pos = 0;
+  const text = String(criteria).trim();
+
+  function parseGroup() {
+    if (text[pos] !== "(") throw new Error("expected (");
+    pos++;
+
+    let predicate;
+    if (text[pos] === "(") {
+      predicate = parseGroup();
+      while (text.startsWith("and", pos) || text.startsWith("or", pos)) {
+        const op = text.startsWith("and", pos) ? "and" : "or";
+        pos += op.length;
+        const left = predicate;
+        const right = parseGroup();
+        predicate =
+          op === "and"
+            ? (r) => left(r) && right(r)
+            : (r) => left(r) || right(r);
+      }
+    } else {
+      const end = findUnescaped(text, ")", pos);
+      if (end === -1) throw new Error("unbalanced )");
+      predicate = parseCondition(text.slice(pos, end));
+      pos = end;
+    }
+
+    if (text[pos] !== ")") throw new Error("expected )");
+    pos++;
+    return predicate;
+  }
+
+  const predicate = parseGroup();
+  if (pos !== text.length) throw new Error("trailing input");
+  return predicate;
+}
+
+function fieldValue(record, field) {
+  const value = record[field];
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return value.id ?? value.name;
+  }
+  return value;
+}
+
+function parseCondition(condition) {
+  const [field, operator, ...rest] = condition.split(":");
+  const raw = rest.join(":");
+  const expected = unescapeValue(raw);
+  const list = () => splitUnescaped(raw, ",").map(unescapeValue);
+  const lower = (v) => String(v ?? "").toLowerCase();
+
+  const compare = (r) => Number(fieldValue(r, field));
+  switch (operator) {
+    case "equals":
+      return (r) => lower(fieldValue(r, field)) === lower(expected);
+    case "not_equal":
+      return (r) => lower(fieldValue(r, field)) !== lower(expected);
+    case "starts_with":
+      return (r) => lower(fieldValue(r, field)).startsWith(lower(expected));
+    case "in": {
+      const values = list().map(lower);
+      return (r) => values.includes(lower(fieldValue(r, field)));
+    }
+    case "greater_than":
+      return (r) => compare(r) > Number(expected);
+    case "greater_equal":
+      return (r) => compare(r) >= Number(expected);
+    case "less_than":
+      return (r) => compare(r) < Number(expected);
+    case "less_equal":
+      return (r) => compare(r) <= Number(expected);
+    // Dates/datetimes in one format compare as strings
+    case "between": {
+      const [low, high] = list();
+      return (r) => {
+        const value = String(fieldValue(r, field) ?? "");
+        return value !== "" && value >= low && value <= high;
+      };
+    }
+    default:
+      throw new Error(`unsupported operator ${operator}`);
+  }
+}
+
+// ---------------- emulator app ----------------
+
+// unique: { Module: ["Field"] } – fields set to "Do not allow duplicate
+// values"; inserts repeating one fail with DUPLICATE_DATA
+function createZohoEmulator({
+  modules = DEFAULT_MODULES,
+  seed = DEFAULT_SEED,
+  unique = {},
+} = {}) {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  const store = new Map(modules.map((m) => [m, new Map()]));
+  const attachments = new Map(); // recordId → [attachment]
+  const accessTokens = new Set();
+  const authCodes = new Set();
+
+  function insert(module, data) {
+    const id = nextId();
+    const record = {
+      ...data,
+      id,
+      Owner: data.Owner || OWNER,
+      Created_Time: nowIso(),
+      Modified_Time: nowIso(),
+    };
+    store.get(module).set(id, record);
+    return record;
+  }
+
+  Object.entries(seed || {}).forEach(([module, records]) => {
+    if (!store.has(module)) store.set(module, new Map());
+    records.forEach((r) => insert(module, r));
+  });
+
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.urlencoded({ extended: false }));
+
+  // ----- OAuth -----
+
+  // Consent screen: auto-approve and bounce straight back with a code
+  app.get("/oauth/v2/auth", (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.query;
+    if (!redirectUri) {
+      return res.status(400).json({ error: "invalid_redirect_uri" });
+    }
+
+    const code = `1000.${crypto.randomBytes(16).toString("hex")}`;
+    authCodes.add(code);
+
+    const url = new URL(redirectUri);
+    url.searchParams.set("code", code);
+    if (state) url.searchParams.set("state", state);
+    res.redirect(url.toString());
+  });
+
+  app.post("/oauth/v2/token", (req, res) => {
+    const params = { ...req.body, ...req.query };
+
+    if (params.grant_type === "authorization_code") {
+      if (!authCodes.delete(params.code)) {
+        return res.json({ error: "invalid_code" });
+      }
+    } else if (params.grant_type === "refresh_token") {
+      if (!params.refresh_token) return res.json({ error: "invalid_code" });
+    } else {
+      return res.json({ error: "unsupported_grant_type" });
+    }
+
+    const accessToken = `1000.${crypto.randomBytes(16).toString("hex")}.${crypto.randomBytes(16).toString("hex")}`;
+    accessTokens.add(accessToken);
+
+    res.json({
+      access_token: accessToken,
+      ...(params.grant_type === "authorization_code" && {
+        refresh_token: `1000.${crypto.randomBytes(16).toString("hex")}.${crypto.randomBytes(16).toString("hex")}`,
+      }),
+      scope: params.scope || "ZohoCRM.modules.ALL",
+      api_domain: `${req.protocol}://${req.get("host")}`,
+      token_type: "Bearer",
+      expires_in: 3600,
+    });
+  });
+
+  // ----- CRM API -----
+
+  const crm = express.Router({ mergeParams: true });
+
+  crm.use((req, res, next) => {
+    const header = req.get("authorization") || "";
+    const token = header.replace(/^Zoho-oauthtoken\s+/i, "");
+    if (!accessTokens.has(token)) {
+      return res
+        .status(401)
+        .json(zohoError("INVALID_TOKEN", "invalid oauth token"));
+    }
+    next();
+  });
+
+  // Org + module metadata (used by GET /health/ready); registered before
+  // the /:module routes so they aren't mistaken for module names
+  crm.get("/org", (req, res) => {
+    res.json({
+      org: [
+        {
+          id: "1000000000000000000",
+          company_name: "Zoho Emulator",
+          primary_email: "emulator@example.com",
+          country_code: "IN",
+          currency: "INR",
+        },
+      ],
+    });
+  });
+
+  crm.get("/settings/modules", (req, res) => {
+    res.json({
+      modules: [...store.keys()].map((name) => ({
+        api_name: name,
+        module_name: name,
+        api_supported: true,
+      })),
+    });
+  });
+
+  crm.param("module", (req, res, next, module) => {
+    if (!store.has(module)) {
+      return res.status(400).json(
+        zohoError(
+          "INVALID_MODULE",
+          "the module name given seems to be invalid",
+          {
+            resource_path_index: 0,
+          },
+        ),
+      );
+    }
+    req.records = store.get(module);
+    next();
+  });
+
+  function page(req, res, records) {
+    const perPage = Math.min(Number(req.query.per_page) || 200, 200);
+    const pageNo = Math.max(Number(req.query.page) || 1, 1);
+    const slice = records.slice((pageNo - 1) * perPage, pageNo * perPage);
+
+    // Zoho answers "nothing found" with an empty 204
+    if (slice.length === 0) return res.status(204).end();
+
+    res.json({
+      data: slice,
+      info: {
+        per_page: perPage,
+        count: slice.length,
+        page: pageNo,
+        more_records: pageNo * perPage < records.length,
+      },
+    });
+  }
+
+  const success = (record, message) => ({
+    code: "SUCCESS",
+    details: {
+      id: record.id,
+      Created_Time: record.Created_Time,
+      Modified_Time: record.Modified_Time,
+      Created_By: OWNER,
+      Modified_By: OWNER,
+    },
+    message,
+    status: "success",
+  });
+
+  crm.get("/:module", (req, res) => page(req, res, [...req.records.values()]));
+
+  crm.get("/:module/search", (req, res) => {
+    const { criteria, email, phone, word } = req.query;
+    let predicate;
+
+    try {
+      if (criteria) predicate = parseCriteria(criteria);
+      else if (email) predicate = (r) => r.Email === email;
+      else if (phone) {
+        predicate = (r) =>
+          Object.entries(r).some(
+            ([k, v]) => /phone|mobile/i.test(k) && String(v) === phone,
+          );
+      } else if (word) {
+        const needle = String(word).toLowerCase();
+        predicate = (r) =>
+          Object.values(r).some(
+            (v) => typeof v === "string" && v.toLowerCase().includes(needle),
+          );
+      } else {
+        return res
+          .status(400)
+          .json(
+            zohoError(
+              "REQUIRED_PARAM_MISSING",
+              "One of the expected parameter is missing",
+              { param: "criteria" },
+            ),
+          );
+      }
+    } catch (error) {
+      return res.status(400).json(
+        zohoError("INVALID_QUERY", "invalid query formed", {
+          reason: error.message,
+        }),
+      );
+    }
+
+    page(req, res, [...req.records.values()].filter(predicate));
+  });
+
+  crm.get("/:module/:id", (req, res) => {
+    const record = req.records.get(req.params.id);
+    if (!record) return res.status(204).end();
+    res.json({ data: [record] });
+  });
+
+  crm.post("/:module", (req, res) => {
+    const rows = req.body?.data;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res
+        .status(400)
+        .json(zohoError("INVALID_DATA", "body is not valid"));
+    }
+
+    const results = rows.map((row) => {
+      const field = (unique[req.params.module] || []).find(
+        (f) =>
+          row[f] !== undefined &&
+          [...req.records.values()].some((r) => r[f] === row[f]),
+      );
+      return field
+        ? zohoError("DUPLICATE_DATA", "duplicate data", { api_name: field })
+        : success(insert(req.params.module, row), "record added");
+    });
+    const failed = results.some((r) => r.status === "error");
+    res.status(failed ? 400 : 201).json({ data: results });
+  });
+
+  function update(records, id, changes) {
+    const record = records.get(String(id));
+    if (!record) {
+      return zohoError("INVALID_DATA", "the id given seems to be invalid", {
+        api_name: "id",
+      });
+    }
+    Object.assign(record, changes, { id: record.id, Modified_Time: nowIso() });
+    return success(record, "record updated");
+  }
+
+  // Insert, or update the first record matching every
+  // duplicate_check_fields value
+  crm.post("/:module/upsert", (req, res) => {
+    const rows = req.body?.data;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res
+        .status(400)
+        .json(zohoError("INVALID_DATA", "body is not valid"));
+    }
+    const fields = req.body.duplicate_check_fields || [];
+
+    const results = rows.map((row) => {
+      const existing =
+        fields.length > 0 &&
+        [...req.records.values()].find((r) =>
+          fields.every((f) => row[f] !== undefined && r[f] === row[f]),
+        );
+      if (existing) {
+        return {
+          ...update(req.records, existing.id, row),
+          action: "update",
+          duplicate_field: fields.find((f) => row[f] !== undefined),
+        };
+      }
+      return {
+        ...success(insert(req.params.module, row), "record added"),
+        action: "insert",
+        duplicate_field: null,
+      };
+    });
+    res.json({ data: results });
+  });
+
+  crm.put("/:module", (req, res) => {
+    const rows = req.body?.data || [];
+    const results = rows.map(({ id, ...changes }) =>
+      update(req.records, id, changes),
+    );
+    const failed = results.some((r) => r.status === "error");
+    res.status(failed ? 400 : 200).json({ data: results });
+  });
+
+  crm.put("/:module/:id", (req, res) => {
+    const [changes = {}] = req.body?.data || [];
+    const result = update(req.records, req.params.id, changes);
+    res.status(result.status === "error" ? 400 : 200).json({ data: [result] });
+  });
+
+  crm.delete("/:module/:id", (req, res) => {
+    const existed = req.records.delete(req.params.id);
+    res.json({
+      data: [
+        existed
+          ? {
+              code: "SUCCESS",
+              details: { id: req.params.id },
+              message: "record deleted",
+              status: "success",
+            }
+          : zohoError("INVALID_DATA", "the id given seems to be invalid"),
+      ],
+    });
+  });
+
+  crm.post("/:module/:id/attachments", upload.single("file"), (req, res) => {
+    if (!req.records.has(req.params.id)) {
+      return res
+        .status(400)
+        .json(
+          zohoError("INVALID_DATA", "the related id given seems to be invalid"),
+        );
+    }
+    if (!req.file) {
+      return res
+        .status(400)
+        .json(zohoError("REQUIRED_PARAM_MISSING", "file is missing"));
+    }
+
+    const attachment = {
+      id: nextId(),
+      File_Name: req.file.originalname,
+      Size: String(req.file.size),
+      Created_Time: nowIso(),
+    };
+    const list = attachments.get(req.params.id) || [];
+    list.push(attachment);
+    attachments.set(req.params.id, list);
+
+    res.json({
+      data: [
+        {
+          code: "SUCCESS",
+          details: attachment,
+          message: "attachment uploaded successfully",
+          status: "success",
+        },
+      ],
+    });
+  });
+
+  crm.get("/:module/:id/attachments", (req, res) => {
+    const list = attachments.get(req.params.id) || [];
+    if (list.length === 0) return res.status(204).end();
+    res.json({ data: list, info: { count: list.length, more_records: false } });
+  });
+
+  app.use("/crm/:version", crm);
+
+  // Test helpers – not part of the Zoho API
+  app.locals.store = store;
+  app.locals.attachments = attachments;
+
+  return app;
+}
+
+function loadSeed() {
+  if (!process.env.ZOHO_EMULATOR_SEED) return DEFAULT_SEED;
+  return JSON.parse(
+    require("fs").readFileSync(process.env.ZOHO_EMULATOR_SEED, "utf8"),
+  );
+}
+
+if (require.main === module) {
+  const port = process.env.ZOHO_EMULATOR_PORT || 5055;
+  createZohoEmulator({ seed: loadSeed() }).listen(port, () => {
+    logger.info("Zoho emulator listening", { url: `http://localhost:${port}` });
+  });
+}
+
+module.exports = {
+  createZohoEmulator,
+  loadSeed,
+  parseCriteria,
+};
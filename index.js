@@ -4,245 +4,962 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
-const CryptoJS = require("crypto-js");
+const FormData = require("form-data");
 
 dotenv.config();
 
+const { zohoConfig } = require("./config/zoho");
+const {
+  zoho,
+  zohoErrorBody,
+  escapeCriteria,
+  ZohoApiError,
+} = require("./services/zohoClient");
+const { encrypt, decrypt } = require("./services/aesCrypto");
+const {
+  logger,
+  requestLogger,
+  keepRequestContext,
+  REQUEST_ID_HEADER,
+} = require("./services/logger");
+const { exchangeZohoAuthCode } = require("./services/zohoAuth");
+const {
+  STATE_COOKIE,
+  createOAuthState,
+  consumeOAuthState,
+  buildConsentUrl,
+  readCookie,
+  stateCookie,
+} = require("./services/zohoOAuth");
+const { authenticateUser, issueSessionToken } = require("./services/auth");
+const { checkReadiness, isProbeToken } = require("./services/readiness");
+const outbox = require("./services/outbox");
+const {
+  readFile,
+  signedFileUrl,
+  verifyFileSignature,
+} = require("./services/fileStore");
+const { dispatchEvent } = require("./services/webhookRouting");
+const { calculateClaim } = require("./services/claimCalculator");
+const { reconcileClaims } = require("./services/claimReconciliation");
+const {
+  CLAIM_STATUSES,
+  ClaimStatusError,
+  getClaim,
+  updateClaimStatus,
+  listClaims,
+} = require("./services/claimStore");
+const { submitClaim } = require("./services/claimSubmission");
+const { renderClaimPdf } = require("./services/claimPdf");
+const { findDuplicates } = require("./services/claimDuplicates");
+const { findVendorId, syncClaimToZoho } = require("./services/claimZoho");
+const { searchVendors } = require("./services/vendorSearch");
+const { parseGstin, gstinVendorFields } = require("./services/gstin");
+const {
+  findVendorMatches,
+  mergeVendorFields,
+} = require("./services/vendorMatching");
+const {
+  XLSX_TYPE,
+  IMPORT_FILES,
+  ImportError,
+  parseImport,
+  getImport,
+  confirmImport,
+  templateWorkbook,
+} = require("./services/claimImport");
+const {
+  issueNumber,
+  confirmNumber,
+  voidNumber,
+  listCounters,
+  auditCounter,
+} = require("./services/sequencer");
+const {
+  webhookSecretFor,
+  computeSignature,
+  verifySignature,
+} = require("./services/webhookSigning");
+const {
+  allow,
+  authenticated,
+  optionalPrincipal,
+  ownerFields,
+} = require("./middleware/auth");
+const { validateBody } = require("./middleware/validate");
+const { uploadFile, CLAIM_FILES } = require("./middleware/upload");
+const { signedCallback } = require("./middleware/signedCallback");
+const {
+  idempotent,
+  IDEMPOTENCY_KEY_HEADER,
+  REPLAYED_HEADER,
+} = require("./middleware/idempotency");
+const schemas = require("./schemas");
+
+const MODULES = zohoConfig.modules;
+
 const app = express();
-app.use(cors());
-app.use((req, res, next) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Accept");
-
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(200);
-  }
+app.use(requestLogger);
+
+// Offline development: local Zoho CRM stand-in (see dev/zohoEmulator.js)
+if (zohoConfig.emulator) {
+  const { createZohoEmulator, loadSeed } = require("./dev/zohoEmulator");
+  app.use(
+    zohoConfig.emulatorMount,
+    createZohoEmulator({
+      modules: Object.values(MODULES),
+      seed: loadSeed(),
+      // Sequence numbers are reserved by unique Name (services/sequencer.js)
+      ...(MODULES.sequences && { unique: { [MODULES.sequences]: ["Name"] } }),
+    }),
+  );
+  logger.warn("Zoho emulator enabled – no calls go to real Zoho", {
+    url: zohoConfig.apiUrl,
+  });
+}
 
-  next();
-});
+// Only the frontends listed in CORS_ORIGINS (comma separated) may call us
+// from a browser. Unset → any origin, outside production only.
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      if (!origin || corsOrigins.includes(origin)) return callback(null, true);
+      if (corsOrigins.length === 0 && process.env.NODE_ENV !== "production") {
+        return callback(null, true);
+      }
+      callback(null, false);
+    },
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "Accept",
+      "X-API-Key",
+      REQUEST_ID_HEADER,
+      IDEMPOTENCY_KEY_HEADER,
+    ],
+    exposedHeaders: [REQUEST_ID_HEADER, REPLAYED_HEADER],
+    optionsSuccessStatus: 200,
+  }),
+);
 
-app.use(express.json({ limit: "10mb" }));
+// rawBody is kept for signature checks (middleware/signedCallback.js)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 
 const PORT = process.env.PORT || 5000;
 
+// ===============================================
+// ROUTE ACCESS – which roles may call which routes
+// (admin may call everything, see middleware/auth.js)
+// ===============================================
+const canSell = allow("salesman", "cashier", "manager");
+const canLookupCustomers = allow("salesman", "cashier", "finance", "manager");
+const canSearchProducts = allow("salesman", "cashier", "purchase", "manager");
+const canSearchVendors = allow("purchase", "finance", "manager");
+const canPurchase = allow("purchase", "manager");
+const canClaim = allow("finance", "purchase", "manager");
+const canFinance = allow("finance", "manager");
+const canConnectZoho = allow("admin", { allowQueryToken: true });
+const adminOnly = allow("admin");
+
 app.get("/health", function (req, res) {
   res.json({ status: "OK", message: "Backend running" });
 });
 
-// async function getZohoAccessToken() {
-//   const response = await axios.post(
-//     "https://accounts.zoho.in/oauth/v2/token",
-//     null,
-//     {
-//       params: {
-//         refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-//         client_id: process.env.ZOHO_CLIENT_ID,
-//         client_secret: process.env.ZOHO_CLIENT_SECRET,
-//         grant_type: "refresh_token",
-//       },
-//     }
-//   );
-
-//   return response.data.access_token;
-// }
-
-let zohoAccessToken = null;
-let tokenExpiryTime = null;
-
-async function getZohoAccessToken() {
-  const now = Date.now();
-
-  // Reuse token if still valid
-  if (zohoAccessToken && tokenExpiryTime && now < tokenExpiryTime) {
-    return zohoAccessToken;
+// Dependency readiness (Zoho, config, webhooks, AI key) – 503 when a
+// critical dependency is down so load balancers stop routing here.
+// Only admins and HEALTH_PROBE_TOKEN holders see the checks.
+app.get("/health/ready", async (req, res) => {
+  const detailed =
+    isProbeToken(req.get("x-health-token")) ||
+    Boolean(optionalPrincipal(req)?.roles.includes("admin"));
+  try {
+    const result = await checkReadiness();
+    res
+      .status(result.status === "unavailable" ? 503 : 200)
+      .json(detailed ? result : { status: result.status });
+  } catch (error) {
+    logger.error("Readiness check failed", error);
+    res.status(503).json({
+      status: "unavailable",
+      ...(detailed && { message: error.message }),
+    });
   }
+});
 
-  console.log("🔄 Refreshing Zoho Access Token...");
+// Request schemas for the frontend forms (same rules the routes enforce)
+app.get("/api/schemas", (req, res) => {
+  res.json({ success: true, schemas });
+});
 
-  const response = await axios.post(
-    "https://accounts.zoho.in/oauth/v2/token",
-    null,
-    {
-      params: {
-        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-        client_id: process.env.ZOHO_CLIENT_ID,
-        client_secret: process.env.ZOHO_CLIENT_SECRET,
-        grant_type: "refresh_token",
-      },
-    },
-  );
+app.get("/api/schemas/:name", (req, res) => {
+  const schema = schemas[req.params.name];
+  if (!schema) {
+    return res.status(404).json({ success: false, message: "Unknown schema" });
+  }
+  res.json({ success: true, schema });
+});
+
+// GSTIN check for the vendor / contact forms (see services/gstin.js)
+app.get("/api/gstin/:gstin/validate", authenticated(), (req, res) => {
+  res.json({ success: true, ...parseGstin(req.params.gstin) });
+});
+
+// ===============================================
+// STAFF LOGIN
+// ===============================================
+app.post("/auth/login", (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    const user =
+      username && password ? authenticateUser(username, password) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid username or password",
+      });
+    }
 
-  zohoAccessToken = response.data.access_token;
+    const { token, expiresIn } = issueSessionToken(user);
 
-  // Zoho access token valid for 1 hour → refresh after 55 minutes
-  tokenExpiryTime = now + 55 * 60 * 1000;
+    res.json({
+      success: true,
+      token,
+      expiresIn,
+      user: { id: user.id, name: user.name, roles: user.roles },
+    });
+  } catch (err) {
+    logger.error("Login failed", err);
+    res.status(500).json({ success: false, message: "Login failed" });
+  }
+});
 
-  console.log("✅ Zoho Access Token Updated");
+app.get("/auth/me", authenticated(), (req, res) => {
+  const { id, name, roles, type, store } = req.user;
+  res.json({ success: true, user: { id, name, roles, type, store } });
+});
 
-  return zohoAccessToken;
+// Attach an uploaded file (multer shape) to a Zoho record
+async function uploadAttachment(module, recordId, file) {
+  const form = new FormData();
+  form.append("file", file.buffer, {
+    filename: file.originalname,
+    contentType: file.mimetype,
+  });
+
+  // Buffer the multipart body so the client can replay it on retry
+  const response = await zoho.post(
+    `${module}/${recordId}/attachments`,
+    form.getBuffer(),
+    { headers: form.getHeaders() },
+  );
+  return response.data?.[0]?.details?.id || null;
 }
 
-app.post("/api/claims", upload.single("file"), async (req, res) => {
+// File the document on the claim's own Zoho record when it was synced
+// (ZOHO_CLAIMS_MODULE), else on the supplier's Vendor
+async function attachClaimFile(claim, file, zohoSync) {
   try {
-    const data = req.body;
+    const [module, recordId] = zohoSync?.recordId
+      ? [zohoSync.module, zohoSync.recordId]
+      : [MODULES.vendors, await findVendorId(claim)];
 
-    // Auto-generate claim number
-    const now = new Date();
-    const pad = (n) => n.toString().padStart(2, "0");
+    if (!recordId) {
+      logger.warn("No Vendor record for claim file", {
+        claimNumber: claim.claimNumber,
+      });
+      return null;
+    }
 
-    data.claimNumber =
-      "CE" +
-      pad(now.getDate()) +
-      pad(now.getMonth() + 1) +
-      now.getFullYear() +
-      pad(now.getHours()) +
-      pad(now.getMinutes()) +
-      pad(now.getSeconds());
+    const attachmentId = await uploadAttachment(module, recordId, file);
+    logger.info("Claim file attached", {
+      claimNumber: claim.claimNumber,
+      module,
+      recordId,
+    });
+    return { module, recordId, attachmentId };
+  } catch (error) {
+    logger.error("Claim file attach failed", {
+      claimNumber: claim.claimNumber,
+      error,
+      zoho: error.data,
+    });
+    return null;
+  }
+}
 
-    console.log("Generated Claim Number:", data.claimNumber);
+// Multipart claims arrive with nested fields as JSON strings
+function normalizeClaim(data) {
+  try {
+    if (typeof data.discountModels === "string") {
+      data.discountModels = JSON.parse(data.discountModels);
+    }
 
-    if (!data.supplierName) {
-      return res.status(400).json({
-        success: false,
-        message: "Supplier Name is required",
-      });
+    if (typeof data.monthlySchemes === "string") {
+      data.monthlySchemes = JSON.parse(data.monthlySchemes);
     }
 
-    // Convert nested JSON strings into actual objects
-    try {
-      if (typeof data.discountModels === "string") {
-        data.discountModels = JSON.parse(data.discountModels);
-      }
+    if (typeof data.additionalFields === "string") {
+      data.additionalFields = JSON.parse(data.additionalFields);
+    }
 
-      if (typeof data.monthlySchemes === "string") {
-        data.monthlySchemes = JSON.parse(data.monthlySchemes);
-      }
+    if (typeof data.items === "string") {
+      data.items = JSON.parse(data.items);
+    }
+    if (data.schemeStartDate) {
+      data.schemeStartDate = new Date(data.schemeStartDate)
+        .toISOString()
+        .slice(0, 10);
+    }
 
-      if (typeof data.additionalFields === "string") {
-        data.additionalFields = JSON.parse(data.additionalFields);
-      }
+    if (data.schemeEndDate) {
+      data.schemeEndDate = new Date(data.schemeEndDate)
+        .toISOString()
+        .slice(0, 10);
+    }
+  } catch (err) {
+    logger.warn("Claim JSON parse failed", { error: err.message });
+  }
+  return data;
+}
+
+// Links in webhook payloads must work from outside (set behind proxies)
+const publicBaseUrl = (req) =>
+  process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+app.post(
+  "/api/claims",
+  canClaim,
+  uploadFile("file", CLAIM_FILES),
+  idempotent(),
+  validateBody(schemas.claim),
+  async (req, res) => {
+    try {
+      const data = normalizeClaim(req.body);
+      const { errors, blocked, duplicates, summary, attempts, file, zohoSync } =
+        await submitClaim(data, {
+          user: req.user,
+          upload: req.file,
+          baseUrl: publicBaseUrl(req),
+        });
 
-      if (typeof data.items === "string") {
-        data.items = JSON.parse(data.items);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Claim rejected",
+          errors,
+        });
       }
-      if (data.schemeStartDate) {
-        data.schemeStartDate = new Date(data.schemeStartDate)
-          .toISOString()
-          .slice(0, 10);
+      // Likely duplicate – a manager can resend with overrideDuplicate
+      if (blocked) {
+        return res.status(blocked.status).json({
+          success: false,
+          message: blocked.message,
+          duplicates,
+        });
       }
-
-      if (data.schemeEndDate) {
-        data.schemeEndDate = new Date(data.schemeEndDate)
-          .toISOString()
-          .slice(0, 10);
+      if (attempts.length === 0) {
+        return res.status(500).json({
+          success: false,
+          message: "No webhook URLs configured",
+        });
       }
-    } catch (err) {
-      console.error("❌ JSON PARSE ERROR:", err.message);
-    }
 
-    const webhookUrls = process.env.WEBHOOK_URLS
-      ? process.env.WEBHOOK_URLS.split(",").map((u) => u.trim())
-      : [];
+      const delivered = attempts.filter((d) => d.status === "delivered");
+      const zohoAttachment = req.file
+        ? await attachClaimFile(data, req.file, zohoSync)
+        : null;
 
-    if (webhookUrls.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message:
+          delivered.length === attempts.length
+            ? "Claim processed"
+            : "Claim accepted – some webhooks will be retried",
+        claimNumber: data.claimNumber,
+        status: "submitted",
+        summary,
+        duplicates,
+        webhookSuccess: delivered.length,
+        webhookFailed: attempts.length - delivered.length,
+        deliveries: attempts.map((d) => d.id),
+        file: file && { id: file.id, name: file.name, size: file.size },
+        zohoRecord: zohoSync,
+        zohoAttachment,
+      });
+    } catch (error) {
+      logger.error("Claim processing failed", error);
       return res.status(500).json({
         success: false,
-        message: "No webhook URLs configured",
+        message: "Internal server error",
       });
     }
+  },
+);
+
+// Preview a claim's amounts (and likely duplicates) without submitting it
+app.post(
+  "/api/claims/calculate",
+  canClaim,
+  validateBody(schemas.claim),
+  async (req, res) => {
+    try {
+      const data = normalizeClaim(req.body);
+      const { errors, summary } = calculateClaim(data);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Claim rejected",
+          errors,
+        });
+      }
+      data.claimSummary = summary;
 
-    const requests = webhookUrls.map((url) => {
-      return axios.post(url, data, {
-        headers: { "Content-Type": "application/json" },
-        timeout: 15000,
-        validateStatus: (status) => status >= 200 && status < 500,
+      const duplicates = await findDuplicates(data, {
+        baseUrl: publicBaseUrl(req),
       });
-    });
+      res.json({ success: true, summary, duplicates });
+    } catch (error) {
+      logger.error("Claim preview failed", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+// ===============================================
+// BULK CLAIM IMPORT (see services/claimImport.js)
+// ===============================================
 
-    const results = await Promise.allSettled(requests);
+// Preview / result view – claim bodies stay in the stored import
+function importView(req, { claims, resultFile, ...rest }) {
+  return {
+    ...rest,
+    claims: claims.map(({ data, ...claim }) => claim),
+    ...(resultFile && {
+      resultFile: {
+        ...resultFile,
+        url: signedFileUrl(publicBaseUrl(req), resultFile.id),
+      },
+    }),
+  };
+}
 
-    let successCount = 0;
-    let failureCount = 0;
+function importFailed(res, error, message) {
+  if (error instanceof ImportError) {
+    return res
+      .status(error.status)
+      .json({ success: false, message: error.message });
+  }
+  logger.error(message, error);
+  return res.status(500).json({ success: false, message });
+}
 
-    results.forEach((result, index) => {
-      if (result.status === "fulfilled" && result.value.status < 400) {
-        successCount++;
-        console.log(`✅ Webhook success: ${webhookUrls[index]}`);
-      } else {
-        failureCount++;
-        console.error(`❌ Webhook failed: ${webhookUrls[index]}`);
+app.get("/api/claims/import/template", canClaim, async (req, res) => {
+  try {
+    res.setHeader("Content-Type", XLSX_TYPE);
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="claim-import-template.xlsx"',
+    );
+    res.send(await templateWorkbook());
+  } catch (error) {
+    importFailed(res, error, "Error building the template");
+  }
+});
 
-        if (result.reason?.response) {
-          console.error("Status:", result.reason.response.status);
-          console.error("Response:", result.reason.response.data);
-        } else {
-          console.error("Error:", result.reason?.message);
+// Step 1: upload → row-level validation + amounts, nothing submitted
+app.post(
+  "/api/claims/import",
+  canClaim,
+  uploadFile("file", IMPORT_FILES),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attach the spreadsheet as "file" (CSV or XLSX)',
+        });
+      }
+
+      let mapping;
+      if (req.body?.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch {
+          return res.status(400).json({
+            success: false,
+            message: "mapping must be valid JSON",
+          });
         }
       }
-    });
 
-    return res.status(200).json({
+      const preview = await parseImport(req.file, {
+        mapping,
+        user: req.user,
+      });
+      res.json({ success: true, ...importView(req, preview) });
+    } catch (error) {
+      importFailed(res, error, "Error reading the claim import");
+    }
+  },
+);
+
+app.get("/api/claims/import/:id", canClaim, async (req, res) => {
+  try {
+    const stored = await getImport(req.params.id);
+    if (!stored) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Import not found or expired" });
+    }
+    res.json({ success: true, ...importView(req, stored) });
+  } catch (error) {
+    importFailed(res, error, "Error loading the claim import");
+  }
+});
+
+// Step 2: submit the valid claims through the normal claim path
+app.post(
+  "/api/claims/import/:id/confirm",
+  canClaim,
+  idempotent(),
+  async (req, res) => {
+    try {
+      const confirmed = await confirmImport(req.params.id, {
+        user: req.user,
+        submit: (data) =>
+          submitClaim(data, { user: req.user, baseUrl: publicBaseUrl(req) }),
+      });
+      res.json({ success: true, ...importView(req, confirmed) });
+    } catch (error) {
+      importFailed(res, error, "Error submitting the claim import");
+    }
+  },
+);
+
+// ===============================================
+// CLAIM LIFECYCLE (see services/claimStore.js)
+// ===============================================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List view – the full claim body only via GET /api/claims/:claimNumber
+const claimSummary = ({ data, history, ...claim }) => claim;
+
+app.get("/api/claims", canClaim, async (req, res) => {
+  try {
+    const { status, supplier, store, from, to, flagged } = req.query;
+    if (status && !CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${CLAIM_STATUSES.join(", ")}`,
+      });
+    }
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const perPage = Math.min(
+      Number(req.query.perPage) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE,
+    );
+
+    const claims = await listClaims({
+      status,
+      supplier,
+      store,
+      from,
+      to,
+      flagged: flagged === "true",
+    });
+    res.json({
       success: true,
-      message: "Claim processed",
-      webhookSuccess: successCount,
-      webhookFailed: failureCount,
+      total: claims.length,
+      page,
+      perPage,
+      claims: claims
+        .slice((page - 1) * perPage, page * perPage)
+        .map(claimSummary),
     });
   } catch (error) {
-    console.error("🔥 Backend Error:", error);
-    return res.status(500).json({
+    logger.error("Claim list failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Suppliers / webhook receivers report progress here (signed, no login)
+app.post(
+  "/api/claims/callback",
+  signedCallback(),
+  validateBody(schemas.claimCallback),
+  async (req, res) => {
+    try {
+      const { claimNumber, status, settledAmount, note, reference } = req.body;
+
+      const claim = await updateClaimStatus(claimNumber, status, {
+        by: `callback:${req.callbackKey}`,
+        note,
+        reference,
+        settledAmount:
+          settledAmount === undefined ? undefined : Number(settledAmount),
+      });
+      const zohoSync = await syncClaimToZoho(claimNumber);
+
+      res.json({
+        success: true,
+        claim: claimSummary({ ...claim, ...(zohoSync && { zoho: zohoSync }) }),
+      });
+    } catch (error) {
+      if (error instanceof ClaimStatusError) {
+        return res
+          .status(error.status)
+          .json({ success: false, message: error.message });
+      }
+      logger.error("Claim callback failed", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+// Claims vs Trail / cash slip records (see services/claimReconciliation.js)
+const MAX_RECONCILE_DAYS = 366;
+
+app.get("/api/claims/reconciliation", canClaim, async (req, res) => {
+  try {
+    const { from, to, supplier } = req.query;
+    const isDay = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || "");
+
+    if (!isDay(from) || !isDay(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to are required (YYYY-MM-DD, from <= to)",
+      });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_RECONCILE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Range cannot exceed ${MAX_RECONCILE_DAYS} days`,
+      });
+    }
+
+    const report = await reconcileClaims({ from, to, supplier });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error("Claim reconciliation failed", error);
+    res.status(500).json({
       success: false,
-      message: "Internal server error",
+      message: "Error building reconciliation report",
+      error: zohoErrorBody(error),
     });
   }
 });
 
-app.get("/vendors/search", async (req, res) => {
+app.get("/api/claims/:claimNumber", canClaim, async (req, res) => {
   try {
-    const search = (req.query.q || "").toLowerCase().trim();
-    if (search.length < 2) {
-      return res.json({ success: true, vendors: [] });
+    const claim = await getClaim(req.params.claimNumber);
+    if (!claim) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Claim not found" });
     }
+    res.json({ success: true, claim });
+  } catch (error) {
+    logger.error("Claim lookup failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    const accessToken = await getZohoAccessToken();
+// Printable claim statement (letterhead: CLAIM_LETTERHEAD)
+app.get("/api/claims/:claimNumber/pdf", canClaim, async (req, res) => {
+  try {
+    const claim = await getClaim(req.params.claimNumber);
+    if (!claim) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Claim not found" });
+    }
 
-    let page = 1;
-    let matchedVendors = [];
-    let hasMore = true;
+    const pdf = await renderClaimPdf(claim);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.download === "true" ? "attachment" : "inline"}; filename="${claim.claimNumber}.pdf"`,
+    );
+    res.send(pdf);
+  } catch (error) {
+    logger.error("Claim PDF failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    while (hasMore && matchedVendors.length === 0) {
-      const response = await axios.get("https://zohoapis.in/crm/v2/Vendors", {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${accessToken}`,
-        },
-        params: {
-          page,
-          per_page: 200,
-        },
+// ===============================================
+// WEBHOOK OUTBOX ADMIN (see services/outbox.js)
+// ===============================================
+
+// Summary view – payloads only via GET /api/admin/outbox/:id
+const deliverySummary = ({ payload, history, ...delivery }) => delivery;
+
+app.get("/api/admin/outbox", adminOnly, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !outbox.OUTBOX_STATES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${outbox.OUTBOX_STATES.join(", ")}`,
       });
+    }
+
+    const deliveries = await outbox.listDeliveries(status);
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries.map(deliverySummary),
+    });
+  } catch (error) {
+    logger.error("Outbox list failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-      const vendors = response.data.data || [];
+// Drain due retries now – for cron on hosts without a long-lived worker
+app.post("/api/admin/outbox/process", adminOnly, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await outbox.processOutbox()) });
+  } catch (error) {
+    logger.error("Outbox processing failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-      matchedVendors = vendors.filter(
-        (v) => v.Vendor_Name && v.Vendor_Name.toLowerCase().includes(search),
-      );
+// Re-drive every dead-lettered delivery
+app.post("/api/admin/outbox/redeliver-dead", adminOnly, async (req, res) => {
+  try {
+    const dead = await outbox.listDeliveries("dead");
+    const results = [];
+    for (const delivery of dead) {
+      results.push(await outbox.redeliver(delivery.id));
+    }
+
+    res.json({
+      success: true,
+      attempted: results.length,
+      delivered: results.filter((d) => d?.status === "delivered").length,
+      deliveries: results.filter(Boolean).map(deliverySummary),
+    });
+  } catch (error) {
+    logger.error("Outbox re-drive failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/api/admin/outbox/:id", adminOnly, async (req, res) => {
+  try {
+    const delivery = await outbox.getDelivery(req.params.id);
+    if (!delivery) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Delivery not found" });
+    }
+    res.json({ success: true, delivery });
+  } catch (error) {
+    logger.error("Outbox lookup failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.post("/api/admin/outbox/:id/redeliver", adminOnly, async (req, res) => {
+  try {
+    const delivery = await outbox.redeliver(req.params.id);
+    if (!delivery) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Delivery not found" });
+    }
+    res.json({ success: true, delivery: deliverySummary(delivery) });
+  } catch (error) {
+    logger.error("Outbox re-drive failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-      hasMore = response.data.info?.more_records === true;
-      page++;
+// Lets receiving teams check their verifier against ours. Pass either
+// their own `secret` (any signed-in caller) or a configured `webhookUrl`
+// (admins only – it signs with our stored secret); `body` is the raw
+// request body exactly as received.
+app.post(
+  "/api/webhooks/verify-signature",
+  authenticated(),
+  validateBody(schemas.webhookSignature),
+  (req, res) => {
+    const { body, timestamp, deliveryId, signature, webhookUrl } = req.body;
+    if (!req.body.secret && webhookUrl && !req.user.roles.includes("admin")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can verify against a stored webhook secret",
+      });
+    }
+    const secret = req.body.secret || webhookSecretFor(webhookUrl);
+
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        message: webhookUrl
+          ? "No secret configured for that webhook URL"
+          : "Provide secret or webhookUrl",
+      });
     }
 
+    const result = verifySignature({
+      secret,
+      body,
+      timestamp,
+      deliveryId,
+      signature,
+    });
+
     res.json({
       success: true,
-      vendors: matchedVendors.slice(0, 20),
+      ...result,
+      // Only echo the expected value for a secret the caller already knows
+      ...(req.body.secret && {
+        expectedSignature: computeSignature(
+          secret,
+          Number(timestamp),
+          deliveryId,
+          body,
+        ),
+      }),
+    });
+  },
+);
+
+// ===============================================
+// DOCUMENT NUMBER SEQUENCES (see services/sequencer.js)
+// ===============================================
+
+app.get("/api/admin/sequences", adminOnly, async (req, res) => {
+  try {
+    res.json({ success: true, counters: await listCounters() });
+  } catch (error) {
+    logger.error("Sequence list failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// :counter is the number prefix, e.g. CS-DB-2526
+app.get("/api/admin/sequences/:counter/audit", adminOnly, async (req, res) => {
+  try {
+    const counter = req.params.counter.toUpperCase();
+    if (!/^[A-Z0-9]+-[A-Z0-9]+-\d{4}$/.test(counter)) {
+      return res.status(400).json({
+        success: false,
+        message: "counter must look like CS-DB-2526",
+      });
+    }
+    res.json({ success: true, ...(await auditCounter(counter)) });
+  } catch (error) {
+    logger.error("Sequence audit failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ===============================================
+// CLAIMS IN ZOHO (see services/claimZoho.js)
+// ===============================================
+
+// Retry a claim whose Zoho sync failed (claim.zoho.error)
+app.post(
+  "/api/admin/claims/:claimNumber/zoho-sync",
+  adminOnly,
+  async (req, res) => {
+    try {
+      if (!MODULES.claims) {
+        return res.status(400).json({
+          success: false,
+          message: "ZOHO_CLAIMS_MODULE is not configured",
+        });
+      }
+      if (!(await getClaim(req.params.claimNumber))) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Claim not found" });
+      }
+
+      const zohoSync = await syncClaimToZoho(req.params.claimNumber);
+      res.status(zohoSync.error ? 502 : 200).json({
+        success: !zohoSync.error,
+        zoho: zohoSync,
+      });
+    } catch (error) {
+      logger.error("Claim Zoho re-sync failed", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+);
+
+// Signed download link for claim documents (see services/fileStore.js)
+app.get("/api/files/:id", async (req, res) => {
+  try {
+    const { expires, sig } = req.query;
+    if (!verifyFileSignature(req.params.id, expires, sig)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Link invalid or expired" });
+    }
+
+    const stored = await readFile(req.params.id);
+    if (!stored) {
+      return res
+        .status(404)
+        .json({ success: false, message: "File not found" });
+    }
+
+    res.setHeader("Content-Type", stored.meta.type);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${stored.meta.name.replace(/["\\\r\n]/g, "_")}"`,
+    );
+    res.send(stored.buffer);
+  } catch (error) {
+    logger.error("File download failed", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Ranked by name / GSTIN / phone / email / supplier code
+// (see services/vendorSearch.js); ?page, ?perPage
+app.get("/vendors/search", canSearchVendors, async (req, res) => {
+  try {
+    const result = await searchVendors(req.query.q, {
+      page: req.query.page,
+      perPage: req.query.perPage,
     });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error("Vendor Search Error:", error.message);
-    res.json({ success: true, vendors: [] });
+    logger.error("Vendor search failed", { error, zoho: error.data });
+    res.status(error.status || 500).json({
+      success: false,
+      message: "Error searching vendors",
+      error: zohoErrorBody(error),
+    });
   }
 });
 
 // Search Contacts by Mobile Number (partial match)
-app.get("/api/contacts/search", async (req, res) => {
+app.get("/api/contacts/search", canLookupCustomers, async (req, res) => {
   try {
     const mobile = (req.query.mobile || "").trim();
 
@@ -254,26 +971,17 @@ app.get("/api/contacts/search", async (req, res) => {
       });
     }
 
-    const accessToken = await getZohoAccessToken();
-
     // Search for contacts by mobile number (partial match)
-    const response = await axios.get(
-      "https://www.zohoapis.in/crm/v2/Contacts/search",
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          criteria: `(Mobile:starts_with:${mobile})`,
-          per_page: 10,
-        },
+    const response = await zoho.get(`${MODULES.contacts}/search`, {
+      params: {
+        criteria: `(Mobile:starts_with:${escapeCriteria(mobile)})`,
+        per_page: 10,
       },
-    );
+    });
 
     // If contacts found
-    if (response.data.data && response.data.data.length > 0) {
-      const suggestions = response.data.data.map((contact) => ({
+    if (response.data && response.data.length > 0) {
+      const suggestions = response.data.map((contact) => ({
         id: contact.id,
         mobile: contact.Mobile,
         firstName: contact.First_Name,
@@ -294,24 +1002,13 @@ app.get("/api/contacts/search", async (req, res) => {
       });
     }
 
-    // No contacts found
-    return res.json({
-      success: true,
-      suggestions: [],
-    });
-  } catch (error) {
-    // Zoho returns 204 when no data found
-    if (error.response?.status === 204) {
-      return res.json({
-        success: true,
-        suggestions: [],
-      });
-    }
-
-    console.error(
-      "Zoho Contact Search Error:",
-      error.response?.data || error.message,
-    );
+    // No contacts found
+    return res.json({
+      success: true,
+      suggestions: [],
+    });
+  } catch (error) {
+    logger.error("Contact search failed", error);
     return res.status(500).json({
       success: false,
       message: "Error searching contacts",
@@ -321,7 +1018,7 @@ app.get("/api/contacts/search", async (req, res) => {
 });
 
 // Get Contact by ID
-app.get("/api/contacts/:id", async (req, res) => {
+app.get("/api/contacts/:id", canLookupCustomers, async (req, res) => {
   try {
     const contactId = req.params.id;
 
@@ -332,20 +1029,10 @@ app.get("/api/contacts/:id", async (req, res) => {
       });
     }
 
-    const token = await getZohoAccessToken();
-
-    const response = await axios.get(
-      `https://www.zohoapis.in/crm/v2/Contacts/${contactId}`,
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${token}`,
-          "Content-Type": "application/json",
-        },
-      },
-    );
+    const response = await zoho.get(`${MODULES.contacts}/${contactId}`);
 
-    if (response.data.data && response.data.data.length > 0) {
-      const contact = response.data.data[0];
+    if (response.data && response.data.length > 0) {
+      const contact = response.data[0];
       const contactData = {
         id: contact.id,
         mobile: contact.Mobile,
@@ -371,7 +1058,7 @@ app.get("/api/contacts/:id", async (req, res) => {
       message: "Contact not found",
     });
   } catch (error) {
-    console.error("Get Contact Error:", error.response?.data || error.message);
+    logger.error("Get contact failed", error);
     return res.status(500).json({
       success: false,
       message: "Error fetching contact",
@@ -379,47 +1066,91 @@ app.get("/api/contacts/:id", async (req, res) => {
   }
 });
 
+// ===============================================
+// ZOHO OAUTH ONBOARDING
+// ===============================================
+const oauthPage = (title, message) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:80px auto;text-align:center">
+<h2>${title}</h2><p>${message}</p></body></html>`;
+
+app.get("/oauth/start", canConnectZoho, async (req, res) => {
+  try {
+    if (!process.env.ZOHO_CLIENT_ID || !process.env.ZOHO_REDIRECT_URI) {
+      return res
+        .status(500)
+        .send("ZOHO_CLIENT_ID / ZOHO_REDIRECT_URI not configured");
+    }
+
+    const state = await createOAuthState();
+
+    res.setHeader("Set-Cookie", stateCookie(state));
+    res.redirect(buildConsentUrl(state));
+  } catch (error) {
+    logger.error("OAuth start failed", error);
+    res.status(500).send("Could not start Zoho authorization");
+  }
+});
+
 app.get("/oauth/callback", async (req, res) => {
-  const { code } = req.query;
+  const { code, state, error: consentError } = req.query;
+
+  // Clear the one-time state cookie whatever happens next
+  res.setHeader("Set-Cookie", stateCookie("", 0));
+
+  if (consentError) {
+    return res
+      .status(400)
+      .send(oauthPage("Zoho not connected", "Authorization was declined."));
+  }
+
+  const stateValid = await consumeOAuthState(
+    state,
+    readCookie(req, STATE_COOKIE),
+  ).catch(() => false);
+
+  if (!stateValid) {
+    return res
+      .status(400)
+      .send(
+        oauthPage(
+          "Zoho not connected",
+          "This authorization link is invalid or has expired. Start again from /oauth/start.",
+        ),
+      );
+  }
 
   if (!code) {
     return res.status(400).send("Authorization code missing");
   }
 
   try {
-    const params = new URLSearchParams({
-      grant_type: "authorization_code",
-      client_id: process.env.ZOHO_CLIENT_ID,
-      client_secret: process.env.ZOHO_CLIENT_SECRET,
-      redirect_uri: process.env.ZOHO_REDIRECT_URI,
-      code: code,
-    });
-
-    const tokenResponse = await axios.post(
-      "https://accounts.zoho.in/oauth/v2/token",
-      params.toString(),
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      },
+    const { scope } = await exchangeZohoAuthCode(
+      code,
+      process.env.ZOHO_REDIRECT_URI,
     );
 
-    const tokens = tokenResponse.data;
-
-    console.log("✅ Zoho Tokens:", tokens);
+    logger.info("Zoho connected", { scope });
 
-    res.json({
-      success: true,
-      tokens,
-    });
+    res.send(
+      oauthPage(
+        "Zoho connected",
+        "The backend is now authorized. You can close this window.",
+      ),
+    );
   } catch (error) {
-    console.error("❌ Token Error:", error.response?.data || error.message);
-
-    res.status(500).json({
-      success: false,
-      error: error.response?.data || error.message,
+    logger.error("Zoho token exchange failed", {
+      error: error.response?.data?.error || error.message,
     });
+
+    res
+      .status(500)
+      .send(
+        oauthPage(
+          "Zoho not connected",
+          "Zoho rejected the authorization. Please try again.",
+        ),
+      );
   }
 });
 
@@ -432,166 +1163,255 @@ app.use(express.json({ limit: "10mb" }));
 // =============================
 // API: Create / Update Vendor + Create Purchase Request
 // =============================
-const util = require("util");
 function generateRandomBigInt() {
   return (
     Math.floor(Math.random() * 9_000_000_000_000_000) + 1_000_000_000_000_000
   );
 }
-app.post("/api/vendors", async (req, res) => {
+
+// A vendor record by ID; null when Zoho has none (204, or INVALID_DATA
+// for an ID it never issued)
+async function vendorById(id) {
   try {
-    console.log(
-      "📥 BODY RECEIVED:",
-      util.inspect(req.body, { depth: null, colors: true }),
-    );
+    return (await zoho.get(`${MODULES.vendors}/${id}`)).data?.[0] || null;
+  } catch (error) {
+    if (
+      error instanceof ZohoApiError &&
+      (error.status === 404 || error.code === "INVALID_DATA")
+    ) {
+      return null;
+    }
+    throw error;
+  }
+}
 
-    // -----------------------
-    // 1️⃣ Extract Request Data
-    // -----------------------
-    const vendorDataRaw = req.body.vendorData || {};
-    const purchaseRequestDataRaw = req.body.purchaseRequestData || {};
-    const itemsRaw = req.body.purchaseRequestData?.items || [];
-    const processed_at = req.body.processed_at || null;
-
-    // -----------------------
-    // 2️⃣ Get Zoho Access Token
-    // -----------------------
-    const accessToken = await getZohoAccessToken();
-    const ZOHO = "https://www.zohoapis.in/crm/v6";
-
-    // -----------------------
-    // 3️⃣ Clean Vendor Data
-    // -----------------------
-    const vendorData = {};
-    Object.keys(vendorDataRaw).forEach((key) => {
-      const value = vendorDataRaw[key];
-      vendorData[key] =
-        value === null || value === undefined
-          ? ""
-          : typeof value === "object"
-            ? JSON.stringify(value)
-            : String(value).trim();
-    });
+app.post(
+  "/api/vendors",
+  canPurchase,
+  idempotent(),
+  validateBody(schemas.vendor),
+  async (req, res) => {
+    try {
+      logger.debug("Vendor sync request", { body: req.body });
+
+      // -----------------------
+      // 1️⃣ Extract Request Data
+      // -----------------------
+      const vendorDataRaw = req.body.vendorData || {};
+      const purchaseRequestDataRaw = req.body.purchaseRequestData || {};
+      const itemsRaw = req.body.purchaseRequestData?.items || [];
+      const processed_at = req.body.processed_at || null;
+
+      // -----------------------
+      // 2️⃣ Zoho modules (API names + versions from config/zoho.js)
+      // -----------------------
+      const { vendors: VENDORS, purchaseRequests: PURCHASE_REQUESTS } = MODULES;
+
+      // -----------------------
+      // 3️⃣ Clean Vendor Data
+      // -----------------------
+      const vendorData = {};
+      Object.keys(vendorDataRaw).forEach((key) => {
+        const value = vendorDataRaw[key];
+        vendorData[key] =
+          value === null || value === undefined
+            ? ""
+            : typeof value === "object"
+              ? JSON.stringify(value)
+              : String(value).trim();
+      });
 
-    if (!vendorData.Vendor_Name) vendorData.Vendor_Name = "Unknown Vendor";
-
-    const GSTIN = vendorData.GSTIN_NUMBER || vendorData.gstin || "";
-
-    // -----------------------
-    // 4️⃣ Build PO_Items — SIMPLE TEXT (NO LOOKUP)
-    // -----------------------
-    let PO_Items = [];
-
-    if (Array.isArray(itemsRaw)) {
-      PO_Items = itemsRaw.map((item) => ({
-        Item_Name: item.Item_Name || item.name, // TEXT ONLY
-        Product_Name: item.Item_Name || item.name, // TEXT ONLY
-        Quantity: item.Quantity || item.quantity || 0,
-        Rate: item.Rate || item.rate || 0,
-        Tax: item.Tax || item.tax_percentage || 0,
-        SKU: item.SKU || item.sku || "",
-        HSN_SAC: item.hsn_sac || 0,
-        Description: item.description || "",
-      }));
-    }
+      if (!vendorData.Vendor_Name) vendorData.Vendor_Name = "Unknown Vendor";
+
+      const GSTIN = vendorData.GSTIN_NUMBER || vendorData.gstin || "";
+
+      // State / Type_of_Supplier come from the GSTIN (the schema has
+      // already rejected a bad check character); stored normalized so
+      // the GSTIN_NUMBER lookup below finds the vendor next time. Values
+      // the GSTIN contradicts are kept and returned as differences.
+      let gstinDetails = null;
+      if (GSTIN) {
+        gstinDetails = parseGstin(GSTIN);
+        vendorData.GSTIN_NUMBER = gstinDetails.gstin;
+
+        const differences = gstinVendorFields(vendorData, gstinDetails);
+        if (differences.length > 0) {
+          logger.warn("Vendor fields differ from the GSTIN", {
+            gstin: gstinDetails.gstin,
+            differences,
+          });
+          gstinDetails.differences = differences;
+          gstinDetails.warnings = differences.map(
+            (d) =>
+              `${d.field} "${d.value}" differs from the GSTIN's (${d.gstin})`,
+          );
+        }
+      }
 
-    console.log("🧾 FINAL PO_Items:", JSON.stringify(PO_Items, null, 2));
+      // -----------------------
+      // 4️⃣ Build PO_Items — SIMPLE TEXT (NO LOOKUP)
+      // -----------------------
+      let PO_Items = [];
+
+      if (Array.isArray(itemsRaw)) {
+        PO_Items = itemsRaw.map((item) => ({
+          Item_Name: item.Item_Name || item.name, // TEXT ONLY
+          Product_Name: item.Item_Name || item.name, // TEXT ONLY
+          Quantity: item.Quantity || item.quantity || 0,
+          Rate: item.Rate || item.rate || 0,
+          Tax: item.Tax || item.tax_percentage || 0,
+          SKU: item.SKU || item.sku || "",
+          HSN_SAC: item.hsn_sac || 0,
+          Description: item.description || "",
+        }));
+      }
 
-    // -----------------------
-    // 5️⃣ Search Vendor by GSTIN
-    // -----------------------
-    let vendorId = null;
+      logger.debug("Purchase request items", { PO_Items });
 
-    if (GSTIN) {
-      try {
-        const searchResp = await axios.get(
-          `${ZOHO}/${process.env.ZOHO_VENDORS_MODULE_ID}/search`,
-          {
-            headers: {
-              Authorization: `Zoho-oauthtoken ${accessToken}`,
-            },
-            params: {
-              criteria: `(GSTIN_NUMBER:equals:${GSTIN})`,
-            },
+      // -----------------------
+      // 5️⃣ Search Vendor by GSTIN
+      // -----------------------
+      let vendorId = null;
+
+      // No match is an empty result (204); a thrown ZohoApiError is a
+      // real failure and must not turn into a duplicate vendor
+      if (GSTIN) {
+        const searchResp = await zoho.get(`${VENDORS}/search`, {
+          params: {
+            criteria: `(GSTIN_NUMBER:equals:${escapeCriteria(vendorData.GSTIN_NUMBER)})`,
           },
-        );
+        });
 
-        if (searchResp.data.data?.length > 0) {
-          vendorId = searchResp.data.data[0].id;
-          console.log("✅ Vendor Found:", vendorId);
+        if (searchResp.data?.length > 0) {
+          vendorId = searchResp.data[0].id;
+          logger.info("Vendor found by GSTIN", { vendorId });
+        } else {
+          logger.info("Vendor not found by GSTIN, creating new");
         }
-      } catch {
-        console.log("ℹ️ Vendor not found — creating new.");
       }
-    }
 
-    // -----------------------
-    // 6️⃣ Create or Update Vendor
-    // -----------------------
-    if (vendorId) {
-      await axios.put(
-        `${ZOHO}/${process.env.ZOHO_VENDORS_MODULE_ID}`,
-        { data: [{ id: vendorId, ...vendorData }] },
-        { headers: { Authorization: `Zoho-oauthtoken ${accessToken}` } },
-      );
-      console.log("🔄 Vendor Updated:", vendorId);
-    } else {
-      const createResp = await axios.post(
-        `${ZOHO}/${process.env.ZOHO_VENDORS_MODULE_ID}`,
-        { data: [vendorData] },
-        { headers: { Authorization: `Zoho-oauthtoken ${accessToken}` } },
-      );
-      vendorId = createResp.data.data[0].details.id;
-      console.log("🆕 Vendor Created:", vendorId);
-    }
+      // -----------------------
+      // 5️⃣b No GSTIN – match on name / phone / email / bank / address
+      // (services/vendorMatching.js) instead of always creating one
+      // -----------------------
+      let vendorChanges = vendorData;
+      let vendorMatch = null;
+
+      if (!GSTIN && req.body.confirmVendorId) {
+        // Schema-checked numeric ID, so safe in the path
+        const existing = await vendorById(
+          String(req.body.confirmVendorId).trim(),
+        );
+        if (!existing) {
+          return res
+            .status(404)
+            .json({ success: false, message: "Vendor not found" });
+        }
+        vendorId = existing.id;
+        vendorChanges = mergeVendorFields(existing, vendorData);
+        vendorMatch = { action: "confirmed", vendorId };
+      } else if (!GSTIN && String(req.body.createNewVendor) !== "true") {
+        const { candidates, autoMerge } = await findVendorMatches(vendorData);
+
+        if (autoMerge) {
+          const existing = await vendorById(autoMerge.id);
+          if (existing) {
+            vendorId = existing.id;
+            vendorChanges = mergeVendorFields(existing, vendorData);
+            vendorMatch = { action: "merged", vendorId, match: autoMerge };
+            logger.info("Vendor auto-merged", {
+              vendorId,
+              score: autoMerge.score,
+            });
+          }
+        } else if (candidates.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "Possible existing vendor – resend with confirmVendorId or createNewVendor",
+            candidates,
+          });
+        }
+      }
 
-    // -----------------------
-    // 7️⃣ Create Purchase Request
-    // -----------------------
-    const purchaseRequestPayload = {
-      Name: purchaseRequestDataRaw.requisition_number || `PR-${Date.now()}`,
-      Vendor: { id: vendorId },
-      Expected_Delivery_Date: purchaseRequestDataRaw.expected_delivery_date,
-      Warehouse: purchaseRequestDataRaw.warehouse || "Default",
-      Tag: purchaseRequestDataRaw.tag || "",
-      Exchange_Rate: purchaseRequestDataRaw.exchange_rate || 1,
-      PO_Items: PO_Items,
-    };
-
-    console.log(
-      "📦 FINAL Purchase Request Payload:",
-      JSON.stringify(purchaseRequestPayload, null, 2),
-    );
+      // -----------------------
+      // 6️⃣ Create or Update Vendor
+      // -----------------------
+      const existingVendor = Boolean(vendorId);
+      if (existingVendor) {
+        await zoho.put(VENDORS, {
+          data: [{ id: vendorId, ...vendorChanges }],
+        });
+        logger.info("Vendor updated", { vendorId });
+      } else {
+        const createResp = await zoho.post(VENDORS, {
+          data: [{ ...vendorData, ...ownerFields(req.user) }],
+        });
+        vendorId = createResp.data[0].details.id;
+        logger.info("Vendor created", { vendorId });
+      }
 
-    const prResp = await axios.post(
-      `${ZOHO}/${process.env.ZOHO_PURCHASE_REQUESTS_MODULE_ID}`,
-      { data: [purchaseRequestPayload] },
-      { headers: { Authorization: `Zoho-oauthtoken ${accessToken}` } },
-    );
+      // -----------------------
+      // 7️⃣ Create Purchase Request
+      // -----------------------
+      const purchaseRequestPayload = {
+        Name: purchaseRequestDataRaw.requisition_number || `PR-${Date.now()}`,
+        Vendor: { id: vendorId },
+        Expected_Delivery_Date: purchaseRequestDataRaw.expected_delivery_date,
+        Warehouse: purchaseRequestDataRaw.warehouse || "Default",
+        Tag: purchaseRequestDataRaw.tag || "",
+        Exchange_Rate: purchaseRequestDataRaw.exchange_rate || 1,
+        PO_Items: PO_Items,
+        ...ownerFields(req.user),
+      };
 
-    const purchaseRequestId = prResp.data.data[0].details.id;
+      logger.debug("Purchase request payload", { purchaseRequestPayload });
 
-    // -----------------------
-    // 8️⃣ Send Response
-    // -----------------------
-    return res.status(200).json({
-      success: true,
-      vendorId,
-      purchaseRequestId,
-      message: "Vendor synced & Purchase Request created successfully",
-      requestData: purchaseRequestPayload,
-    });
-  } catch (error) {
-    console.error("🔥 ERROR:", error.response?.data || error);
-    return res.status(500).json({
-      success: false,
-      error: error.response?.data || error.message,
-    });
-  }
-});
+      const prResp = await zoho.post(PURCHASE_REQUESTS, {
+        data: [purchaseRequestPayload],
+      });
+
+      const purchaseRequestId = prResp.data[0].details.id;
+
+      // -----------------------
+      // 8️⃣ Notify vendor webhooks (VENDOR_WEBHOOK_URLS / routes)
+      // Queued in the outbox – retries don't hold up the response
+      // -----------------------
+      await dispatchEvent(
+        existingVendor ? "vendor.updated" : "vendor.created",
+        { vendorId, ...vendorData },
+        { wait: false },
+      );
+      await dispatchEvent(
+        "purchase_request.created",
+        { purchaseRequestId, processed_at, ...purchaseRequestPayload },
+        { wait: false },
+      );
+
+      // -----------------------
+      // 9️⃣ Send Response
+      // -----------------------
+      return res.status(200).json({
+        success: true,
+        vendorId,
+        purchaseRequestId,
+        message: "Vendor synced & Purchase Request created successfully",
+        gstin: gstinDetails,
+        vendorMatch,
+        requestData: purchaseRequestPayload,
+      });
+    } catch (error) {
+      logger.error("Vendor sync failed", { error, zoho: error.data });
+      return res.status(500).json({
+        success: false,
+        error: zohoErrorBody(error),
+      });
+    }
+  },
+);
 
 // Search Products
-app.get("/api/products/search", async (req, res) => {
+app.get("/api/products/search", canSearchProducts, async (req, res) => {
   try {
     const keyword = (req.query.keyword || "").trim();
 
@@ -602,24 +1422,15 @@ app.get("/api/products/search", async (req, res) => {
       });
     }
 
-    const token = await getZohoAccessToken();
-
-    const response = await axios.get(
-      "https://www.zohoapis.in/crm/v2/Products/search",
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${token}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          criteria: `(Product_Name:starts_with:${keyword})`,
-          per_page: 10,
-        },
+    const response = await zoho.get(`${MODULES.products}/search`, {
+      params: {
+        criteria: `(Product_Name:starts_with:${escapeCriteria(keyword)})`,
+        per_page: 10,
       },
-    );
+    });
 
-    if (response.data.data) {
-      const products = response.data.data.map((item) => ({
+    if (response.data) {
+      const products = response.data.map((item) => ({
         id: item.id,
         name: item.Product_Name,
         sku: item.SKU || "",
@@ -639,10 +1450,7 @@ app.get("/api/products/search", async (req, res) => {
       products: [],
     });
   } catch (error) {
-    console.error(
-      "Product Search Error:",
-      error.response?.data || error.message,
-    );
+    logger.error("Product search failed", error);
     return res.json({
       success: false,
       products: [],
@@ -650,253 +1458,237 @@ app.get("/api/products/search", async (req, res) => {
   }
 });
 
-function generateContactToken() {
-  const now = new Date();
-  const pad = (n) => n.toString().padStart(2, "0");
-
-  return (
-    "CE" +
-    pad(now.getDate()) +
-    pad(now.getMonth() + 1) +
-    now.getFullYear().toString().slice(-2) +
-    pad(now.getHours()) +
-    pad(now.getMinutes()) +
-    pad(now.getSeconds())
-  );
-}
-
 // CREATE OR UPDATE CONTACT
-app.post("/api/contacts/save", async (req, res) => {
-  try {
-    const {
-      contactId,
-      mobile,
-      firstName,
-      lastName,
-      email,
-      alternateNumber,
-      address,
-      location,
-      gstNumber,
-    } = req.body;
-
-    const token = await getZohoAccessToken();
-
-    // payload shared for create & update
-    let payload = {
-      data: [
-        {
-          First_Name: firstName,
-          Last_Name: lastName,
-          Mobile: mobile,
-          Email: email,
-          Alternate_Number: alternateNumber,
-          Mailing_Street: address,
-          Location: location,
-          GSTIN_Number: gstNumber || null,
-          Contact_Number: mobile,
-          Billing_First_Name: firstName,
-        },
-      ],
-    };
-
-    // =======================
-    // UPDATE CONTACT
-    // =======================
-    if (contactId) {
-      await axios.put(
-        `https://www.zohoapis.in/crm/v2/Contacts/${contactId}`,
-        payload,
-        { headers: { Authorization: `Zoho-oauthtoken ${token}` } },
-      );
+app.post(
+  "/api/contacts/save",
+  canSell,
+  idempotent(),
+  validateBody(schemas.contact),
+  async (req, res) => {
+    let sequence = null;
+    try {
+      const {
+        contactId,
+        mobile,
+        firstName,
+        lastName,
+        email,
+        alternateNumber,
+        address,
+        location,
+        gstNumber,
+      } = req.body;
+
+      // Normalized, with the state it was issued in (services/gstin.js)
+      const gstinDetails = gstNumber ? parseGstin(gstNumber) : null;
+
+      // payload shared for create & update
+      let payload = {
+        data: [
+          {
+            First_Name: firstName,
+            Last_Name: lastName,
+            Mobile: mobile,
+            Email: email,
+            Alternate_Number: alternateNumber,
+            Mailing_Street: address,
+            Location: location,
+            GSTIN_Number: gstinDetails?.gstin || null,
+            ...(gstinDetails && { Mailing_State: gstinDetails.state }),
+            Contact_Number: mobile,
+            Billing_First_Name: firstName,
+          },
+        ],
+      };
 
-      return res.json({
-        success: true,
-        message: "Contact updated",
-        data: { id: contactId },
-      });
-    }
+      // =======================
+      // UPDATE CONTACT
+      // =======================
+      if (contactId) {
+        await zoho.put(`${MODULES.contacts}/${contactId}`, payload);
 
-    // =======================
-    // CREATE NEW CONTACT
-    // =======================
+        return res.json({
+          success: true,
+          message: "Contact updated",
+          data: { id: contactId },
+        });
+      }
 
-    // Generate Token (STAGE1_ID)
-    const tokenNumber = generateContactToken();
+      // =======================
+      // CREATE NEW CONTACT
+      // =======================
 
-    // Add token into payload
-    payload.data[0].STAGE1_ID = tokenNumber;
+      // Token (STAGE1_ID) from the per-store, per-FY sequence
+      sequence = await issueNumber("contact", {
+        store: req.user.store,
+        user: req.user,
+      });
+      const tokenNumber = sequence.number;
 
-    const result = await axios.post(
-      "https://www.zohoapis.in/crm/v2/Contacts",
-      payload,
-      { headers: { Authorization: `Zoho-oauthtoken ${token}` } },
-    );
+      // Add token + owner (the signed-in staff member) into payload
+      payload.data[0].STAGE1_ID = tokenNumber;
+      Object.assign(payload.data[0], ownerFields(req.user));
 
-    const newId = result.data.data[0].details.id;
+      const result = await zoho.post(MODULES.contacts, payload);
 
-    return res.json({
-      success: true,
-      message: "New contact created",
-      data: {
-        id: newId,
-        token: tokenNumber,
-      },
-    });
-  } catch (err) {
-    console.error("Contact Save Error:", err.response?.data || err.message);
-    res.status(500).json({ success: false, message: "Error saving contact" });
-  }
-});
+      const newId = result.data[0].details.id;
+      await confirmNumber(sequence, { recordId: newId });
 
-// Generate unique Token Number for Cash Slip (Zoho field: Name)
-function generateToken() {
-  const now = new Date();
-  const pad = (n) => n.toString().padStart(2, "0");
+      return res.json({
+        success: true,
+        message: "New contact created",
+        data: {
+          id: newId,
+          token: tokenNumber,
+        },
+      });
+    } catch (err) {
+      logger.error("Contact save failed", { error: err, zoho: err.data });
+      await voidNumber(sequence, err.message);
+      res.status(500).json({ success: false, message: "Error saving contact" });
+    }
+  },
+);
 
-  return (
-    "CS" +
-    now.getFullYear().toString().slice(-2) +
-    pad(now.getMonth() + 1) +
-    pad(now.getDate()) +
-    pad(now.getHours()) +
-    pad(now.getMinutes()) +
-    pad(now.getSeconds())
-  );
-}
+// CREATE CASH SLIP / SALE ENTRY
+app.post(
+  "/api/sales/create",
+  canSell,
+  idempotent(),
+  validateBody(schemas.cashSlip),
+  async (req, res) => {
+    let sequence = null;
+    try {
+      const {
+        contactId,
+        products,
+        gstInputClaim,
+        gstNumber,
+        multiProduct,
+        salesman1,
+        salesman2,
+        salesman3,
+        deliveryLater,
+        deliveryDate,
+        underExchange,
+        exchangeInfo,
+        diwaliSpinWin,
+        discount,
+        discountAmount,
+        discountApprover,
+        discountSignature,
+        schemeNo,
+        giftAmount,
+        paymentMode,
+        paymentOther,
+        bank,
+        additionalInfo,
+      } = req.body;
+
+      // PRODUCT FIELDS MUST BE TEXT IN ZOHO
+      const skuFields = {};
+      const modelFields = {};
+      const rateFields = {};
+      const serialFields = {};
+
+      products.forEach((p, i) => {
+        const idx = i + 1;
+
+        skuFields[`SKU${idx}`] = String(p.sku || "");
+        modelFields[`Model_${idx}`] = String(p.modelNo || "");
+        rateFields[`Rate_${idx}`] = String(p.rate || "0");
+        serialFields[`Serial_No_${idx}`] = String(p.serialNo || "");
+      });
 
-const tokenNumber = generateToken();
+      const billAmount = products.reduce(
+        (t, p) => t + Number(p.rate) * Number(p.quantity),
+        0,
+      );
 
-// CREATE CASH SLIP / SALE ENTRY
-app.post("/api/sales/create", async (req, res) => {
-  try {
-    const {
-      contactId,
-      products,
-      gstInputClaim,
-      gstNumber,
-      multiProduct,
-      salesman1,
-      salesman2,
-      salesman3,
-      deliveryLater,
-      deliveryDate,
-      underExchange,
-      exchangeInfo,
-      diwaliSpinWin,
-      discount,
-      discountAmount,
-      discountApprover,
-      discountSignature,
-      schemeNo,
-      giftAmount,
-      paymentMode,
-      paymentOther,
-      bank,
-      additionalInfo,
-    } = req.body;
-
-    const token = await getZohoAccessToken();
-
-    // PRODUCT FIELDS MUST BE TEXT IN ZOHO
-    const skuFields = {};
-    const modelFields = {};
-    const rateFields = {};
-    const serialFields = {};
-
-    products.forEach((p, i) => {
-      const idx = i + 1;
-
-      skuFields[`SKU${idx}`] = String(p.sku || "");
-      modelFields[`Model_${idx}`] = String(p.modelNo || "");
-      rateFields[`Rate_${idx}`] = String(p.rate || "0");
-      serialFields[`Serial_No_${idx}`] = String(p.serialNo || "");
-    });
+      // Token Number (Zoho field: Name) – a fresh one for every slip
+      sequence = await issueNumber("cashSlip", {
+        store: req.user.store,
+        user: req.user,
+      });
+      const tokenNumber = sequence.number;
 
-    const billAmount = products.reduce(
-      (t, p) => t + Number(p.rate) * Number(p.quantity),
-      0,
-    );
+      const payload = {
+        data: [
+          {
+            Name: tokenNumber,
+            Contact_Name: contactId,
+            Billing_Name: products[0].productName,
+            Mobile_Number: products[0].mobile,
+            Address: products[0].address,
 
-    const payload = {
-      data: [
-        {
-          Name: tokenNumber,
-          Contact_Name: contactId,
-          Billing_Name: products[0].productName,
-          Mobile_Number: products[0].mobile,
-          Address: products[0].address,
+            ...skuFields,
+            ...modelFields,
+            ...rateFields,
+            ...serialFields,
 
-          ...skuFields,
-          ...modelFields,
-          ...rateFields,
-          ...serialFields,
+            Product_Category: products.map((p) => p.category),
+            One_Assist: products[0].oneAssist,
+            One_Assist_Amount: products[0].oneAssistAmount,
 
-          Product_Category: products.map((p) => p.category),
-          One_Assist: products[0].oneAssist,
-          One_Assist_Amount: products[0].oneAssistAmount,
+            GST_INPUT_REQUIRED: gstInputClaim,
+            GST_Number: gstNumber,
+            Discount: discount,
+            How_Much: discountAmount,
+            Discount_Approved_By: discountApprover,
 
-          GST_INPUT_REQUIRED: gstInputClaim,
-          GST_Number: gstNumber,
-          Discount: discount,
-          How_Much: discountAmount,
-          Discount_Approved_By: discountApprover,
+            Under_Exchange: underExchange,
+            Under_Exchange_info: exchangeInfo,
 
-          Under_Exchange: underExchange,
-          Under_Exchange_info: exchangeInfo,
+            Diwali_2024_Spin: products[0].spinPercent,
+            Scheme_Number: schemeNo,
+            Gift_Contribution: giftAmount,
 
-          Diwali_2024_Spin: products[0].spinPercent,
-          Scheme_Number: schemeNo,
-          Gift_Contribution: giftAmount,
+            Delivery_Later: deliveryLater,
+            Delivery_On: deliveryDate || null,
+            Demo_Installation_Required: products[0].installationRequired,
 
-          Delivery_Later: deliveryLater,
-          Delivery_On: deliveryDate || null,
-          Demo_Installation_Required: products[0].installationRequired,
+            Payment_Mode: paymentMode,
+            If_other_What: paymentOther,
+            Which_Bank_Credit_Card: bank,
 
-          Payment_Mode: paymentMode,
-          If_other_What: paymentOther,
-          Which_Bank_Credit_Card: bank,
+            Salesman_1: salesman1 || req.user.name,
+            Salesman_2: salesman2,
 
-          Salesman_1: salesman1,
-          Salesman_2: salesman2,
+            Additional_Information: additionalInfo,
 
-          Additional_Information: additionalInfo,
+            Bill_Amount: billAmount,
 
-          Bill_Amount: billAmount,
-        },
-      ],
-    };
-
-    const saleRes = await axios.post(
-      "https://www.zohoapis.in/crm/v2/Cash_Slips",
-      payload,
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${token}`,
-          "Content-Type": "application/json",
-        },
-      },
-    );
+            ...ownerFields(req.user),
+          },
+        ],
+      };
 
-    return res.json({
-      success: true,
-      message: "Cash Slip created successfully",
-      data: saleRes.data,
-    });
-  } catch (err) {
-    console.error("Cash Slip Error:", err.response?.data || err.message);
-    return res.status(500).json({
-      success: false,
-      message: "Error creating cash slip",
-    });
-  }
-});
+      const saleRes = await zoho.post(MODULES.cashSlips, payload);
+      await confirmNumber(sequence, {
+        recordId: saleRes.data?.[0]?.details?.id,
+      });
+
+      return res.json({
+        success: true,
+        message: "Cash Slip created successfully",
+        data: saleRes,
+      });
+    } catch (err) {
+      logger.error("Cash slip create failed", { error: err, zoho: err.data });
+      await voidNumber(sequence, err.message);
+      return res.status(500).json({
+        success: false,
+        message: "Error creating cash slip",
+      });
+    }
+  },
+);
 
 // Add these routes to your existing backend file
 // Add these routes to your existing backend
 
 // Search Contacts for Finance Form
-app.get("/api/finance/contacts/search", async (req, res) => {
+app.get("/api/finance/contacts/search", canFinance, async (req, res) => {
   try {
     const mobile = (req.query.mobile || "").trim();
 
@@ -907,25 +1699,16 @@ app.get("/api/finance/contacts/search", async (req, res) => {
       });
     }
 
-    const accessToken = await getZohoAccessToken();
-
     // Search in Contacts module
-    const response = await axios.get(
-      "https://www.zohoapis.in/crm/v2/Contacts/search",
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          criteria: `(Mobile:starts_with:${mobile})`,
-          per_page: 10,
-        },
+    const response = await zoho.get(`${MODULES.contacts}/search`, {
+      params: {
+        criteria: `(Mobile:starts_with:${escapeCriteria(mobile)})`,
+        per_page: 10,
       },
-    );
+    });
 
-    if (response.data.data && response.data.data.length > 0) {
-      const suggestions = response.data.data.map((contact) => ({
+    if (response.data && response.data.length > 0) {
+      const suggestions = response.data.map((contact) => ({
         id: contact.id,
         Name: contact.First_Name || contact.Name || "",
         Last_Name: contact.Last_Name || "",
@@ -955,17 +1738,7 @@ app.get("/api/finance/contacts/search", async (req, res) => {
       suggestions: [],
     });
   } catch (error) {
-    if (error.response?.status === 204) {
-      return res.json({
-        success: true,
-        suggestions: [],
-      });
-    }
-
-    console.error(
-      "Contact Search Error:",
-      error.response?.data || error.message,
-    );
+    logger.error("Finance contact search failed", error);
     return res.status(500).json({
       success: false,
       message: "Error searching contacts",
@@ -978,7 +1751,7 @@ app.get("/api/finance/contacts/search", async (req, res) => {
 // Search Trail Records by Mobile Number
 // Search Trail Records by Mobile Number
 // Search Trail Records by Mobile (with partial match)
-app.get("/api/trail/search", async (req, res) => {
+app.get("/api/trail/search", canLookupCustomers, async (req, res) => {
   try {
     const mobile = (req.query.mobile || "").trim();
 
@@ -986,36 +1759,23 @@ app.get("/api/trail/search", async (req, res) => {
       return res.json({ success: true, records: [] });
     }
 
-    const zohoToken = await getZohoAccessToken();
-
     // Using contains for better partial matching (if Zoho supports it for phone fields)
     // If Zoho only supports equals for phone fields, use that
-    const criteria = `(Mobile_Number:equals:${mobile})`;
-
-    const response = await axios.get(
-      "https://www.zohoapis.in/crm/v2/Trial/search",
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${zohoToken}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          criteria,
-          per_page: 10,
-        },
+    const criteria = `(Mobile_Number:equals:${escapeCriteria(mobile)})`;
+
+    const response = await zoho.get(`${MODULES.trail}/search`, {
+      params: {
+        criteria,
+        per_page: 10,
       },
-    );
+    });
 
     return res.json({
       success: true,
-      records: response.data.data || [],
+      records: response.data || [],
     });
   } catch (error) {
-    if (error.response?.status === 204) {
-      return res.json({ success: true, records: [] });
-    }
-
-    console.error("Trail Search Error:", error.response?.data || error.message);
+    logger.error("Trail search failed", error);
 
     return res.status(500).json({
       success: false,
@@ -1025,47 +1785,54 @@ app.get("/api/trail/search", async (req, res) => {
   }
 });
 
+// Upload Trail Image Helper
+async function uploadTrailImage(file, recordId) {
+  try {
+    await uploadAttachment(MODULES.trail, recordId, file);
+    logger.info("Trail image uploaded", { recordId });
+  } catch (error) {
+    logger.error("Trail image upload failed", { recordId, error });
+  }
+}
+
 // Create New Trail Record (with duplicate check)
 // Create New Trail Record (ALWAYS creates new record, even if mobile exists)
 app.post(
   "/api/trail/create",
-  upload.single("Record_Image"),
+  canLookupCustomers,
+  keepRequestContext(upload.single("Record_Image")),
+  idempotent(),
+  validateBody(schemas.trail),
   async (req, res) => {
     try {
       const mobileNumber = (req.body.Mobile_Number || "").trim();
-      const accessToken = await getZohoAccessToken();
 
       // ===== Duplicate Check =====
       let existingRecords = [];
       if (mobileNumber && mobileNumber.length >= 4) {
         try {
-          const criteria = `(Mobile_Number:equals:${mobileNumber})`;
-          const existingResponse = await axios.get(
-            "https://www.zohoapis.in/crm/v2/Trial/search",
-            {
-              headers: {
-                Authorization: `Zoho-oauthtoken ${accessToken}`,
-                "Content-Type": "application/json",
-              },
-              params: { criteria, per_page: 5 },
-            },
-          );
-
-          if (existingResponse.data.data?.length > 0) {
-            existingRecords = existingResponse.data.data;
-            console.log(
-              `⚠️ Mobile number ${mobileNumber} exists in ${existingRecords.length} record(s). Creating NEW record.`,
-            );
+          const criteria = `(Mobile_Number:equals:${escapeCriteria(mobileNumber)})`;
+          const existingResponse = await zoho.get(`${MODULES.trail}/search`, {
+            params: { criteria, per_page: 5 },
+          });
+
+          if (existingResponse.data?.length > 0) {
+            existingRecords = existingResponse.data;
+            logger.info("Mobile number already on Trail, creating new record", {
+              existing: existingRecords.length,
+            });
           }
         } catch (error) {
-          console.log("Duplicate check failed:", error.message);
+          logger.warn("Trail duplicate check failed", error);
         }
       }
 
       // ===== Owner Field Handling =====
-      let ownerValue = null;
-      if (req.body.Owner && !isNaN(req.body.Owner)) {
-        ownerValue = parseInt(req.body.Owner);
+      // The signed-in user owns the record; a numeric Owner from the form
+      // is only used for API keys / users without a Zoho user mapping
+      let owner = ownerFields(req.user);
+      if (!owner.Owner && req.body.Owner && !isNaN(req.body.Owner)) {
+        owner = { Owner: { id: String(req.body.Owner) } };
       }
 
       // Helper functions
@@ -1099,6 +1866,13 @@ app.post(
         return false;
       };
 
+      // Amounts are schema-checked numbers: "0" stays 0, only a missing
+      // or empty value is null
+      const toAmount = (value) =>
+        value === undefined || value === null || value === ""
+          ? null
+          : Number(value);
+
       const toYesNoNumber = (value) => {
         if (
           value === true ||
@@ -1118,24 +1892,17 @@ app.post(
       let contactId = null;
       // Create new Contact if not exists
       if (!contactId) {
-        const newContact = await axios.post(
-          "https://www.zohoapis.in/crm/v2/Contacts",
-          {
-            data: [
-              {
-                Last_Name: req.body.Name || "Customer",
-                Mobile: req.body.Mobile_Number,
-              },
-            ],
-          },
-          {
-            headers: {
-              Authorization: `Zoho-oauthtoken ${accessToken}`,
+        const newContact = await zoho.post(MODULES.contacts, {
+          data: [
+            {
+              Last_Name: req.body.Name || "Customer",
+              Mobile: req.body.Mobile_Number,
+              ...owner,
             },
-          },
-        );
+          ],
+        });
 
-        contactId = newContact.data.data[0].details.id;
+        contactId = newContact.data[0].details.id;
       }
       const formatDateForZoho = (dateValue) => {
         if (!dateValue) return null;
@@ -1155,7 +1922,7 @@ app.post(
 
           return date.toISOString().split("T")[0]; // Returns YYYY-MM-DD
         } catch (error) {
-          console.error("Error formatting date:", error);
+          logger.warn("Date formatting failed", error);
           return null;
         }
       };
@@ -1201,27 +1968,25 @@ app.post(
             Location: req.body.Location || "",
             Office_Name: req.body.Office_Name || "",
             Office_Address: req.body.Office_Address || "",
-            Salesman_Name: req.body.Salesman_Name || "",
+            Salesman_Name: req.body.Salesman_Name || req.user.name || "",
             Salesman_Name_2: req.body.Salesman_Name_2 || "",
             Contacts: contactId ? { id: contactId } : null,
             CREATED_TIME_AND_DATE: createdTime,
 
             // Financial Details
-            Bill_Amount: parseFloat(req.body.Bill_Amount) || null,
-            Approx_Advance: parseFloat(req.body.Approx_Advance) || null,
-            Balance: parseFloat(req.body.Balance) || null,
-            Bank_Amt: parseFloat(req.body.Bank_Amt) || null,
-            Total_Cash_Received:
-              parseFloat(req.body.Total_Cash_Received) || null,
-            Other_Payment_mode_recd:
-              parseFloat(req.body.Other_Payment_mode_recd) || null,
-            Cheque_Amt: parseFloat(req.body.Cheque_Amt) || null,
-
-            Down_Payment_1: parseFloat(req.body.Down_Payment_1) || null,
-            Down_Payment_2: parseFloat(req.body.Down_Payment_2) || null,
-            Down_Payment_3: parseFloat(req.body.Down_Payment_3) || null,
-            Down_Payment_4: parseFloat(req.body.Down_Payment_4) || null,
-            Down_Payment_5: parseFloat(req.body.Down_Payment_5) || null,
+            Bill_Amount: toAmount(req.body.Bill_Amount),
+            Approx_Advance: toAmount(req.body.Approx_Advance),
+            Balance: toAmount(req.body.Balance),
+            Bank_Amt: toAmount(req.body.Bank_Amt),
+            Total_Cash_Received: toAmount(req.body.Total_Cash_Received),
+            Other_Payment_mode_recd: toAmount(req.body.Other_Payment_mode_recd),
+            Cheque_Amt: toAmount(req.body.Cheque_Amt),
+
+            Down_Payment_1: toAmount(req.body.Down_Payment_1),
+            Down_Payment_2: toAmount(req.body.Down_Payment_2),
+            Down_Payment_3: toAmount(req.body.Down_Payment_3),
+            Down_Payment_4: toAmount(req.body.Down_Payment_4),
+            Down_Payment_5: toAmount(req.body.Down_Payment_5),
 
             Mode_Of_Payment: req.body.Mode_Of_Payment || "Cash",
             Finance_By1: req.body.Finance_By1 || "",
@@ -1240,7 +2005,7 @@ app.post(
             EMI_Start_Date: formatDateForZoho(req.body.EMI_Start_Date),
             EMI_End_Date: formatDateForZoho(req.body.EMI_End_Date),
             Delivery_On: formatDateForZoho(req.body.Delivery_On),
-            Limit: parseFloat(req.body.Limit) || null,
+            Limit: toAmount(req.body.Limit),
             Limit_Approved: toYesNoNumber(req.body.Limit_Approved),
 
             // Product Details (Including Form 26 Fields)
@@ -1277,7 +2042,7 @@ app.post(
             Under_Exchange: toBoolean(req.body.Under_Exchange),
             Previous_Loan: toBoolean(req.body.Previous_Loan),
             One_Assist: req.body.One_Assist || "",
-            One_Assist_Amount: parseFloat(req.body.One_Assist_Amount) || null,
+            One_Assist_Amount: toAmount(req.body.One_Assist_Amount),
             Diwali_2024_Spin: req.body.Diwali_2024_Spin || "",
 
             // Delivery Details
@@ -1304,7 +2069,7 @@ app.post(
             Rs_1000_Cashback: toBoolean(req.body.Rs_1000_Cashback),
             Rs_2000_Cashback: toBoolean(req.body.Rs_2000_Cashback),
             Redeemed: toBoolean(req.body.Redeemed),
-            Redeemed_Cashback: parseFloat(req.body.Redeemed_Cashback) || null,
+            Redeemed_Cashback: toAmount(req.body.Redeemed_Cashback),
 
             // Claims Details
             Claim_No_1: req.body.Claim_No_1 || "",
@@ -1330,36 +2095,27 @@ app.post(
               : null,
             Stage: req.body.Stage || "New",
 
-            ...(ownerValue !== null && { Owner: ownerValue }),
+            ...owner,
           },
         ],
       };
 
-      console.log("Payload to be sent:", JSON.stringify(payload, null, 2));
+      logger.debug("Trail payload", { payload });
 
       // ===== Create Record =====
-      const response = await axios.post(
-        "https://www.zohoapis.in/crm/v2/Trial",
-        payload,
-        {
-          headers: {
-            Authorization: `Zoho-oauthtoken ${accessToken}`,
-            "Content-Type": "application/json",
-          },
-        },
-      );
+      const response = await zoho.post(MODULES.trail, payload);
 
-      const recordId = response.data.data[0].details.id;
+      const recordId = response.data[0].details.id;
 
       // Upload Image
       if (req.file) {
-        await uploadTrailImage(req.file, recordId, accessToken);
+        await uploadTrailImage(req.file, recordId);
       }
 
       res.json({
         success: true,
         message: "NEW Trail record created successfully",
-        data: response.data,
+        data: response,
         recordId,
         note:
           existingRecords.length > 0
@@ -1367,40 +2123,31 @@ app.post(
             : `Note: New mobile number. Record created with token: ${req.body.Toeken_number}`,
       });
     } catch (err) {
-      console.error("Trail Create Error:", err.response?.data || err.message);
-
-      // Log full error details
-      if (err.response?.data) {
-        console.error(
-          "Zoho API Error Details:",
-          JSON.stringify(err.response.data, null, 2),
-        );
-      }
+      logger.error("Trail create failed", { error: err, zoho: err.data });
 
       // Specific Field Error
-      if (err.response?.data?.data?.[0]?.code === "INVALID_DATA") {
-        const fieldName = err.response.data.data[0].details.api_name;
-        const expectedType =
-          err.response.data.data[0].details.expected_data_type;
+      if (err.code === "INVALID_DATA" && err.details?.api_name) {
+        const fieldName = err.details.api_name;
+        const expectedType = err.details.expected_data_type;
 
         return res.status(400).json({
           success: false,
           message: `Invalid data format for field "${fieldName}". Expected: ${expectedType}.`,
-          error: err.response.data,
+          error: zohoErrorBody(err),
         });
       }
 
       res.status(500).json({
         success: false,
         message: "Error creating Trail record",
-        error: err.response?.data || err.message,
+        error: zohoErrorBody(err),
       });
     }
   },
 );
 
 // Separate endpoint if you want to check duplicates before creation
-app.post("/api/trail/check-duplicate", async (req, res) => {
+app.post("/api/trail/check-duplicate", canLookupCustomers, async (req, res) => {
   try {
     const mobileNumber = (req.body.Mobile_Number || "").trim();
 
@@ -1412,71 +2159,40 @@ app.post("/api/trail/check-duplicate", async (req, res) => {
       });
     }
 
-    const accessToken = await getZohoAccessToken();
-
-    const criteria = `(Mobile_Number:equals:${mobileNumber})`;
-    const existingResponse = await axios.get(
-      "https://www.zohoapis.in/crm/v2/Trial/search",
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          criteria,
-          per_page: 5,
-        },
+    const criteria = `(Mobile_Number:equals:${escapeCriteria(mobileNumber)})`;
+    const existingResponse = await zoho.get(`${MODULES.trail}/search`, {
+      params: {
+        criteria,
+        per_page: 5,
       },
-    );
+    });
 
-    const isDuplicate =
-      existingResponse.data.data && existingResponse.data.data.length > 0;
+    const existingRecords = existingResponse.data || [];
+    const isDuplicate = existingRecords.length > 0;
 
     return res.json({
       success: true,
       isDuplicate: isDuplicate,
-      existingRecords: existingResponse.data.data || [],
-      count: existingResponse.data.data ? existingResponse.data.data.length : 0,
+      existingRecords,
+      count: existingRecords.length,
       message: isDuplicate
-        ? `Found ${existingResponse.data.data.length} existing record(s) with this mobile number`
+        ? `Found ${existingRecords.length} existing record(s) with this mobile number`
         : "No duplicate records found",
     });
   } catch (error) {
-    console.error(
-      "Duplicate Check Error:",
-      error.response?.data || error.message,
-    );
+    logger.error("Trail duplicate check failed", error);
     return res.status(500).json({
       success: false,
       message: "Error checking for duplicates",
-      error: error.response?.data || error.message,
+      error: zohoErrorBody(error),
     });
   }
 });
 
-// ===============================================
-// AES ENCRYPTION (crypto-js)
-// ===============================================
-function encrypt(text) {
-  if (!process.env.AES_SECRET) {
-    console.error("❌ AES_SECRET missing in .env");
-    throw new Error("AES_SECRET missing");
-  }
-  return CryptoJS.AES.encrypt(text, process.env.AES_SECRET).toString();
-}
-
-function decrypt(cipher) {
-  if (!process.env.AES_SECRET) {
-    console.error("❌ AES_SECRET missing in .env");
-    throw new Error("AES_SECRET missing");
-  }
-  const bytes = CryptoJS.AES.decrypt(cipher, process.env.AES_SECRET);
-  return bytes.toString(CryptoJS.enc.Utf8);
-}
 // ===============================================
 // SEND ENCRYPTED GEMINI KEY TO FRONTEND
 // ===============================================
-app.get("/config/encrypted-key", (req, res) => {
+app.get("/config/encrypted-key", authenticated(), (req, res) => {
   try {
     if (!process.env.GEMINI_KEY) {
       return res.status(500).json({ error: "Gemini key missing" });
@@ -1488,7 +2204,7 @@ app.get("/config/encrypted-key", (req, res) => {
     const encryptedKey = encrypt(process.env.GEMINI_KEY);
     res.json({ encryptedKey });
   } catch (err) {
-    console.error("Encryption Error:", err.message);
+    logger.error("Gemini key encryption failed", err);
     res.status(500).json({ error: "Encryption failed" });
   }
 });
@@ -1496,7 +2212,7 @@ app.get("/config/encrypted-key", (req, res) => {
 // ===============================================
 // AI PROXY – decrypt → call Gemini → return result
 // ===============================================
-app.post("/ai/generate", async (req, res) => {
+app.post("/ai/generate", authenticated(), async (req, res) => {
   try {
     const { prompt, encryptedKey } = req.body;
 
@@ -1512,11 +2228,15 @@ app.post("/ai/generate", async (req, res) => {
 
     res.json(aiRes.data);
   } catch (err) {
-    console.log("AI Error:", err);
+    logger.error("Gemini request failed", {
+      error: err,
+      status: err.response?.status,
+    });
     res.status(500).json({ error: "Gemini request failed" });
   }
 });
 
 app.listen(PORT, function () {
-  console.log("🚀 Server running on port " + PORT);
+  logger.info("Server running", { port: PORT });
+  outbox.startOutboxWorker();
 });
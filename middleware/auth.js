@@ -0,0 +1,95 @@
+const { authenticateApiKey, verifySessionToken } = require("../services/auth");
+const { logger } = require("../services/logger");
+
+// ===============================================
+// AUTH MIDDLEWARE
+//
+//   app.post("/api/sales/create", allow("salesman", "cashier"), ...)
+//
+// "admin" may call every route. req.user is set for the handler.
+// ===============================================
+
+function readBearer(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function resolvePrincipal(req, { allowQueryToken }) {
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey) return authenticateApiKey(apiKey);
+
+  // Browser redirects (e.g. /oauth/start) cannot send headers
+  const token =
+    readBearer(req) || (allowQueryToken ? req.query.access_token : null);
+  return token ? verifySessionToken(token) : null;
+}
+
+/**
+ * Require an authenticated caller holding one of `roles`.
+ * The last argument may be an options object: { allowQueryToken }.
+ */
+function allow(...roles) {
+  const options =
+    typeof roles[roles.length - 1] === "object" ? roles.pop() : {};
+
+  return (req, res, next) => {
+    let principal;
+    try {
+      principal = resolvePrincipal(req, options);
+    } catch (error) {
+      logger.error("Authentication misconfigured", error);
+      return res.status(500).json({
+        success: false,
+        message: "Authentication is not configured",
+      });
+    }
+
+    if (!principal) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    const permitted =
+      principal.roles.includes("admin") ||
+      roles.length === 0 ||
+      roles.some((role) => principal.roles.includes(role));
+
+    if (!permitted) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this action",
+      });
+    }
+
+    req.user = principal;
+    next();
+  };
+}
+
+// The caller if signed in, else null – for routes that answer anyone
+// but show more to some roles
+function optionalPrincipal(req) {
+  try {
+    return resolvePrincipal(req, {});
+  } catch {
+    return null;
+  }
+}
+
+// Any signed-in staff member, whatever the role
+const authenticated = () => allow();
+
+// Zoho Owner lookup for records created by the caller ({} if unmapped)
+function ownerFields(user) {
+  return user?.zohoUserId ? { Owner: { id: String(user.zohoUserId) } } : {};
+}
+
+module.exports = {
+  allow,
+  authenticated,
+  optionalPrincipal,
+  ownerFields,
+};
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const { getKvStore } = require("../services/kvStore");
+const { logger } = require("../services/logger");
+
+// ===============================================
+// IDEMPOTENCY KEYS
+//
+//   app.post("/api/sales/create", canSell, idempotent(), ...)
+//
+// A client that may retry (flaky shop Wi-Fi) sends the same
+// "Idempotency-Key: <uuid>" header on every attempt. The first
+// response is stored for IDEMPOTENCY_TTL_HOURS (default 24) and
+// replayed for repeats with "Idempotent-Replayed: true".
+//
+//   - same key while the first request is still running → 409
+//   - same key with a different body → 422
+//   - 5xx responses are not stored, so the client can retry
+//
+// Keys are scoped per caller and route. Requests without the header
+// behave as before.
+// ===============================================
+
+const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key";
+const REPLAYED_HEADER = "Idempotent-Replayed";
+
+const DEFAULT_TTL_HOURS = 24;
+// How long an in-flight marker survives a crashed request
+const IN_FLIGHT_TTL_MS = 2 * 60 * 1000;
+
+const VALID_KEY = /^[\x21-\x7e]{8,255}$/;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function ttlMs() {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  return hours * 3600 * 1000;
+}
+
+// Body + uploaded file identify "the same request"
+function fingerprint(req) {
+  const file = req.file
+    ? {
+        name: req.file.originalname,
+        size: req.file.size,
+        hash: sha256(req.file.buffer || ""),
+      }
+    : null;
+  return sha256(JSON.stringify({ body: req.body || {}, file }));
+}
+
+function storeKey(req, key) {
+  const caller = req.user ? `${req.user.type}:${req.user.id}` : "anonymous";
+  return `idempotency:${sha256(`${caller}|${req.method}|${req.baseUrl}${req.path}|${key}`)}`;
+}
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key.
+ * Put it after auth (and multer on multipart routes) so the key is
+ * scoped to req.user and the fingerprint covers the uploaded file.
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (!key) return next();
+
+    if (!VALID_KEY.test(key)) {
+      return res.status(400).json({
+        success: false,
+        message: `${IDEMPOTENCY_KEY_HEADER} must be 8-255 printable characters`,
+      });
+    }
+
+    const store = getKvStore();
+    const id = storeKey(req, key);
+    const requestHash = fingerprint(req);
+
+    let claimed;
+    try {
+      claimed = await store.setIfAbsent(
+        id,
+        { state: "in-flight", fingerprint: requestHash },
+        IN_FLIGHT_TTL_MS,
+      );
+    } catch (error) {
+      // Don't take the route down with the store – log and run it once
+      logger.error("Idempotency store unavailable", error);
+      return next();
+    }
+
+    if (!claimed) {
+      const existing = await store.get(id).catch(() => null);
+
+      if (!existing || existing.state === "in-flight") {
+        res.setHeader("Retry-After", "2");
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      if (existing.fingerprint !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${IDEMPOTENCY_KEY_HEADER} was already used for a different request`,
+        });
+      }
+
+      logger.info("Replaying idempotent response", {
+        path: req.originalUrl.split("?")[0],
+        status: existing.status,
+      });
+      res.setHeader(REPLAYED_HEADER, "true");
+      return res.status(existing.status).json(existing.body);
+    }
+
+    // Record the handler's answer as it is sent. Hooking res.json (not
+    // "finish") still records it if the client hung up mid-request, so
+    // their retry gets the replay instead of a second Zoho record.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const persist =
+        res.statusCode < 500
+          ? store.set(
+              id,
+              {
+                state: "completed",
+                fingerprint: requestHash,
+                status: res.statusCode,
+                body,
+                completedAt: new Date().toISOString(),
+              },
+              ttlMs(),
+            )
+          : store.delete(id);
+
+      persist.catch((error) =>
+        logger.error("Failed to record idempotent response", error),
+      );
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotent,
+  IDEMPOTENCY_KEY_HEADER,
+  REPLAYED_HEADER,
+};
@@ -0,0 +1,73 @@
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_ID_HEADER,
+  CALLBACK_KEY_HEADER,
+  DEFAULT_TOLERANCE_SEC,
+  callbackSecretFor,
+  verifySignature,
+} = require("../services/webhookSigning");
+const { getKvStore } = require("../services/kvStore");
+const { logger } = require("../services/logger");
+
+// ===============================================
+// SIGNED INBOUND CALLBACKS
+//
+//   app.post("/api/claims/callback", signedCallback(), ...)
+//
+// For suppliers / webhook receivers that have no staff login. The
+// request must carry X-Callback-Key, X-Webhook-Id, X-Webhook-Timestamp
+// and X-Webhook-Signature computed exactly like our outbound webhooks
+// (services/webhookSigning.js) over the raw JSON body. Each
+// X-Webhook-Id is accepted once, so a captured request can't be
+// replayed. req.callbackKey names the caller for the handler.
+// ===============================================
+
+const deny = (res, status, message) =>
+  res.status(status).json({ success: false, message });
+
+function signedCallback() {
+  return async (req, res, next) => {
+    const keyId = req.get(CALLBACK_KEY_HEADER);
+    const secret = callbackSecretFor(keyId);
+    if (!secret) return deny(res, 401, "Unknown callback key");
+
+    const deliveryId = req.get(DELIVERY_ID_HEADER);
+    const result = verifySignature({
+      secret,
+      body: req.rawBody ? req.rawBody.toString("utf8") : "",
+      timestamp: req.get(TIMESTAMP_HEADER),
+      deliveryId,
+      signature: req.get(SIGNATURE_HEADER),
+    });
+
+    if (!result.valid) {
+      logger.warn("Callback signature rejected", {
+        keyId,
+        reason: result.reason,
+      });
+      return deny(res, 401, `Invalid signature: ${result.reason}`);
+    }
+
+    try {
+      // Remember the ID for twice the timestamp tolerance – older
+      // requests already fail the timestamp check
+      const fresh = await getKvStore().setIfAbsent(
+        `callback:seen:${keyId}:${deliveryId}`,
+        true,
+        2 * DEFAULT_TOLERANCE_SEC * 1000,
+      );
+      if (!fresh) return deny(res, 409, "Callback already processed");
+    } catch (error) {
+      logger.error("Callback replay check failed", error);
+      return deny(res, 503, "Try again shortly");
+    }
+
+    req.callbackKey = keyId;
+    next();
+  };
+}
+
+module.exports = {
+  signedCallback,
+};
@@ -0,0 +1,101 @@
+const path = require("path");
+const multer = require("multer");
+const { keepRequestContext } = require("../services/logger");
+
+// ===============================================
+// FILE UPLOADS
+//
+//   app.post("/api/claims", canClaim, uploadFile("file", CLAIM_FILES), ...)
+//
+// Single optional file held in memory. Wrong type or too large → 400
+// JSON instead of multer's HTML error page. The type is checked on the
+// extension, the declared MIME type and the file's leading bytes.
+// ===============================================
+
+// Leading bytes per extension (types without one are checked by name only)
+const MAGIC = {
+  ".pdf": [Buffer.from("%PDF")],
+  ".png": [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  ".jpg": [Buffer.from([0xff, 0xd8, 0xff])],
+  ".jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+  ".webp": [Buffer.from("RIFF")],
+  ".xlsx": [Buffer.from("PK")],
+  ".docx": [Buffer.from("PK")],
+  ".xls": [Buffer.from([0xd0, 0xcf, 0x11, 0xe0])],
+};
+
+// Scheme circulars, debit notes, supporting sheets
+const CLAIM_FILES = {
+  maxMb: Number(process.env.CLAIM_FILE_MAX_MB) || 10,
+  types: {
+    ".pdf": ["application/pdf"],
+    ".png": ["image/png"],
+    ".jpg": ["image/jpeg"],
+    ".jpeg": ["image/jpeg"],
+    ".webp": ["image/webp"],
+    ".xlsx": [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ],
+    ".xls": ["application/vnd.ms-excel"],
+    ".csv": ["text/csv", "application/vnd.ms-excel", "text/plain"],
+    ".docx": [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+  },
+};
+
+const reject = (res, message) =>
+  res.status(400).json({ success: false, message });
+
+function typeError({ types }, file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  const allowed = types[ext];
+  if (!allowed || !allowed.includes(file.mimetype)) {
+    return `File type not allowed (accepted: ${Object.keys(types).join(", ")})`;
+  }
+
+  const magic = MAGIC[ext];
+  if (
+    magic &&
+    !magic.some((m) => file.buffer.subarray(0, m.length).equals(m))
+  ) {
+    return `File content does not match ${ext}`;
+  }
+  return null;
+}
+
+/**
+ * Accept one optional file in `field`, limited to `rules.types`
+ * ({ ".ext": [mime, ...] }) and `rules.maxMb`.
+ */
+function uploadFile(field, rules) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: rules.maxMb * 1024 * 1024, files: 1 },
+  }).single(field);
+
+  return keepRequestContext((req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return reject(
+          res,
+          error.code === "LIMIT_FILE_SIZE"
+            ? `File is larger than ${rules.maxMb} MB`
+            : `Upload rejected: ${error.message}`,
+        );
+      }
+      if (error) return next(error);
+
+      if (req.file) {
+        const message = typeError(rules, req.file);
+        if (message) return reject(res, message);
+      }
+      next();
+    });
+  });
+}
+
+module.exports = {
+  uploadFile,
+  CLAIM_FILES,
+};
@@ -0,0 +1,198 @@
+// ===============================================
+// REQUEST BODY VALIDATION
+//
+// Schemas are plain JSON-serializable objects (see schemas/) so the
+// frontend can fetch them from GET /api/schemas and run the same rules.
+//
+//   { fields: { name: { type, required, ...rules } } }
+//
+// types:  string | number | integer | boolean | date | email | array | object
+// rules:  required, enum, pattern, minLength, maxLength, min, max,
+//         minItems, maxItems, items (array element spec), format
+//         ("gstin": check character + state code, services/gstin.js),
+//         fields (object spec), json (value may arrive as a JSON string –
+//         multipart forms), allowEmpty (treat "" as absent, default true)
+// ===============================================
+
+const { parseGstin } = require("../services/gstin");
+
+const PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}/,
+};
+
+const TRUTHY = [true, "true", 1, "1", "Yes", "yes", "on"];
+const FALSY = [false, "false", 0, "0", "No", "no", "off"];
+
+function checkType(spec, value) {
+  switch (spec.type) {
+    case "string":
+      return typeof value === "string" || typeof value === "number"
+        ? null
+        : "must be text";
+    case "number":
+    case "integer": {
+      // Multipart forms send numbers as strings
+      const num = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) {
+        return "must be a number";
+      }
+      if (spec.type === "integer" && !Number.isInteger(num)) {
+        return "must be a whole number";
+      }
+      if (spec.min !== undefined && num < spec.min) {
+        return `must be at least ${spec.min}`;
+      }
+      if (spec.max !== undefined && num > spec.max) {
+        return `must be at most ${spec.max}`;
+      }
+      return null;
+    }
+    case "boolean":
+      return TRUTHY.includes(value) || FALSY.includes(value)
+        ? null
+        : "must be yes/no";
+    case "date":
+      return PATTERNS.date.test(String(value)) &&
+        !isNaN(new Date(value).getTime())
+        ? null
+        : "must be a date (YYYY-MM-DD)";
+    case "email":
+      return PATTERNS.email.test(String(value).trim())
+        ? null
+        : "must be a valid email address";
+    case "array":
+      return Array.isArray(value) ? null : "must be a list";
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "must be an object";
+    default:
+      return null;
+  }
+}
+
+function checkField(spec, rawValue, path, errors) {
+  let value = rawValue;
+
+  if (spec.json && typeof value === "string" && value.trim() !== "") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      errors.push({ field: path, message: "must be valid JSON" });
+      return;
+    }
+  }
+
+  const blank =
+    value === undefined ||
+    value === null ||
+    (spec.allowEmpty !== false && value === "");
+
+  if (blank) {
+    if (spec.required) errors.push({ field: path, message: "is required" });
+    return;
+  }
+
+  const typeError = checkType(spec, value);
+  if (typeError) {
+    errors.push({ field: path, message: typeError });
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push({
+      field: path,
+      message: `must be one of: ${spec.enum.join(", ")}`,
+    });
+  }
+
+  if (typeof value === "string" || typeof value === "number") {
+    const text = String(value);
+    if (spec.pattern && !new RegExp(spec.pattern).test(text.trim())) {
+      errors.push({
+        field: path,
+        message: spec.patternMessage || "is invalid",
+      });
+    }
+    if (spec.format === "gstin" && !errors.some((e) => e.field === path)) {
+      const parsed = parseGstin(text);
+      if (!parsed.valid) {
+        errors.push({ field: path, message: parsed.errors.join("; ") });
+      }
+    }
+    if (spec.minLength !== undefined && text.trim().length < spec.minLength) {
+      errors.push({
+        field: path,
+        message: `must be at least ${spec.minLength} characters`,
+      });
+    }
+    if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+      errors.push({
+        field: path,
+        message: `must be at most ${spec.maxLength} characters`,
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      errors.push({
+        field: path,
+        message: `must have at least ${spec.minItems} item(s)`,
+      });
+    }
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      errors.push({
+        field: path,
+        message: `must have at most ${spec.maxItems} item(s)`,
+      });
+    }
+    if (spec.items) {
+      value.forEach((item, i) =>
+        checkField(spec.items, item, `${path}[${i}]`, errors),
+      );
+    }
+  }
+
+  if (spec.type === "object" && spec.fields) {
+    checkFields(spec.fields, value, path, errors);
+  }
+}
+
+function checkFields(fields, body, prefix, errors) {
+  Object.entries(fields).forEach(([name, spec]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    checkField(spec, body?.[name], path, errors);
+  });
+}
+
+/**
+ * Validate a request body against a schema.
+ * @returns {{field: string, message: string}[]} every offending field (empty if valid)
+ */
+function validate(schema, body) {
+  const errors = [];
+  checkFields(schema.fields, body || {}, "", errors);
+  return errors;
+}
+
+// Express middleware – 400 before the handler (and any Zoho call) runs.
+// Put it after multer on multipart routes so req.body is populated.
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body);
+    if (errors.length === 0) return next();
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors,
+    });
+  };
+}
+
+module.exports = {
+  validate,
+  validateBody,
+};
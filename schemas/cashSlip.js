@@ -0,0 +1,31 @@
+const { mobile, gstin, amount, zohoId } = require("./common");
+
+// POST /api/sales/create
+module.exports = {
+  name: "cashSlip",
+  fields: {
+    contactId: { ...zohoId, required: true },
+    products: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      // Cash_Slips only has SKU1..SKU5 / Rate_1..Rate_5 columns
+      maxItems: 5,
+      items: {
+        type: "object",
+        fields: {
+          productName: { type: "string", maxLength: 200 },
+          rate: { ...amount, required: true },
+          quantity: { type: "number", min: 1, required: true },
+          mobile,
+          oneAssistAmount: amount,
+        },
+      },
+    },
+    gstNumber: gstin,
+    deliveryDate: { type: "date" },
+    discountAmount: amount,
+    giftAmount: amount,
+    paymentMode: { type: "string", maxLength: 100 },
+  },
+};
@@ -0,0 +1,88 @@
+const { amount, zohoId } = require("./common");
+
+// Which items a discount model / monthly scheme applies to (all if omitted)
+const itemFilter = {
+  sku: { type: "string", maxLength: 100 },
+  modelNo: { type: "string", maxLength: 100 },
+  category: { type: "string", maxLength: 100 },
+};
+
+const slab = {
+  type: "object",
+  fields: {
+    min: { type: "number", min: 0, required: true },
+    max: { type: "number", min: 0 },
+    payout: { ...amount, required: true },
+    payoutType: { type: "string", enum: ["perUnit", "percent", "flat"] },
+  },
+};
+
+// POST /api/claims (multipart: nested fields arrive as JSON strings)
+// See services/claimCalculator.js for how the amounts are worked out.
+module.exports = {
+  name: "claim",
+  fields: {
+    supplierName: { type: "string", required: true, maxLength: 200 },
+    // Vendor record the claim document is attached to (else matched by name)
+    vendorId: zohoId,
+    schemeStartDate: { type: "date" },
+    schemeEndDate: { type: "date" },
+    discountModels: {
+      type: "array",
+      json: true,
+      items: {
+        type: "object",
+        fields: {
+          name: { type: "string", maxLength: 100 },
+          type: { type: "string", enum: ["percent", "flat"], required: true },
+          value: { ...amount, required: true },
+          // flat: per unit (default) or once per item line
+          perUnit: { type: "boolean" },
+          maxAmount: amount,
+          ...itemFilter,
+        },
+      },
+    },
+    monthlySchemes: {
+      type: "array",
+      json: true,
+      items: {
+        type: "object",
+        fields: {
+          name: { type: "string", maxLength: 100 },
+          month: {
+            type: "string",
+            pattern: "^\\d{4}-(0[1-9]|1[0-2])$",
+            patternMessage: "must be YYYY-MM",
+          },
+          basis: { type: "string", enum: ["quantity", "value"] },
+          slabs: { type: "array", required: true, minItems: 1, items: slab },
+          ...itemFilter,
+        },
+      },
+    },
+    items: {
+      type: "array",
+      json: true,
+      items: {
+        type: "object",
+        fields: {
+          sku: { type: "string", maxLength: 100 },
+          modelNo: { type: "string", maxLength: 100 },
+          category: { type: "string", maxLength: 100 },
+          serialNo: { type: "string", maxLength: 100 },
+          quantity: { type: "number", min: 0 },
+          rate: amount,
+          amount,
+          saleDate: { type: "date" },
+          invoiceDate: { type: "date" },
+        },
+      },
+    },
+    additionalFields: { type: "object", json: true },
+    // Managers only: submit despite a likely duplicate (see
+    // services/claimDuplicates.js); the reason is kept on the claim
+    overrideDuplicate: { type: "boolean" },
+    overrideReason: { type: "string", maxLength: 500 },
+  },
+};
@@ -0,0 +1,19 @@
+const { amount } = require("./common");
+
+// POST /api/claims/callback (signed, see middleware/signedCallback.js)
+module.exports = {
+  name: "claimCallback",
+  fields: {
+    claimNumber: { type: "string", required: true, maxLength: 40 },
+    status: {
+      type: "string",
+      required: true,
+      enum: ["acknowledged", "approved", "settled", "rejected"],
+    },
+    // Running total paid so far (settled); may accompany approved too
+    settledAmount: amount,
+    note: { type: "string", maxLength: 1000 },
+    // Supplier's credit note / payment reference
+    reference: { type: "string", maxLength: 100 },
+  },
+};
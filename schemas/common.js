@@ -0,0 +1,29 @@
+// Shared field specs for the request schemas (see middleware/validate.js)
+
+const mobile = {
+  type: "string",
+  pattern: "^\\+?[0-9][0-9\\s-]{5,14}$",
+  patternMessage: "must be a phone number",
+};
+
+const gstin = {
+  type: "string",
+  pattern: "^[0-9]{2}[A-Za-z]{5}[0-9]{4}[A-Za-z][1-9A-Za-z][Zz][0-9A-Za-z]$",
+  patternMessage: "must be a 15-character GSTIN",
+  format: "gstin",
+};
+
+const amount = { type: "number", min: 0 };
+
+const zohoId = {
+  type: "string",
+  pattern: "^[0-9]{5,25}$",
+  patternMessage: "must be a Zoho record ID",
+};
+
+module.exports = {
+  mobile,
+  gstin,
+  amount,
+  zohoId,
+};
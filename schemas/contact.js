@@ -0,0 +1,17 @@
+const { mobile, gstin, zohoId } = require("./common");
+
+// POST /api/contacts/save
+module.exports = {
+  name: "contact",
+  fields: {
+    contactId: zohoId,
+    mobile: { ...mobile, required: true },
+    firstName: { type: "string", maxLength: 40 },
+    lastName: { type: "string", maxLength: 80 },
+    email: { type: "email" },
+    alternateNumber: mobile,
+    address: { type: "string", maxLength: 250 },
+    location: { type: "string", maxLength: 100 },
+    gstNumber: gstin,
+  },
+};
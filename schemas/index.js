@@ -0,0 +1,19 @@
+// Request schemas – used by validateBody() and served to the
+// frontend at GET /api/schemas so both sides share one set of rules.
+const claim = require("./claim");
+const claimCallback = require("./claimCallback");
+const vendor = require("./vendor");
+const contact = require("./contact");
+const cashSlip = require("./cashSlip");
+const trail = require("./trail");
+const webhookSignature = require("./webhookSignature");
+
+module.exports = {
+  claim,
+  claimCallback,
+  vendor,
+  contact,
+  cashSlip,
+  trail,
+  webhookSignature,
+};
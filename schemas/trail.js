@@ -0,0 +1,41 @@
+const { mobile, amount } = require("./common");
+
+const NUMBER_FIELDS = [
+  "Bill_Amount",
+  "Approx_Advance",
+  "Balance",
+  "Bank_Amt",
+  "Total_Cash_Received",
+  "Other_Payment_mode_recd",
+  "Cheque_Amt",
+  "Down_Payment_1",
+  "Down_Payment_2",
+  "Down_Payment_3",
+  "Down_Payment_4",
+  "Down_Payment_5",
+  "Limit",
+  "One_Assist_Amount",
+  "Redeemed_Cashback",
+];
+
+const DATE_FIELDS = [
+  "Date_Of_Birth",
+  "EMI_Start_Date",
+  "EMI_End_Date",
+  "Delivery_On",
+];
+
+// POST /api/trail/create (multipart)
+module.exports = {
+  name: "trail",
+  fields: {
+    Mobile_Number: { ...mobile, required: true },
+    Name: { type: "string", maxLength: 120 },
+    Contact_Number: mobile,
+    Alternate_Number: mobile,
+    Email: { type: "email" },
+    Secondary_Email: { type: "email" },
+    ...Object.fromEntries(NUMBER_FIELDS.map((f) => [f, amount])),
+    ...Object.fromEntries(DATE_FIELDS.map((f) => [f, { type: "date" }])),
+  },
+};
@@ -0,0 +1,44 @@
+const { mobile, gstin, amount, zohoId } = require("./common");
+
+// POST /api/vendors
+module.exports = {
+  name: "vendor",
+  fields: {
+    vendorData: {
+      type: "object",
+      required: true,
+      fields: {
+        Vendor_Name: { type: "string", maxLength: 200 },
+        GSTIN_NUMBER: gstin,
+        gstin,
+        Email: { type: "email" },
+        Phone: mobile,
+      },
+    },
+    // Answer to a 409 "Possible existing vendor" (no GSTIN): use this
+    // candidate, or create a new vendor anyway
+    confirmVendorId: zohoId,
+    createNewVendor: { type: "boolean" },
+    purchaseRequestData: {
+      type: "object",
+      fields: {
+        requisition_number: { type: "string", maxLength: 100 },
+        expected_delivery_date: { type: "date" },
+        exchange_rate: { type: "number", min: 0 },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              quantity: { type: "number", min: 0 },
+              Quantity: { type: "number", min: 0 },
+              rate: amount,
+              Rate: amount,
+              tax_percentage: { type: "number", min: 0, max: 100 },
+            },
+          },
+        },
+      },
+    },
+  },
+};
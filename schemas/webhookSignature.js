@@ -0,0 +1,13 @@
+// POST /api/webhooks/verify-signature
+module.exports = {
+  name: "webhookSignature",
+  fields: {
+    body: { type: "string", required: true, allowEmpty: false },
+    timestamp: { type: "integer", required: true },
+    deliveryId: { type: "string", required: true, maxLength: 100 },
+    signature: { type: "string", required: true, maxLength: 200 },
+    // One of: the receiver's own secret, or a configured webhook URL
+    secret: { type: "string", maxLength: 200 },
+    webhookUrl: { type: "string", maxLength: 500 },
+  },
+};
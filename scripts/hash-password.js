@@ -0,0 +1,11 @@
+// Usage: npm run hash-password -- <password>
+// Prints the value for the "password" field of an AUTH_USERS entry.
+const { hashPassword } = require("../services/auth");
+
+const password = process.argv[2];
+if (!password) {
+  console.error("Usage: npm run hash-password -- <password>");
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
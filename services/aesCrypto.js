@@ -0,0 +1,27 @@
+const CryptoJS = require("crypto-js");
+const { logger } = require("./logger");
+
+// ===============================================
+// AES ENCRYPTION (crypto-js)
+// ===============================================
+function encrypt(text) {
+  if (!process.env.AES_SECRET) {
+    logger.error("AES_SECRET missing in .env");
+    throw new Error("AES_SECRET missing");
+  }
+  return CryptoJS.AES.encrypt(text, process.env.AES_SECRET).toString();
+}
+
+function decrypt(cipher) {
+  if (!process.env.AES_SECRET) {
+    logger.error("AES_SECRET missing in .env");
+    throw new Error("AES_SECRET missing");
+  }
+  const bytes = CryptoJS.AES.decrypt(cipher, process.env.AES_SECRET);
+  return bytes.toString(CryptoJS.enc.Utf8);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+// ===============================================
+// STAFF AUTHENTICATION
+//
+// Two ways in:
+//   1. Session token – POST /auth/login with a username/password
+//      from AUTH_USERS, returns an HMAC-signed token (AUTH_SECRET)
+//      sent back as "Authorization: Bearer <token>"
+//   2. API key – "X-API-Key: <key>" for kiosks / integrations
+//      configured in API_KEYS
+//
+// AUTH_USERS='[{"username":"ravi","password":"scrypt$<salt>$<hash>",
+//   "name":"Ravi","roles":["salesman"],"zohoUserId":"4623...","store":"DB"}]'
+// API_KEYS='[{"key":"<random>","name":"counter-kiosk","roles":["cashier"],
+//   "store":"DB"}]'
+//
+// "store" is the branch code used in document numbers (services/sequencer.js)
+//
+// Hash passwords with: npm run hash-password -- <password>
+// ===============================================
+
+const ROLES = [
+  "salesman",
+  "cashier",
+  "finance",
+  "purchase",
+  "manager",
+  "admin",
+];
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return [];
+  try {
+    const value = JSON.parse(process.env[name]);
+    return Array.isArray(value) ? value : [];
+  } catch {
+    logger.error("Auth config is not valid JSON", { name });
+    return [];
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getSecret() {
+  if (!process.env.AUTH_SECRET) {
+    throw new Error("AUTH_SECRET missing");
+  }
+  return process.env.AUTH_SECRET;
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const candidate = crypto.scryptSync(String(password), salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return (
+    candidate.length === expected.length &&
+    crypto.timingSafeEqual(candidate, expected)
+  );
+}
+
+// Only the fields routes need – never the password hash or key
+function toPrincipal(entry, type) {
+  const roles = (entry.roles || []).filter((r) => ROLES.includes(r));
+  return {
+    type,
+    id: entry.username || entry.name,
+    name: entry.name || entry.username,
+    roles,
+    zohoUserId: entry.zohoUserId || null,
+    store: entry.store || null,
+  };
+}
+
+function findUser(username) {
+  return parseJsonEnv("AUTH_USERS").find((u) => u.username === username);
+}
+
+// Returns the user principal, or null on bad credentials
+function authenticateUser(username, password) {
+  const user = findUser(username);
+  if (!user || !verifyPassword(password, user.password)) return null;
+  return toPrincipal(user, "user");
+}
+
+function authenticateApiKey(key) {
+  if (!key) return null;
+  // An entry without a key must not match a caller sending "undefined"
+  const entry = parseJsonEnv("API_KEYS")
+    .filter((k) => typeof k.key === "string" && k.key !== "")
+    .find((k) => safeEqual(k.key, key));
+  return entry ? toPrincipal(entry, "api-key") : null;
+}
+
+function issueSessionToken(principal) {
+  const ttlHours =
+    Number(process.env.AUTH_SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const now = Math.floor(Date.now() / 1000);
+
+  const payload = base64url(
+    JSON.stringify({
+      sub: principal.id,
+      name: principal.name,
+      roles: principal.roles,
+      zid: principal.zohoUserId,
+      iat: now,
+      exp: now + ttlHours * 3600,
+    }),
+  );
+
+  return { token: `${payload}.${sign(payload)}`, expiresIn: ttlHours * 3600 };
+}
+
+// Returns the principal for a valid, unexpired token, else null
+function verifySessionToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+
+  // Roles are re-read from AUTH_USERS so a demotion takes effect immediately
+  const user = findUser(claims.sub);
+  if (!user) return null;
+
+  return toPrincipal(user, "user");
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  authenticateUser,
+  authenticateApiKey,
+  issueSessionToken,
+  verifySessionToken,
+};
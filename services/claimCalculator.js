@@ -0,0 +1,243 @@
+// ===============================================
+// CLAIM CALCULATION ENGINE
+//
+// Works out what a claim is worth so nobody computes it by hand.
+//
+// items:          [{ sku, modelNo, category, quantity, rate, amount,
+//                    saleDate | invoiceDate }]
+//                 line value = amount, else rate × quantity
+//
+// discountModels: per-item discounts, every matching model applies
+//   { type: "percent", value: 5 }              5% of the line value
+//   { type: "flat", value: 500 }               ₹500 per unit
+//   { type: "flat", value: 500, perUnit: false } ₹500 per line
+//   optional: name, maxAmount (cap per line), sku / modelNo / category
+//
+// monthlySchemes: slab targets on a month's sales of matching items
+//   { name, month: "2025-06", basis: "quantity" | "value",
+//     slabs: [{ min: 10, max: 19, payout: 200, payoutType: "perUnit" },
+//             { min: 20, payout: 2, payoutType: "percent" }] }
+//   The highest slab reached pays out on the whole month (perUnit ×
+//   quantity, percent of value, or a flat amount). No month → one
+//   bucket per calendar month sold in.
+//
+// schemeStartDate / schemeEndDate bound the sale dates: items outside
+// the window (or undated while a window is set) are rejected.
+// ===============================================
+
+// Multipart forms send booleans as text (same values middleware/validate.js accepts)
+const FALSY = [false, "false", 0, "0", "No", "no", "off"];
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+const num = (v) => (v === undefined || v === null || v === "" ? 0 : Number(v));
+
+// YYYY-MM-DD prefix of any date-ish value ("2025-06-03T10:00" → "2025-06-03")
+const day = (value) => (value ? String(value).slice(0, 10) : null);
+
+function lineValue(item) {
+  return item.amount !== undefined && item.amount !== ""
+    ? num(item.amount)
+    : num(item.rate) * num(item.quantity);
+}
+
+// A model/scheme with sku/modelNo/category only covers matching items
+function appliesTo(filter, item) {
+  return ["sku", "modelNo", "category"].every(
+    (key) =>
+      !filter[key] ||
+      String(item[key] || "").toLowerCase() ===
+        String(filter[key]).toLowerCase(),
+  );
+}
+
+function discountFor(model, item, value) {
+  const quantity = num(item.quantity);
+  let discount =
+    model.type === "percent"
+      ? (value * num(model.value)) / 100
+      : FALSY.includes(model.perUnit)
+        ? num(model.value)
+        : num(model.value) * quantity;
+
+  if (model.maxAmount !== undefined && model.maxAmount !== "") {
+    discount = Math.min(discount, num(model.maxAmount));
+  }
+  return round2(discount);
+}
+
+function schemeWindowErrors(claim, items) {
+  const start = day(claim.schemeStartDate);
+  const end = day(claim.schemeEndDate);
+  const errors = [];
+
+  if (start && end && start > end) {
+    errors.push({
+      field: "schemeEndDate",
+      message: "must be on or after schemeStartDate",
+    });
+    return errors;
+  }
+  if (!start && !end) return errors;
+
+  items.forEach((item, i) => {
+    const sold = day(item.saleDate || item.invoiceDate);
+    if (!sold) {
+      errors.push({
+        field: `items[${i}].saleDate`,
+        message: "is required when the scheme has dates",
+      });
+    } else if ((start && sold < start) || (end && sold > end)) {
+      errors.push({
+        field: `items[${i}].saleDate`,
+        message: `${sold} is outside the scheme window (${start || "…"} to ${end || "…"})`,
+      });
+    }
+  });
+  return errors;
+}
+
+function slabFor(slabs, achieved) {
+  return (
+    [...slabs]
+      .sort((a, b) => num(b.min) - num(a.min))
+      .find(
+        (s) =>
+          achieved >= num(s.min) &&
+          (s.max === undefined || s.max === "" || achieved <= num(s.max)),
+      ) || null
+  );
+}
+
+function schemePayout(slab, quantity, value) {
+  if (!slab) return 0;
+  switch (slab.payoutType || "perUnit") {
+    case "percent":
+      return round2((value * num(slab.payout)) / 100);
+    case "flat":
+      return round2(num(slab.payout));
+    default:
+      return round2(num(slab.payout) * quantity);
+  }
+}
+
+function calculateSchemes(schemes, lines) {
+  return schemes.flatMap((scheme, s) => {
+    const name = scheme.name || `Scheme ${s + 1}`;
+    const basis = scheme.basis || "quantity";
+
+    // month → matching lines sold in it
+    const months = new Map();
+    lines
+      .filter(({ item }) => appliesTo(scheme, item))
+      .forEach((line) => {
+        const month = day(line.item.saleDate || line.item.invoiceDate)?.slice(
+          0,
+          7,
+        );
+        if (!month || (scheme.month && month !== scheme.month)) return;
+        if (!months.has(month)) months.set(month, []);
+        months.get(month).push(line);
+      });
+
+    if (scheme.month && !months.has(scheme.month)) {
+      months.set(scheme.month, []);
+    }
+
+    return [...months.entries()].sort().map(([month, monthLines]) => {
+      const quantity = monthLines.reduce((t, l) => t + l.quantity, 0);
+      const value = round2(monthLines.reduce((t, l) => t + l.value, 0));
+      const slab = slabFor(
+        scheme.slabs || [],
+        basis === "value" ? value : quantity,
+      );
+
+      return {
+        name,
+        month,
+        basis,
+        quantity,
+        value,
+        slab,
+        payout: schemePayout(slab, quantity, value),
+      };
+    });
+  });
+}
+
+/**
+ * Calculate a claim.
+ * @returns {{errors: {field: string, message: string}[], summary: object|null}}
+ *   errors is non-empty (and summary null) when the claim must be rejected
+ */
+function calculateClaim(claim) {
+  const items = Array.isArray(claim.items) ? claim.items : [];
+  const models = Array.isArray(claim.discountModels)
+    ? claim.discountModels
+    : [];
+  const schemes = Array.isArray(claim.monthlySchemes)
+    ? claim.monthlySchemes
+    : [];
+
+  const errors = schemeWindowErrors(claim, items);
+  if (errors.length > 0) return { errors, summary: null };
+
+  const lines = items.map((item, index) => {
+    const value = round2(lineValue(item));
+    const discounts = models
+      .filter((model) => appliesTo(model, item))
+      .map((model) => ({
+        model: model.name || `${model.type} ${model.value}`,
+        type: model.type,
+        amount: discountFor(model, item, value),
+      }));
+
+    return {
+      index,
+      item,
+      quantity: num(item.quantity),
+      value,
+      discounts,
+      discountAmount: round2(discounts.reduce((t, d) => t + d.amount, 0)),
+    };
+  });
+
+  const schemeLines = calculateSchemes(schemes, lines);
+
+  const discountClaim = round2(lines.reduce((t, l) => t + l.discountAmount, 0));
+  const schemeClaim = round2(schemeLines.reduce((t, s) => t + s.payout, 0));
+
+  return {
+    errors: [],
+    summary: {
+      window: {
+        start: day(claim.schemeStartDate),
+        end: day(claim.schemeEndDate),
+      },
+      items: lines.map(
+        ({ index, item, quantity, value, discounts, discountAmount }) => ({
+          index,
+          sku: item.sku || null,
+          modelNo: item.modelNo || null,
+          saleDate: day(item.saleDate || item.invoiceDate),
+          quantity,
+          value,
+          discounts,
+          claimAmount: discountAmount,
+        }),
+      ),
+      schemes: schemeLines,
+      totals: {
+        items: lines.length,
+        quantity: lines.reduce((t, l) => t + l.quantity, 0),
+        value: round2(lines.reduce((t, l) => t + l.value, 0)),
+        discountClaim,
+        schemeClaim,
+        claimAmount: round2(discountClaim + schemeClaim),
+      },
+    },
+  };
+}
+
+module.exports = {
+  calculateClaim,
+};
@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const { getKvStore } = require("./kvStore");
+const { listClaims } = require("./claimStore");
+const { logger } = require("./logger");
+
+// ===============================================
+// CLAIM DUPLICATE DETECTION
+//
+// Every new claim is compared with the supplier's earlier claims
+// (rejected ones excepted) before it gets a number:
+//
+//   identical    same fingerprint – supplier, scheme dates and every
+//                item's SKU / model / serial / quantity / value
+//   serials      a serial number was already claimed
+//   items        CLAIM_DUPLICATE_OVERLAP (default 0.8) of the items
+//                match an overlapping claim (SKU/model, sale date,
+//                quantity, value)
+//   amount       same scheme period and same claim amount
+//
+// CLAIM_DUPLICATE_MODE decides what happens to a likely duplicate:
+//   block (default)  409 with links to the earlier claims
+//   flag             accepted, marked duplicateOf / duplicateCheck
+//   off              no check
+// Managers (and admins) may submit a blocked claim anyway with
+// overrideDuplicate + overrideReason; the override is recorded.
+// ===============================================
+
+const MODES = ["block", "flag", "off"];
+const DEFAULT_OVERLAP = 0.8;
+const OVERRIDE_ROLES = ["manager", "admin"];
+
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const lower = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+const day = (value) => (value ? String(value).slice(0, 10) : "");
+const num = (v) => (v === undefined || v === null || v === "" ? 0 : Number(v));
+
+function duplicateMode() {
+  const mode = process.env.CLAIM_DUPLICATE_MODE || "block";
+  if (!MODES.includes(mode)) {
+    logger.warn("Unknown CLAIM_DUPLICATE_MODE, using block", { mode });
+    return "block";
+  }
+  return mode;
+}
+
+const canOverride = (user) =>
+  OVERRIDE_ROLES.some((role) => user?.roles?.includes(role));
+
+function itemValue(item) {
+  const value =
+    item.amount !== undefined && item.amount !== ""
+      ? num(item.amount)
+      : num(item.rate) * num(item.quantity);
+  return value.toFixed(2);
+}
+
+// One comparable string per item; serials are compared separately
+function itemKey(item) {
+  return [
+    lower(item.sku || item.modelNo),
+    day(item.saleDate || item.invoiceDate),
+    num(item.quantity),
+    itemValue(item),
+  ].join("|");
+}
+
+/**
+ * Stable hash of what makes two claims the same claim.
+ * @param {object} claim  claim body (supplierName, scheme dates, items)
+ */
+function claimFingerprint(claim) {
+  const items = (claim.items || [])
+    .map(
+      (item) =>
+        `${itemKey(item)}|${lower(item.modelNo)}|${lower(item.serialNo)}`,
+    )
+    .sort();
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        lower(claim.supplierName),
+        day(claim.schemeStartDate),
+        day(claim.schemeEndDate),
+        items,
+      ]),
+    )
+    .digest("hex");
+}
+
+const serialsOf = (claim) =>
+  new Set((claim.items || []).map((i) => lower(i.serialNo)).filter(Boolean));
+
+function windowsOverlap(a, b) {
+  const start = (c) => day(c.schemeStartDate) || "0000-00-00";
+  const end = (c) => day(c.schemeEndDate) || "9999-12-31";
+  return start(a) <= end(b) && start(b) <= end(a);
+}
+
+function compare(claim, earlier, fingerprint) {
+  const previous = earlier.data || {};
+  if (claimFingerprint(previous) === fingerprint) {
+    return { score: 1, reason: "identical supplier, scheme dates and items" };
+  }
+
+  const serials = serialsOf(previous);
+  const shared = [...serialsOf(claim)].filter((s) => serials.has(s));
+  if (shared.length > 0) {
+    return {
+      score: 0.95,
+      reason: `serial number(s) already claimed: ${shared.join(", ")}`,
+    };
+  }
+
+  const items = claim.items || [];
+  if (items.length > 0 && windowsOverlap(claim, previous)) {
+    const keys = new Set((previous.items || []).map(itemKey));
+    const matching = items.filter((item) => keys.has(itemKey(item))).length;
+    const overlap = matching / items.length;
+    const threshold =
+      Number(process.env.CLAIM_DUPLICATE_OVERLAP) || DEFAULT_OVERLAP;
+    if (overlap >= threshold) {
+      return {
+        score: Math.round(overlap * 90) / 100,
+        reason: `${Math.round(overlap * 100)}% of the items were already claimed`,
+      };
+    }
+  }
+
+  const amount = claim.claimSummary?.totals.claimAmount;
+  if (
+    amount > 0 &&
+    amount === earlier.claimAmount &&
+    day(claim.schemeStartDate) === day(earlier.schemeStartDate) &&
+    day(claim.schemeEndDate) === day(earlier.schemeEndDate)
+  ) {
+    return { score: 0.7, reason: "same scheme period and claim amount" };
+  }
+  return null;
+}
+
+/**
+ * Earlier claims this one likely duplicates, most likely first.
+ * @param {object} claim  normalized claim (claimSummary set)
+ * @param {{baseUrl?: string}} options  baseUrl makes the links absolute
+ */
+async function findDuplicates(claim, { baseUrl = "" } = {}) {
+  const supplier = lower(claim.supplierName);
+  if (!supplier) return [];
+
+  const fingerprint = claimFingerprint(claim);
+  const earlier = (await listClaims({ supplier: claim.supplierName })).filter(
+    (c) =>
+      lower(c.supplierName) === supplier &&
+      c.status !== "rejected" &&
+      c.claimNumber !== claim.claimNumber,
+  );
+
+  return earlier
+    .map((c) => {
+      const match = compare(claim, c, fingerprint);
+      return (
+        match && {
+          claimNumber: c.claimNumber,
+          status: c.status,
+          createdAt: c.createdAt,
+          claimAmount: c.claimAmount,
+          ...match,
+          url: `${baseUrl.replace(/\/$/, "")}/api/claims/${encodeURIComponent(c.claimNumber)}`,
+        }
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Two submissions of one supplier's claim must not both pass the check
+async function lockSupplier(supplierName) {
+  const store = getKvStore();
+  const key = `claim-dup-lock:${crypto
+    .createHash("sha256")
+    .update(lower(supplierName))
+    .digest("hex")}`;
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await store.setIfAbsent(key, owner, LOCK_TTL_MS))) {
+    if (Date.now() > deadline) {
+      throw new Error("Another claim for this supplier is being submitted");
+    }
+    await sleep(20 + Math.random() * 30);
+  }
+
+  return async () => {
+    if ((await store.get(key)) === owner) await store.delete(key);
+  };
+}
+
+const BLOCKED = {
+  duplicate: { status: 409, message: "Possible duplicate claim" },
+  forbidden: {
+    status: 403,
+    message: "Only managers can override the duplicate check",
+  },
+  reason: {
+    status: 400,
+    message: "overrideReason is required to override the duplicate check",
+  },
+};
+
+/**
+ * Check a claim before it is numbered. Call release() once the claim
+ * is stored (or abandoned) – it holds the supplier's lock.
+ * @param {object} claim  normalized claim; overrideDuplicate /
+ *   overrideReason are taken off it
+ * @returns {Promise<{blocked: {status: number, message: string}|null,
+ *   matches: object[], check: object|null, release: () => Promise<void>}>}
+ *   check is what to store on the claim (duplicateCheck)
+ */
+async function duplicateGuard(claim, { user, baseUrl } = {}) {
+  const override = [true, "true", 1, "1", "Yes", "yes", "on"].includes(
+    claim.overrideDuplicate,
+  );
+  const overrideReason = String(claim.overrideReason || "").trim();
+  delete claim.overrideDuplicate;
+  delete claim.overrideReason;
+
+  const noop = async () => {};
+  if (duplicateMode() === "off") {
+    return { blocked: null, matches: [], check: null, release: noop };
+  }
+
+  const release = await lockSupplier(claim.supplierName);
+  let result;
+  try {
+    const matches = await findDuplicates(claim, { baseUrl });
+    const summary = matches.map(({ claimNumber, score, reason }) => ({
+      claimNumber,
+      score,
+      reason,
+    }));
+
+    if (matches.length === 0) {
+      result = { blocked: null, check: null };
+    } else if (override && !canOverride(user)) {
+      result = { blocked: BLOCKED.forbidden };
+    } else if (override && !overrideReason) {
+      result = { blocked: BLOCKED.reason };
+    } else if (override) {
+      logger.warn("Duplicate claim check overridden", {
+        supplier: claim.supplierName,
+        by: user.id,
+        matches: summary.map((m) => m.claimNumber),
+      });
+      result = {
+        blocked: null,
+        check: {
+          status: "overridden",
+          by: user.id,
+          reason: overrideReason,
+          matches: summary,
+        },
+      };
+    } else if (duplicateMode() === "flag") {
+      result = {
+        blocked: null,
+        check: { status: "flagged", matches: summary },
+      };
+    } else {
+      result = { blocked: BLOCKED.duplicate };
+    }
+
+    if (result.blocked) {
+      await release();
+      return { ...result, matches, check: null, release: noop };
+    }
+    return { ...result, matches, release };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+}
+
+module.exports = {
+  claimFingerprint,
+  findDuplicates,
+  duplicateGuard,
+  canOverrideDuplicates: canOverride,
+};
@@ -0,0 +1,583 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { getKvStore } = require("./kvStore");
+const { saveFile } = require("./fileStore");
+const { calculateClaim } = require("./claimCalculator");
+const { validate } = require("../middleware/validate");
+const claimSchema = require("../schemas/claim");
+
+// ===============================================
+// BULK CLAIM IMPORT
+//
+// Accounts prepare claims in a spreadsheet (CSV or XLSX, first sheet,
+// header row first). One row is one claim item; rows sharing a
+// "Claim Ref" make up one claim, rows without one are claims of their
+// own. Claim-level columns (supplier, scheme dates, discount) are read
+// from the claim's rows and must not disagree.
+//
+// Columns are matched to COLUMNS by header (case, spaces and
+// punctuation ignored, aliases allowed); `mapping` maps anything else:
+//   { "Vendor": "supplierName", "Qty Sold": "quantity" }
+// GET /api/claims/import/template downloads a sheet with every column.
+//
+// parseImport() validates and prices every claim without submitting;
+// the preview is kept for IMPORT_PREVIEW_TTL_HOURS (default 24) until
+// POST /api/claims/import/:id/confirm submits its valid claims.
+// ===============================================
+
+const COLUMNS = [
+  { field: "claimRef", header: "Claim Ref", aliases: ["ref", "reference"] },
+  { field: "supplierName", header: "Supplier Name", aliases: ["supplier"] },
+  { field: "vendorId", header: "Vendor ID" },
+  { field: "schemeStartDate", header: "Scheme Start Date" },
+  { field: "schemeEndDate", header: "Scheme End Date" },
+  { field: "discountType", header: "Discount Type" },
+  { field: "discountValue", header: "Discount Value" },
+  { field: "discountPerUnit", header: "Discount Per Unit" },
+  { field: "discountMaxAmount", header: "Discount Max Amount" },
+  { field: "monthlySchemes", header: "Monthly Schemes (JSON)" },
+  { field: "sku", header: "SKU" },
+  { field: "modelNo", header: "Model No", aliases: ["model"] },
+  { field: "category", header: "Category" },
+  { field: "serialNo", header: "Serial No", aliases: ["serial"] },
+  { field: "quantity", header: "Quantity", aliases: ["qty"] },
+  { field: "rate", header: "Rate" },
+  { field: "amount", header: "Amount" },
+  { field: "saleDate", header: "Sale Date" },
+  { field: "invoiceDate", header: "Invoice Date" },
+];
+
+const CLAIM_FIELDS = [
+  "supplierName",
+  "vendorId",
+  "schemeStartDate",
+  "schemeEndDate",
+  "discountType",
+  "discountValue",
+  "discountPerUnit",
+  "discountMaxAmount",
+  "monthlySchemes",
+];
+const ITEM_FIELDS = [
+  "sku",
+  "modelNo",
+  "category",
+  "serialNo",
+  "quantity",
+  "rate",
+  "amount",
+  "saleDate",
+  "invoiceDate",
+];
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_PREVIEW_TTL_HOURS = 24;
+// A confirm holds its lock this long past the last claim it submitted
+// (renewed after each), so a crashed confirm blocks the import for
+// minutes, not for the preview's lifetime
+const CONFIRM_LOCK_TTL_MS = 2 * 60 * 1000;
+
+const XLSX_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const IMPORT_FILES = {
+  maxMb: Number(process.env.CLAIM_IMPORT_MAX_MB) || 5,
+  types: {
+    ".csv": ["text/csv", "application/vnd.ms-excel", "text/plain"],
+    ".xlsx": [XLSX_TYPE],
+  },
+};
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImportError";
+    this.status = status;
+  }
+}
+
+const keyFor = (id) => `claim-import:${id}`;
+const previewTtlMs = () =>
+  (Number(process.env.IMPORT_PREVIEW_TTL_HOURS) || DEFAULT_PREVIEW_TTL_HOURS) *
+  3600 *
+  1000;
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+const normalizeHeader = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// "Scheme Start Date", "schemeStartDate", aliases → field
+const HEADER_FIELDS = new Map(
+  COLUMNS.flatMap(({ field, header, aliases = [] }) =>
+    [header, field, ...aliases].map((name) => [normalizeHeader(name), field]),
+  ),
+);
+
+// ExcelJS cell value → text / number (dates as YYYY-MM-DD)
+function cellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return "";
+  }
+  return typeof value === "string" ? value.trim() : value;
+}
+
+async function readSheet(file) {
+  const workbook = new ExcelJS.Workbook();
+  const ext = path.extname(file.originalname || "").toLowerCase();
+
+  try {
+    if (ext === ".csv") {
+      // Keep cells as text – the claim schema does its own conversions
+      await workbook.csv.read(Readable.from(file.buffer), {
+        map: (value) => value,
+      });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (error) {
+    throw new ImportError(`Could not read the spreadsheet: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw new ImportError("The sheet needs a header row and at least one row");
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      values[col] = cellValue(cell.value);
+    });
+    rows.push({ rowNumber, values });
+  });
+  return rows;
+}
+
+// column index → field, from the header row and the caller's mapping
+function resolveColumns(headerValues, mapping = {}) {
+  const custom = new Map(
+    Object.entries(mapping).map(([header, field]) => [
+      normalizeHeader(header),
+      field,
+    ]),
+  );
+
+  const columns = new Map();
+  headerValues.forEach((header, col) => {
+    const key = normalizeHeader(header);
+    const field = custom.get(key) || HEADER_FIELDS.get(key);
+    if (field) columns.set(col, { field, header: String(header) });
+  });
+
+  if (![...columns.values()].some((c) => c.field === "supplierName")) {
+    throw new ImportError(
+      'No supplier column found – name one "Supplier Name" or map it',
+    );
+  }
+  return columns;
+}
+
+function checkMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new ImportError("mapping must be an object of header → field");
+  }
+  const known = COLUMNS.map((c) => c.field);
+  const unknown = Object.values(mapping).filter((f) => !known.includes(f));
+  if (unknown.length > 0) {
+    throw new ImportError(
+      `Unknown mapping field(s): ${unknown.join(", ")} (expected: ${known.join(", ")})`,
+    );
+  }
+}
+
+const present = (value) => value !== "" && value !== undefined;
+
+function toClaim(group, columns) {
+  const errors = [];
+  const headerOf = (field) =>
+    [...columns.values()].find((c) => c.field === field)?.header || field;
+
+  const claim = {};
+  CLAIM_FIELDS.forEach((field) => {
+    group.rows.forEach((row) => {
+      const value = row.fields[field];
+      if (!present(value)) return;
+      if (claim[field] === undefined) {
+        claim[field] = { value, row: row.rowNumber };
+      } else if (String(claim[field].value) !== String(value)) {
+        errors.push({
+          row: row.rowNumber,
+          column: headerOf(field),
+          message: `differs from row ${claim[field].row} of the same claim`,
+        });
+      }
+    });
+  });
+  const valueOf = (field) => claim[field]?.value;
+
+  const data = {
+    supplierName: valueOf("supplierName"),
+    vendorId: present(valueOf("vendorId"))
+      ? String(valueOf("vendorId"))
+      : undefined,
+    schemeStartDate: valueOf("schemeStartDate"),
+    schemeEndDate: valueOf("schemeEndDate"),
+    discountModels: present(valueOf("discountType"))
+      ? [
+          {
+            type: String(valueOf("discountType")).toLowerCase(),
+            value: valueOf("discountValue"),
+            perUnit: valueOf("discountPerUnit"),
+            maxAmount: valueOf("discountMaxAmount"),
+          },
+        ]
+      : [],
+    monthlySchemes: valueOf("monthlySchemes") || [],
+    items: group.rows.map((row) =>
+      Object.fromEntries(
+        ITEM_FIELDS.filter((f) => present(row.fields[f])).map((f) => [
+          f,
+          row.fields[f],
+        ]),
+      ),
+    ),
+  };
+
+  if (typeof data.monthlySchemes === "string") {
+    try {
+      data.monthlySchemes = JSON.parse(data.monthlySchemes);
+    } catch {
+      errors.push({
+        row: claim.monthlySchemes.row,
+        column: headerOf("monthlySchemes"),
+        message: "must be valid JSON",
+      });
+      data.monthlySchemes = [];
+    }
+  }
+
+  // Schema / calculator paths → spreadsheet row + column
+  const locate = ({ field, message }) => {
+    const item = /^items\[(\d+)\]\.?(\w*)/.exec(field);
+    if (item) {
+      return {
+        row: group.rows[Number(item[1])].rowNumber,
+        column: headerOf(item[2] || "sku"),
+        message,
+      };
+    }
+    const discount = /^discountModels\[0\]\.(\w+)/.exec(field);
+    const name = discount
+      ? `discount${discount[1][0].toUpperCase()}${discount[1].slice(1)}`
+      : field.split(/[.[]/)[0];
+    return {
+      row: claim[name]?.row || group.rows[0].rowNumber,
+      column: headerOf(name),
+      message:
+        field.includes(".") && !discount ? `${field} ${message}` : message,
+    };
+  };
+
+  errors.push(...validate(claimSchema, data).map(locate));
+  if (errors.length > 0) return { data, errors, summary: null };
+
+  const calculated = calculateClaim(data);
+  return {
+    data,
+    errors: calculated.errors.map(locate),
+    summary: calculated.summary,
+  };
+}
+
+/**
+ * Validate and price every claim in a spreadsheet, and keep the
+ * preview for confirmImport().
+ * @param {object} file   multer memory-storage upload
+ * @param {{mapping?: object, user: object}} options
+ */
+async function parseImport(file, { mapping, user }) {
+  if (mapping !== undefined) checkMapping(mapping);
+
+  const [header, ...rows] = await readSheet(file);
+  const columns = resolveColumns(header.values, mapping);
+
+  const maxRows = Number(process.env.CLAIM_IMPORT_MAX_ROWS) || DEFAULT_MAX_ROWS;
+  if (rows.length > maxRows) {
+    throw new ImportError(`At most ${maxRows} rows per import`);
+  }
+
+  // Rows → claims (by Claim Ref, else one claim per row)
+  const groups = new Map();
+  rows.forEach(({ rowNumber, values }) => {
+    const fields = {};
+    columns.forEach(({ field }, col) => {
+      fields[field] = values[col] ?? "";
+    });
+    if (!Object.values(fields).some(present)) return;
+
+    const ref = present(fields.claimRef)
+      ? String(fields.claimRef)
+      : `row-${rowNumber}`;
+    if (!groups.has(ref)) groups.set(ref, { ref, rows: [] });
+    groups.get(ref).rows.push({ rowNumber, fields });
+  });
+
+  const claims = [...groups.values()].map((group) => {
+    const { data, errors, summary } = toClaim(group, columns);
+    return {
+      ref: group.ref,
+      rows: group.rows.map((r) => r.rowNumber),
+      supplierName: data.supplierName || null,
+      claimAmount: summary?.totals.claimAmount ?? null,
+      valid: errors.length === 0,
+      errors,
+      data,
+    };
+  });
+
+  const preview = {
+    id: crypto.randomUUID(),
+    status: "preview",
+    fileName: file.originalname,
+    createdBy: user.id,
+    createdAt: new Date().toISOString(),
+    columns: [...columns.values()],
+    totals: {
+      rows: claims.reduce((t, c) => t + c.rows.length, 0),
+      claims: claims.length,
+      valid: claims.filter((c) => c.valid).length,
+      invalid: claims.filter((c) => !c.valid).length,
+      claimAmount: round2(claims.reduce((t, c) => t + (c.claimAmount || 0), 0)),
+    },
+    claims,
+  };
+
+  await getKvStore().set(keyFor(preview.id), preview, previewTtlMs());
+  return preview;
+}
+
+async function getImport(id) {
+  return getKvStore().get(keyFor(id));
+}
+
+function importTotals(preview, results) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    ...preview.totals,
+    submitted: count("submitted"),
+    failed: count("failed"),
+    duplicate: count("duplicate"),
+    skipped: count("skipped"),
+  };
+}
+
+async function submitImportClaim(claim, submit) {
+  const base = { ref: claim.ref, rows: claim.rows };
+  if (!claim.valid) {
+    return {
+      ...base,
+      status: "skipped",
+      message: claim.errors.map((e) => `${e.column}: ${e.message}`).join("; "),
+    };
+  }
+
+  try {
+    const outcome = await submit(claim.data);
+    if (outcome.blocked) {
+      return {
+        ...base,
+        status: "duplicate",
+        message: `${outcome.blocked.message}: ${outcome.duplicates
+          .map((d) => `${d.claimNumber} (${d.reason})`)
+          .join("; ")}`,
+      };
+    }
+    if (outcome.errors.length > 0 || !outcome.claimNumber) {
+      return {
+        ...base,
+        status: "failed",
+        message:
+          outcome.errors.map((e) => `${e.field} ${e.message}`).join("; ") ||
+          "No webhook URLs configured",
+      };
+    }
+    return {
+      ...base,
+      status: "submitted",
+      claimNumber: outcome.claimNumber,
+      claimAmount: outcome.summary.totals.claimAmount,
+    };
+  } catch (error) {
+    return { ...base, status: "failed", message: error.message };
+  }
+}
+
+/**
+ * Submit every valid claim of a preview, once, and save the result
+ * sheet to the file store (resultFile).
+ *
+ * Results are stored after every claim (status "confirming"), so
+ * GET /api/claims/import/:id always shows which claims became real.
+ * If anything fails part-way the import is left "partial" and can be
+ * confirmed again: claims that already have a result are not
+ * resubmitted. So can one whose confirm crashed, once its lock
+ * (CONFIRM_LOCK_TTL_MS) has run out.
+ * @param {(data: object) => Promise<{claimNumber?: string, errors: object[],
+ *   attempts?: object[]}>} submit   services/claimSubmission.js submitClaim
+ */
+async function confirmImport(id, { user, submit }) {
+  const store = getKvStore();
+  const preview = await getImport(id);
+  if (!preview) throw new ImportError("Import not found or expired", 404);
+  if (preview.createdBy !== user.id) {
+    throw new ImportError("Only the uploader can confirm this import", 403);
+  }
+
+  // Held while this confirm runs
+  const lockKey = `${keyFor(id)}:confirm`;
+  const owner = crypto.randomUUID();
+  if (
+    preview.status === "confirmed" ||
+    !(await store.setIfAbsent(lockKey, owner, CONFIRM_LOCK_TTL_MS))
+  ) {
+    throw new ImportError("Import already confirmed", 409);
+  }
+  const ownsLock = async () => (await store.get(lockKey)) === owner;
+  let lockLost = false;
+  // Renewed around every claim; a confirm that outlived its lock stops
+  // rather than race the one that took over (and leaves the import to it)
+  const holdLock = async () => {
+    if (!(await ownsLock())) {
+      lockLost = true;
+      throw new ImportError("Import confirm timed out, try again", 409);
+    }
+    await store.set(lockKey, owner, CONFIRM_LOCK_TTL_MS);
+  };
+
+  const results = [...(preview.results || [])];
+  const save = (changes) =>
+    store.set(
+      keyFor(id),
+      {
+        ...preview,
+        ...changes,
+        results,
+        totals: importTotals(preview, results),
+      },
+      previewTtlMs(),
+    );
+
+  try {
+    const done = new Set(results.map((r) => r.ref));
+    for (const claim of preview.claims) {
+      if (done.has(claim.ref)) continue;
+      await holdLock();
+      results.push(await submitImportClaim(claim, submit));
+      await holdLock();
+      await save({ status: "confirming" });
+    }
+
+    const buffer = await resultWorkbook(results);
+    const resultFile = await saveFile(
+      {
+        originalname: `${path.parse(preview.fileName).name}-results.xlsx`,
+        mimetype: XLSX_TYPE,
+        size: buffer.length,
+        buffer,
+      },
+      { owner: user.id },
+    );
+
+    const confirmed = {
+      ...preview,
+      status: "confirmed",
+      confirmedAt: new Date().toISOString(),
+      error: null,
+      totals: importTotals(preview, results),
+      results,
+      resultFile: {
+        id: resultFile.id,
+        name: resultFile.name,
+        size: resultFile.size,
+      },
+    };
+    await holdLock();
+    await store.set(keyFor(id), confirmed, previewTtlMs());
+    await store.delete(lockKey);
+    return confirmed;
+  } catch (error) {
+    if (!lockLost) {
+      await save({ status: "partial", error: error.message }).catch(() => {});
+      if (await ownsLock().catch(() => false)) {
+        await store.delete(lockKey).catch(() => {});
+      }
+    }
+    throw error;
+  }
+}
+
+const RESULT_COLUMNS = [
+  { header: "Claim Ref", key: "ref", width: 16 },
+  { header: "Rows", key: "rows", width: 12 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Claim Number", key: "claimNumber", width: 22 },
+  { header: "Claim Amount", key: "claimAmount", width: 14 },
+  { header: "Message", key: "message", width: 60 },
+];
+
+// Result sheet for the accounts team (uploaded back through fileStore)
+async function resultWorkbook(results) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Results");
+  sheet.columns = RESULT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  results.forEach((r) =>
+    sheet.addRow({ ...r, rows: r.rows.join(", "), message: r.message || "" }),
+  );
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Empty sheet with every known column and one example row
+async function templateWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Claims");
+  sheet.columns = COLUMNS.map(({ header }) => ({
+    header,
+    key: header,
+    width: Math.max(header.length + 2, 12),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRow({
+    "Claim Ref": "LG-JUNE",
+    "Supplier Name": "LG Electronics",
+    "Scheme Start Date": "2025-06-01",
+    "Scheme End Date": "2025-06-30",
+    "Discount Type": "percent",
+    "Discount Value": 5,
+    SKU: "LG-AC-15",
+    Quantity: 2,
+    Rate: 42990,
+    "Sale Date": "2025-06-14",
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  XLSX_TYPE,
+  IMPORT_FILES,
+  IMPORT_COLUMNS: COLUMNS,
+  ImportError,
+  parseImport,
+  getImport,
+  confirmImport,
+  templateWorkbook,
+};
@@ -0,0 +1,353 @@
+const PDFDocument = require("pdfkit");
+const { logger } = require("./logger");
+
+// ===============================================
+// CLAIM STATEMENT PDF
+//
+// The signed statement suppliers ask for: store letterhead, supplier,
+// scheme period, the itemised table, discount models / monthly scheme
+// payouts and totals (from the stored claimSummary), and a signature
+// block. GET /api/claims/:claimNumber/pdf serves it; with
+// WEBHOOK_CLAIM_PDF=true it is also attached to claim.created
+// deliveries (services/claimSubmission.js).
+//
+// Letterhead per store code, "default" for the rest:
+//   CLAIM_LETTERHEAD='{"default": {"name": "…", "address": ["…"],
+//     "gstin": "…", "phone": "…", "email": "…", "signatory": "…"},
+//     "DB": {…}}'
+// A single object (no store keys) applies to every store.
+// ===============================================
+
+const MARGIN = 40;
+const FONT = "Helvetica";
+const FONT_BOLD = "Helvetica-Bold";
+
+// The standard PDF fonts have no ₹ glyph
+const money = (n) =>
+  `Rs. ${Number(n || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+function letterheadFor(store) {
+  let config = {};
+  try {
+    config = JSON.parse(process.env.CLAIM_LETTERHEAD || "{}");
+  } catch (error) {
+    logger.warn("CLAIM_LETTERHEAD is not valid JSON", { error: error.message });
+  }
+
+  const letterhead = config.name
+    ? config
+    : { ...config.default, ...(store && config[store]) };
+
+  return {
+    name: letterhead.name || "Claim Statement",
+    address: [].concat(letterhead.address || []),
+    gstin: letterhead.gstin || null,
+    phone: letterhead.phone || null,
+    email: letterhead.email || null,
+    signatory: letterhead.signatory || null,
+  };
+}
+
+function drawLetterhead(doc, letterhead) {
+  doc.font(FONT_BOLD).fontSize(18).text(letterhead.name, { align: "center" });
+  doc.font(FONT).fontSize(9);
+  letterhead.address.forEach((line) => doc.text(line, { align: "center" }));
+
+  const contact = [
+    letterhead.gstin && `GSTIN: ${letterhead.gstin}`,
+    letterhead.phone && `Phone: ${letterhead.phone}`,
+    letterhead.email,
+  ].filter(Boolean);
+  if (contact.length > 0)
+    doc.text(contact.join("   |   "), { align: "center" });
+
+  doc.moveDown(0.5);
+  rule(doc);
+  doc.moveDown(0.8);
+}
+
+function rule(doc) {
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(doc.page.width - MARGIN, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.8);
+  doc.font(FONT_BOLD).fontSize(11).text(text, MARGIN);
+  doc.moveDown(0.3);
+}
+
+// label: value pairs in two columns
+function details(doc, pairs) {
+  const half = (doc.page.width - 2 * MARGIN) / 2;
+  for (let i = 0; i < pairs.length; i += 2) {
+    const y = doc.y;
+    pairs.slice(i, i + 2).forEach(([label, value], col) => {
+      doc
+        .font(FONT_BOLD)
+        .fontSize(9)
+        .text(`${label}: `, MARGIN + col * half, y, {
+          continued: true,
+          width: half - 10,
+        })
+        .font(FONT)
+        .text(String(value ?? "—"));
+    });
+    doc.moveDown(0.2);
+  }
+}
+
+/**
+ * Simple ruled table; repeats the header row on every new page.
+ * @param {{header: string, width: number, align?: string}[]} columns
+ */
+function table(doc, columns, rows, { header = true } = {}) {
+  const rowHeight = 16;
+  const bottom = doc.page.height - MARGIN - 60;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > bottom) doc.addPage();
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? FONT_BOLD : FONT).fontSize(8.5);
+    columns.forEach((column, i) => {
+      doc.text(String(cells[i] ?? ""), x + 3, y + 4, {
+        width: column.width - 6,
+        align: column.align || "left",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+    doc
+      .moveTo(MARGIN, y + rowHeight)
+      .lineTo(x, y + rowHeight)
+      .lineWidth(0.25)
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () =>
+    header &&
+    drawRow(
+      columns.map((c) => c.header),
+      true,
+    );
+
+  drawHeader();
+  rows.forEach((cells) => {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(cells, false);
+  });
+}
+
+function describeModel(model) {
+  const amount =
+    model.type === "percent" ? `${model.value}%` : money(model.value);
+  const basis =
+    model.type === "flat"
+      ? [false, "false", 0, "0", "No", "no", "off"].includes(model.perUnit)
+        ? " per line"
+        : " per unit"
+      : " of value";
+  const filters = ["sku", "modelNo", "category"]
+    .filter((key) => model[key])
+    .map((key) => `${key} ${model[key]}`);
+  return [
+    model.name || `${model.type} ${model.value}`,
+    `${amount}${basis}`,
+    model.maxAmount ? `max ${money(model.maxAmount)}` : "",
+    filters.length > 0 ? `only ${filters.join(", ")}` : "all items",
+  ];
+}
+
+function signatureBlock(doc, letterhead) {
+  if (doc.y > doc.page.height - MARGIN - 110) doc.addPage();
+  doc.moveDown(3);
+  const x = doc.page.width - MARGIN - 200;
+  doc.font(FONT_BOLD).fontSize(9).text(`For ${letterhead.name}`, x, doc.y, {
+    width: 200,
+    align: "center",
+  });
+  doc.moveDown(3);
+  doc
+    .moveTo(x + 20, doc.y)
+    .lineTo(x + 180, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.3);
+  doc
+    .font(FONT)
+    .text(letterhead.signatory || "Authorised Signatory", x, doc.y, {
+      width: 200,
+      align: "center",
+    });
+  if (letterhead.signatory) {
+    doc.text("Authorised Signatory", x, doc.y, { width: 200, align: "center" });
+  }
+}
+
+function footer(doc, claim) {
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    // Writing below the bottom margin would otherwise add a page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font(FONT)
+      .fontSize(7.5)
+      .text(
+        `${claim.claimNumber}  ·  generated ${new Date().toISOString().slice(0, 10)}  ·  page ${i + 1} of ${range.count}`,
+        MARGIN,
+        doc.page.height - MARGIN + 10,
+        { width: doc.page.width - 2 * MARGIN, align: "center" },
+      );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a stored claim (services/claimStore.js record).
+ * @returns {Promise<Buffer>}
+ */
+function renderClaimPdf(claim) {
+  const data = claim.data || {};
+  const summary = data.claimSummary || {};
+  const totals = summary.totals || {};
+  const letterhead = letterheadFor(claim.store);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Claim ${claim.claimNumber}`,
+      Author: letterhead.name,
+      Subject: `Claim statement for ${claim.supplierName}`,
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  drawLetterhead(doc, letterhead);
+  doc.font(FONT_BOLD).fontSize(14).text("CLAIM STATEMENT", { align: "center" });
+  doc.moveDown(0.8);
+
+  details(doc, [
+    ["Claim No", claim.claimNumber],
+    ["Date", String(claim.createdAt || "").slice(0, 10)],
+    ["Supplier", claim.supplierName],
+    ["Vendor ID", claim.vendorId],
+    [
+      "Scheme period",
+      claim.schemeStartDate || claim.schemeEndDate
+        ? `${claim.schemeStartDate || "…"} to ${claim.schemeEndDate || "…"}`
+        : "—",
+    ],
+    ["Status", claim.status],
+  ]);
+
+  heading(doc, "Items");
+  table(
+    doc,
+    [
+      { header: "#", width: 24, align: "right" },
+      { header: "SKU", width: 90 },
+      { header: "Model", width: 90 },
+      { header: "Sale date", width: 62 },
+      { header: "Qty", width: 36, align: "right" },
+      { header: "Value", width: 106, align: "right" },
+      { header: "Discount claim", width: 107, align: "right" },
+    ],
+    (summary.items || []).map((item) => [
+      item.index + 1,
+      item.sku,
+      item.modelNo,
+      item.saleDate,
+      item.quantity,
+      money(item.value),
+      money(item.claimAmount),
+    ]),
+  );
+
+  const models = data.discountModels || [];
+  if (models.length > 0) {
+    heading(doc, "Discount models");
+    table(
+      doc,
+      [
+        { header: "Model", width: 140 },
+        { header: "Discount", width: 130 },
+        { header: "Cap", width: 100 },
+        { header: "Applies to", width: 145 },
+      ],
+      models.map(describeModel),
+    );
+  }
+
+  const schemes = summary.schemes || [];
+  if (schemes.length > 0) {
+    heading(doc, "Monthly schemes");
+    table(
+      doc,
+      [
+        { header: "Scheme", width: 130 },
+        { header: "Month", width: 60 },
+        { header: "Achieved", width: 110, align: "right" },
+        { header: "Slab", width: 100, align: "center" },
+        { header: "Payout", width: 115, align: "right" },
+      ],
+      schemes.map((s) => [
+        s.name,
+        s.month,
+        s.basis === "value" ? money(s.value) : `${s.quantity} units`,
+        s.slab
+          ? `${s.slab.min}${s.slab.max !== undefined ? `–${s.slab.max}` : "+"}`
+          : "not reached",
+        money(s.payout),
+      ]),
+    );
+  }
+
+  heading(doc, "Totals");
+  table(
+    doc,
+    [
+      { header: "", width: 330 },
+      { header: "", width: 185, align: "right" },
+    ],
+    [
+      ["Items / quantity", `${totals.items || 0} / ${totals.quantity || 0}`],
+      ["Sales value", money(totals.value)],
+      ["Discount claim", money(totals.discountClaim)],
+      ["Scheme claim", money(totals.schemeClaim)],
+      ["Total claim amount", money(totals.claimAmount)],
+    ],
+    { header: false },
+  );
+
+  signatureBlock(doc, letterhead);
+  footer(doc, claim);
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  renderClaimPdf,
+};
@@ -0,0 +1,229 @@
+const { zoho } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+const { listClaims } = require("./claimStore");
+const { logger } = require("./logger");
+
+// ===============================================
+// CLAIM RECONCILIATION
+//
+// Joins the claims raised through POST /api/claims (services/
+// claimStore.js) to the sales they cover, for sales created between
+// `from` and `to` (YYYY-MM-DD, IST):
+//
+//   Trial       Claim_No_1 … Claim_No_5 name the claims; the sale is
+//               scheme-eligible when Delivered_Company_Scheme or
+//               Delivered_DDS is ticked or Scheme_Offered is filled
+//   Cash_Slips  Scheme_Number names the claim; eligible when it is set
+//
+// A sale is also covered by a claim whose items list one of its
+// SKUs / model numbers sold on the same day. References are looked up
+// against every claim – any supplier, drafted ones included – so a
+// `supplier` filter only narrows what is reported. The report flags:
+//
+//   unclaimedSales       eligible sales no (non-rejected) claim covers
+//   unknownClaimNumbers  Claim_No_N values with no claim behind them
+//   shortSettled         settled claims paid below the computed amount
+// ===============================================
+
+const TRAIL_CLAIM_FIELDS = [1, 2, 3, 4, 5].map((n) => `Claim_No_${n}`);
+
+// Zoho's search API stops at 2,000 records (10 pages of 200)
+const PER_PAGE = 200;
+const MAX_PAGES = 10;
+
+const MODULES = zohoConfig.modules;
+
+const day = (value) => (value ? String(value).slice(0, 10) : null);
+const lower = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+// Every record of a module created in the range (IST day bounds)
+async function salesBetween(module, from, to) {
+  const criteria = `(Created_Time:between:${from}T00:00:00+05:30,${to}T23:59:59+05:30)`;
+  const records = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const response = await zoho.get(`${module}/search`, {
+      params: { criteria, page, per_page: PER_PAGE },
+    });
+    records.push(...(response.data || []));
+    if (response.info?.more_records !== true) {
+      return { records, truncated: false };
+    }
+  }
+
+  logger.warn("Reconciliation hit the Zoho search limit", { module, from, to });
+  return { records, truncated: true };
+}
+
+// The fields a report needs from a Trail / Cash Slip record
+function toSale(module, record) {
+  const indexes = [1, 2, 3, 4, 5];
+  const isTrail = module === MODULES.trail;
+
+  const skus = indexes.map((n) => record[`SKU${n}`]);
+  const models = isTrail
+    ? indexes.map((n) => record[n === 1 ? "Model_No" : `Model_No_${n}`])
+    : indexes.map((n) => record[`Model_${n}`]);
+
+  const references = isTrail
+    ? TRAIL_CLAIM_FIELDS.map((field) => ({ field, value: record[field] }))
+    : [{ field: "Scheme_Number", value: record.Scheme_Number }];
+
+  const eligible = isTrail
+    ? Boolean(
+        record.Delivered_Company_Scheme ||
+        record.Delivered_DDS ||
+        (Array.isArray(record.Scheme_Offered) &&
+          record.Scheme_Offered.length > 0),
+      )
+    : Boolean(String(record.Scheme_Number || "").trim());
+
+  return {
+    module,
+    id: record.id,
+    name: record.Name || record.Toeken_number || null,
+    date: day(record.Created_Time),
+    brand: record.Company_Brand || null,
+    skus: skus.map(lower).filter(Boolean),
+    models: models.map(lower).filter(Boolean),
+    references: references
+      .map(({ field, value }) => ({ field, value: String(value || "").trim() }))
+      .filter(({ value }) => value),
+    eligible,
+  };
+}
+
+// Does one of the claim's items describe this sale?
+function itemsCover(claim, sale) {
+  return (claim.data?.items || []).some((item) => {
+    const sold = day(item.saleDate || item.invoiceDate);
+    if (sold !== sale.date) return false;
+    return (
+      (item.sku && sale.skus.includes(lower(item.sku))) ||
+      (item.modelNo && sale.models.includes(lower(item.modelNo)))
+    );
+  });
+}
+
+// Claim window (or creation day) overlaps the report range
+function claimInRange(claim, from, to) {
+  const start = day(claim.schemeStartDate) || day(claim.createdAt);
+  const end = day(claim.schemeEndDate) || day(claim.createdAt);
+  return start <= to && end >= from;
+}
+
+const saleRef = ({ module, id, name, date }) => ({ module, id, name, date });
+
+/**
+ * Build the reconciliation report.
+ * @param {{from: string, to: string, supplier?: string}} range  YYYY-MM-DD
+ */
+async function reconcileClaims({ from, to, supplier }) {
+  const [claims, trail, cashSlips] = await Promise.all([
+    listClaims(),
+    salesBetween(MODULES.trail, from, to),
+    salesBetween(MODULES.cashSlips, from, to),
+  ]);
+
+  const bySupplier = (name) =>
+    !supplier || lower(name).includes(lower(supplier));
+  const byNumber = new Map(claims.map((c) => [lower(c.claimNumber), c]));
+
+  const sales = [
+    ...trail.records.map((r) => toSale(MODULES.trail, r)),
+    ...cashSlips.records.map((r) => toSale(MODULES.cashSlips, r)),
+  ].filter((sale) => !sale.brand || bySupplier(sale.brand));
+
+  const covered = new Map(); // claimNumber → [sale]
+  const cover = (claim, sale) => {
+    if (!covered.has(claim.claimNumber)) covered.set(claim.claimNumber, []);
+    const list = covered.get(claim.claimNumber);
+    if (!list.includes(sale)) list.push(sale);
+  };
+
+  const unknownClaimNumbers = [];
+  const unclaimedSales = [];
+
+  for (const sale of sales) {
+    let claimed = false;
+
+    for (const { field, value } of sale.references) {
+      const claim = byNumber.get(lower(value));
+      if (claim) {
+        cover(claim, sale);
+        if (claim.status !== "rejected") claimed = true;
+      } else if (sale.module === MODULES.trail) {
+        unknownClaimNumbers.push({
+          claimNumber: value,
+          field,
+          ...saleRef(sale),
+        });
+      }
+    }
+
+    for (const claim of byNumber.values()) {
+      if (itemsCover(claim, sale)) {
+        cover(claim, sale);
+        if (claim.status !== "rejected") claimed = true;
+      }
+    }
+
+    if (sale.eligible && !claimed) unclaimedSales.push(saleRef(sale));
+  }
+
+  const reported = claims.filter(
+    (c) =>
+      bySupplier(c.supplierName) &&
+      (covered.has(c.claimNumber) || claimInRange(c, from, to)),
+  );
+
+  const shortSettled = reported
+    .filter(
+      (c) =>
+        c.status === "settled" &&
+        c.claimAmount !== null &&
+        c.settledAmount < c.claimAmount,
+    )
+    .map((c) => ({
+      claimNumber: c.claimNumber,
+      supplierName: c.supplierName,
+      claimAmount: c.claimAmount,
+      settledAmount: c.settledAmount,
+      shortfall: round2(c.claimAmount - c.settledAmount),
+    }));
+
+  return {
+    range: { from, to },
+    supplier: supplier || null,
+    truncated: trail.truncated || cashSlips.truncated,
+    totals: {
+      claims: reported.length,
+      sales: sales.length,
+      eligibleSales: sales.filter((s) => s.eligible).length,
+      unclaimedSales: unclaimedSales.length,
+      unknownClaimNumbers: unknownClaimNumbers.length,
+      shortSettled: shortSettled.length,
+      shortfall: round2(shortSettled.reduce((t, c) => t + c.shortfall, 0)),
+    },
+    claims: reported.map((c) => ({
+      claimNumber: c.claimNumber,
+      status: c.status,
+      supplierName: c.supplierName,
+      claimAmount: c.claimAmount,
+      settledAmount: c.settledAmount,
+      settlement: c.settlement,
+      sales: (covered.get(c.claimNumber) || []).map(saleRef),
+    })),
+    unclaimedSales,
+    unknownClaimNumbers,
+    shortSettled,
+  };
+}
+
+module.exports = {
+  reconcileClaims,
+};
@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const { getKvStore } = require("./kvStore");
+const { logger } = require("./logger");
+
+// ===============================================
+// CLAIM LIFECYCLE STORE
+//
+// Every claim is kept under claim:<claimNumber> in the shared KV with
+// its status history:
+//
+//   drafted → submitted → acknowledged → approved → settled
+//                 │             │            │
+//                 └─────────────┴────────────┴──→ rejected
+//
+// submitted/acknowledged may jump straight to approved, settled or
+// rejected (suppliers don't always report every step). "settled" can
+// repeat as further payments arrive; settledAmount is the running total
+// and settlement reads "partial" until it reaches claimAmount.
+//
+// Changes to a stored claim are serialised per claim with a KV lock
+// (claim-lock:<claimNumber>), so two callbacks can't both pass the
+// transition check or lose each other's writes – like the sequencer's
+// lock, it only holds on a single host.
+// ===============================================
+
+const STATUSES = [
+  "drafted",
+  "submitted",
+  "acknowledged",
+  "approved",
+  "settled",
+  "rejected",
+];
+
+const TRANSITIONS = {
+  drafted: ["submitted", "rejected"],
+  submitted: ["acknowledged", "approved", "settled", "rejected"],
+  acknowledged: ["approved", "settled", "rejected"],
+  approved: ["settled", "rejected"],
+  settled: ["settled"],
+  rejected: [],
+};
+
+const MAX_HISTORY = 50;
+
+// A lock outlives a crashed holder by at most LOCK_TTL_MS
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+
+const keyFor = (claimNumber) => `claim:${claimNumber}`;
+// Not under claim: – listClaims() reads everything there as a claim
+const lockKeyFor = (claimNumber) => `claim-lock:${claimNumber}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class ClaimStatusError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "ClaimStatusError";
+    this.status = status;
+  }
+}
+
+function settlementOf(claim) {
+  if (claim.status === "rejected") return "rejected";
+  if (!claim.settledAmount) return "none";
+  return claim.settledAmount >= (claim.claimAmount || 0) ? "full" : "partial";
+}
+
+function entry(status, { by, note, amount, reference } = {}) {
+  return {
+    status,
+    at: new Date().toISOString(),
+    by: by || null,
+    ...(note && { note }),
+    ...(amount !== undefined && { amount }),
+    ...(reference && { reference }),
+  };
+}
+
+/**
+ * Store a new claim as "drafted".
+ * @param {object} claim  the normalized claim (claimNumber, supplierName, …)
+ */
+async function createClaim(claim, { user, file } = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    claimNumber: claim.claimNumber,
+    status: "drafted",
+    supplierName: claim.supplierName,
+    vendorId: claim.vendorId || null,
+    store: user?.store || null,
+    schemeStartDate: claim.schemeStartDate || null,
+    schemeEndDate: claim.schemeEndDate || null,
+    claimAmount: claim.claimSummary?.totals.claimAmount ?? null,
+    settledAmount: 0,
+    settlement: "none",
+    file: file ? { id: file.id, name: file.name, size: file.size } : null,
+    // Earlier claims services/claimDuplicates.js matched (flag / override)
+    duplicateOf: (claim.duplicateCheck?.matches || []).map(
+      (m) => m.claimNumber,
+    ),
+    deliveries: [],
+    data: claim,
+    createdBy: user?.id || null,
+    createdAt: now,
+    updatedAt: now,
+    history: [entry("drafted", { by: user?.id })],
+  };
+
+  await getKvStore().set(keyFor(record.claimNumber), record);
+  return record;
+}
+
+async function getClaim(claimNumber) {
+  return getKvStore().get(keyFor(claimNumber));
+}
+
+async function saveClaim(record) {
+  record.updatedAt = new Date().toISOString();
+  await getKvStore().set(keyFor(record.claimNumber), record);
+  return record;
+}
+
+// Run fn holding the claim's lock; 409 when it stays busy
+async function withClaimLock(claimNumber, fn) {
+  const store = getKvStore();
+  const lockKey = lockKeyFor(claimNumber);
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await store.setIfAbsent(lockKey, owner, LOCK_TTL_MS))) {
+    if (Date.now() > deadline) {
+      throw new ClaimStatusError(`Claim ${claimNumber} is busy, try again`);
+    }
+    await sleep(20 + Math.random() * 30);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only release our own lock (it may have expired and been retaken)
+    if ((await store.get(lockKey)) === owner) await store.delete(lockKey);
+  }
+}
+
+/**
+ * Move a claim to `status`, recording who/why.
+ * Throws ClaimStatusError (404 / 409) for unknown claims, illegal moves
+ * or a claim another update keeps busy.
+ */
+function updateClaimStatus(claimNumber, status, options) {
+  return withClaimLock(claimNumber, () =>
+    applyStatus(claimNumber, status, options),
+  );
+}
+
+async function applyStatus(
+  claimNumber,
+  status,
+  { by, note, settledAmount, reference, deliveries } = {},
+) {
+  const record = await getClaim(claimNumber);
+  if (!record) throw new ClaimStatusError("Claim not found", 404);
+
+  if (!STATUSES.includes(status)) {
+    throw new ClaimStatusError(`Unknown status "${status}"`, 400);
+  }
+  if (!TRANSITIONS[record.status].includes(status)) {
+    throw new ClaimStatusError(
+      `Cannot move a ${record.status} claim to ${status}`,
+    );
+  }
+
+  if (settledAmount !== undefined && settledAmount !== null) {
+    const amount = Number(settledAmount);
+    if (amount < record.settledAmount) {
+      throw new ClaimStatusError(
+        "settledAmount is a running total and cannot go down",
+        400,
+      );
+    }
+    record.settledAmount = amount;
+  }
+
+  record.status = status;
+  record.settlement = settlementOf(record);
+  if (deliveries) record.deliveries = deliveries;
+  record.history = [
+    ...record.history,
+    entry(status, { by, note, amount: settledAmount, reference }),
+  ].slice(-MAX_HISTORY);
+
+  await saveClaim(record);
+  logger.info("Claim status updated", {
+    claimNumber,
+    status,
+    settledAmount: record.settledAmount,
+  });
+  return record;
+}
+
+/**
+ * Merge bookkeeping fields (e.g. zoho) into a claim without touching its
+ * status or history. null when the claim is gone.
+ */
+function updateClaim(claimNumber, fields) {
+  return withClaimLock(claimNumber, async () => {
+    const record = await getClaim(claimNumber);
+    if (!record) return null;
+    return saveClaim({ ...record, ...fields });
+  });
+}
+
+async function deleteClaim(claimNumber) {
+  await getKvStore().delete(keyFor(claimNumber));
+}
+
+/**
+ * Newest first, filtered.
+ * @param {{status?, supplier?, store?, from?, to?, flagged?}} filters
+ *   from/to: YYYY-MM-DD on createdAt; flagged: possible duplicates only
+ */
+async function listClaims({ status, supplier, store, from, to, flagged } = {}) {
+  const needle = supplier ? supplier.toLowerCase() : null;
+
+  return (await getKvStore().list("claim:"))
+    .map(({ value }) => value)
+    .filter(
+      (c) =>
+        (!status || c.status === status) &&
+        (!needle || (c.supplierName || "").toLowerCase().includes(needle)) &&
+        (!store || c.store === store) &&
+        (!from || c.createdAt.slice(0, 10) >= from) &&
+        (!to || c.createdAt.slice(0, 10) <= to) &&
+        (!flagged || c.duplicateOf?.length > 0),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  CLAIM_STATUSES: STATUSES,
+  ClaimStatusError,
+  createClaim,
+  getClaim,
+  updateClaimStatus,
+  updateClaim,
+  deleteClaim,
+  listClaims,
+};
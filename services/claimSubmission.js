@@ -0,0 +1,151 @@
+const { calculateClaim } = require("./claimCalculator");
+const { issueNumber, confirmNumber, voidNumber } = require("./sequencer");
+const { saveFile } = require("./fileStore");
+const { createClaim, updateClaimStatus, deleteClaim } = require("./claimStore");
+const { dispatchEvent, routeEvent } = require("./webhookRouting");
+const { renderClaimPdf } = require("./claimPdf");
+const { webhookRoutes } = require("../config/webhookRoutes");
+const { logger } = require("./logger");
+const { duplicateGuard } = require("./claimDuplicates");
+const { syncClaimToZoho } = require("./claimZoho");
+const { ownerFields } = require("../middleware/auth");
+
+// ===============================================
+// CLAIM SUBMISSION
+//
+// The one path every claim takes – POST /api/claims and the bulk
+// import alike: calculate → webhook targets → duplicate check →
+// number → keep the document → store as drafted → queue the
+// claim.created webhooks → submitted → Zoho claims record
+// (ZOHO_CLAIMS_MODULE).
+//
+// A claim no webhook would receive is refused before anything is
+// stored. Anything failing before the webhooks are queued deletes
+// the draft and voids the number (the sequence audit shows why);
+// once queued the claim stands and the outbox retries delivery. A
+// failed Zoho sync is only recorded on the claim
+// (services/claimZoho.js).
+// ===============================================
+
+// The claim statement for the webhooks (WEBHOOK_CLAIM_PDF=true); a
+// rendering problem only costs the attachment, never the claim
+async function claimDocument(record, user) {
+  try {
+    const buffer = await renderClaimPdf({ ...record, status: "submitted" });
+    return await saveFile(
+      {
+        originalname: `${record.claimNumber}.pdf`,
+        mimetype: "application/pdf",
+        size: buffer.length,
+        buffer,
+      },
+      { owner: user.id },
+    );
+  } catch (error) {
+    logger.error("Claim PDF for webhooks failed", {
+      claimNumber: record.claimNumber,
+      error,
+    });
+    return null;
+  }
+}
+
+/**
+ * Submit one normalized claim.
+ * @param {object} data   claim body (see schemas/claim.js), gets
+ *                        claimSummary + claimNumber set on success
+ * @param {{user: object, upload?: object, baseUrl: string}} options
+ *   upload: the supporting document (multer memory-storage shape)
+ * @returns {Promise<{errors: object[], blocked?: object,
+ *   duplicates?: object[], claimNumber?: string, summary?: object,
+ *   attempts?: object[], file?: object, zohoSync?: object|null}>}
+ *   errors non-empty → rejected by the calculator, nothing stored;
+ *   blocked → likely duplicate ({status, message}), nothing stored;
+ *   attempts empty → no webhook targets, nothing stored
+ */
+async function submitClaim(data, { user, upload, baseUrl }) {
+  // Claimable amounts; items sold outside the scheme window reject it
+  const { errors, summary } = calculateClaim(data);
+  if (errors.length > 0) return { errors };
+  data.claimSummary = summary;
+
+  // Routing only reads the claim's contents, so a claim no rule or
+  // default picks up is turned away before a number or file is spent
+  if (routeEvent("claim.created", data).length === 0) {
+    logger.warn("No webhook targets for claim", {
+      supplier: data.supplierName,
+    });
+    return { errors: [], summary, attempts: [] };
+  }
+
+  // Holds the supplier's lock until the claim is stored, so a double
+  // submit can't slip past the check
+  const guard = await duplicateGuard(data, { user, baseUrl });
+  if (guard.blocked) {
+    return {
+      errors: [],
+      blocked: guard.blocked,
+      duplicates: guard.matches,
+      summary,
+    };
+  }
+  if (guard.check) data.duplicateCheck = guard.check;
+
+  let sequence = null;
+  let submitted = false;
+  try {
+    // Claim number from the per-store, per-FY sequence
+    sequence = await issueNumber("claim", { store: user.store, user });
+    data.claimNumber = sequence.number;
+
+    // Supporting document (scheme circular / debit note) is kept so
+    // retried deliveries can still send it
+    const file = upload ? await saveFile(upload, { owner: user.id }) : null;
+
+    // Tracked from here on (GET /api/claims/:claimNumber)
+    const record = await createClaim(data, { user, file });
+    await guard.release();
+    const document = webhookRoutes.defaults.claimPdf
+      ? await claimDocument(record, user)
+      : null;
+
+    // Persisted to the outbox first so a receiver being down never
+    // loses the claim; failed deliveries are retried by the worker
+    const attempts = await dispatchEvent("claim.created", data, {
+      file,
+      document,
+      baseUrl,
+    });
+
+    submitted = true;
+    await confirmNumber(sequence);
+    await updateClaimStatus(data.claimNumber, "submitted", {
+      by: user.id,
+      deliveries: attempts.map((d) => d.id),
+    });
+    const zohoSync = await syncClaimToZoho(data.claimNumber, {
+      owner: ownerFields(user),
+    });
+
+    return {
+      errors: [],
+      claimNumber: data.claimNumber,
+      summary,
+      duplicates: guard.matches,
+      attempts,
+      file,
+      zohoSync,
+    };
+  } catch (error) {
+    await guard.release();
+    if (sequence && !submitted) {
+      await deleteClaim(sequence.number).catch(() => {});
+      await voidNumber(sequence, error.message);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  submitClaim,
+};
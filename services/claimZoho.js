@@ -0,0 +1,213 @@
+const { zoho, escapeCriteria } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+const { getClaim, updateClaim } = require("./claimStore");
+const { logger } = require("./logger");
+
+// ===============================================
+// CLAIMS IN ZOHO CRM
+//
+// With ZOHO_CLAIMS_MODULE set (e.g. "Claims"), every claim is upserted
+// there – keyed by Name = claim number – when it is submitted and
+// whenever its status changes. The Vendor lookup
+// (ZOHO_CLAIMS_VENDOR_FIELD, default "Vendor") puts the claim in the
+// vendor's related list. Expected layout:
+//
+//   Name, Supplier_Name, Store, Status, Settlement,
+//   Scheme_Start_Date, Scheme_End_Date, Claim_Amount, Discount_Claim,
+//   Scheme_Claim, Settled_Amount, Duplicate_Of
+//   Claim_Items      SKU, Model_No, Serial_No, Category, Quantity,
+//                    Rate, Amount, Sale_Date, Discount_Claim
+//   Discount_Models  Model_Name, Discount_Type, Value, Per_Unit,
+//                    Max_Amount, Applies_To
+//   Monthly_Schemes  Scheme_Name, Month, Basis, Achieved_Quantity,
+//                    Achieved_Value, Slab, Payout
+//
+// Zoho being down never fails a claim: the outcome is kept on the
+// claim (zoho.recordId / zoho.error) and
+// POST /api/admin/claims/:claimNumber/zoho-sync retries it.
+// ===============================================
+
+const FALSY = [false, "false", 0, "0", "No", "no", "off"];
+
+const MODULES = zohoConfig.modules;
+const vendorField = () => process.env.ZOHO_CLAIMS_VENDOR_FIELD || "Vendor";
+
+const day = (value) => (value ? String(value).slice(0, 10) : null);
+const orNull = (value) =>
+  value === undefined || value === "" ? null : Number(value);
+const titleCase = (value) =>
+  String(value || "").replace(/^./, (c) => c.toUpperCase());
+
+/**
+ * Vendor record for a claim: claim.vendorId, else Vendor_Name equal to
+ * supplierName. null when there is none.
+ */
+async function findVendorId(claim) {
+  if (claim.vendorId) return String(claim.vendorId);
+  if (!claim.supplierName) return null;
+
+  const found = await zoho.get(`${MODULES.vendors}/search`, {
+    params: {
+      criteria: `(Vendor_Name:equals:${escapeCriteria(claim.supplierName)})`,
+    },
+  });
+  return found.data?.[0]?.id || null;
+}
+
+function itemRows(data, summary) {
+  return (data.items || []).map((item, i) => ({
+    SKU: item.sku || null,
+    Model_No: item.modelNo || null,
+    Serial_No: item.serialNo || null,
+    Category: item.category || null,
+    Quantity: orNull(item.quantity),
+    Rate: orNull(item.rate),
+    Amount: summary.items?.[i]?.value ?? orNull(item.amount),
+    Sale_Date: day(item.saleDate || item.invoiceDate),
+    Discount_Claim: summary.items?.[i]?.claimAmount ?? null,
+  }));
+}
+
+function discountRows(data) {
+  return (data.discountModels || []).map((model) => ({
+    Model_Name: model.name || `${model.type} ${model.value}`,
+    Discount_Type: model.type,
+    Value: orNull(model.value),
+    Per_Unit: model.type === "flat" && !FALSY.includes(model.perUnit),
+    Max_Amount: orNull(model.maxAmount),
+    Applies_To:
+      ["sku", "modelNo", "category"]
+        .filter((key) => model[key])
+        .map((key) => `${key}: ${model[key]}`)
+        .join(", ") || "All items",
+  }));
+}
+
+function schemeRows(summary) {
+  return (summary.schemes || []).map((scheme) => ({
+    Scheme_Name: scheme.name,
+    Month: scheme.month,
+    Basis: scheme.basis,
+    Achieved_Quantity: scheme.quantity,
+    Achieved_Value: scheme.value,
+    Slab: scheme.slab
+      ? `${scheme.slab.min}${scheme.slab.max !== undefined ? `-${scheme.slab.max}` : "+"}: ${scheme.slab.payout} ${scheme.slab.payoutType || "perUnit"}`
+      : null,
+    Payout: scheme.payout,
+  }));
+}
+
+/**
+ * Zoho record for a stored claim (services/claimStore.js).
+ * @param {object} claim
+ * @param {{vendorId?: string, owner?: object}} options  owner: ownerFields()
+ */
+function toZohoRecord(claim, { vendorId, owner = {} } = {}) {
+  const data = claim.data || {};
+  const summary = data.claimSummary || {};
+  const totals = summary.totals || {};
+
+  return {
+    Name: claim.claimNumber,
+    ...(vendorId && { [vendorField()]: { id: vendorId } }),
+    Supplier_Name: claim.supplierName,
+    Store: claim.store,
+    Status: titleCase(claim.status),
+    Settlement: titleCase(claim.settlement),
+    Scheme_Start_Date: day(claim.schemeStartDate),
+    Scheme_End_Date: day(claim.schemeEndDate),
+    Claim_Amount: totals.claimAmount ?? claim.claimAmount,
+    Discount_Claim: totals.discountClaim ?? null,
+    Scheme_Claim: totals.schemeClaim ?? null,
+    Settled_Amount: claim.settledAmount,
+    Duplicate_Of: (claim.duplicateOf || []).join(", ") || null,
+    Claim_Items: itemRows(data, summary),
+    Discount_Models: discountRows(data),
+    Monthly_Schemes: schemeRows(summary),
+    ...owner,
+  };
+}
+
+/**
+ * Upsert a stored claim into ZOHO_CLAIMS_MODULE and remember the
+ * outcome on the claim. Never throws.
+ * @param {string} claimNumber
+ * @param {{owner?: object}} options  owner: ownerFields() of the submitter
+ * @returns {Promise<object|null>} claim.zoho, or null when not configured
+ *   (or the claim can't be read)
+ */
+async function syncClaimToZoho(claimNumber, { owner } = {}) {
+  if (!MODULES.claims) return null;
+
+  let claim;
+  try {
+    claim = await getClaim(claimNumber);
+  } catch (error) {
+    logger.error("Claim Zoho sync could not read the claim", {
+      claimNumber,
+      error,
+    });
+    return null;
+  }
+  if (!claim) return null;
+
+  const previous = claim.zoho || {};
+  let zohoState;
+  try {
+    const vendorId = previous.vendorId || (await findVendorId(claim));
+    if (!vendorId) {
+      logger.warn("No Vendor record for claim", { claimNumber });
+    }
+
+    const response = await zoho.post(`${MODULES.claims}/upsert`, {
+      data: [toZohoRecord(claim, { vendorId, owner })],
+      duplicate_check_fields: ["Name"],
+    });
+    const result = response.data?.[0] || {};
+    if (result.status === "error") {
+      const error = new Error(result.message || "Zoho rejected the claim");
+      error.data = result;
+      throw error;
+    }
+
+    zohoState = {
+      module: MODULES.claims,
+      recordId: result.details?.id || previous.recordId || null,
+      vendorId,
+      syncedAt: new Date().toISOString(),
+      error: null,
+    };
+    logger.info("Claim synced to Zoho", {
+      claimNumber,
+      recordId: zohoState.recordId,
+      action: result.action,
+    });
+  } catch (error) {
+    logger.error("Claim Zoho sync failed", {
+      claimNumber,
+      error,
+      zoho: error.data,
+    });
+    zohoState = {
+      ...previous,
+      module: MODULES.claims,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+    };
+  }
+
+  // The Zoho outcome stands even if remembering it fails – the next
+  // sync simply repeats the upsert
+  try {
+    await updateClaim(claimNumber, { zoho: zohoState });
+  } catch (error) {
+    logger.error("Claim Zoho sync state not saved", { claimNumber, error });
+  }
+  return zohoState;
+}
+
+module.exports = {
+  findVendorId,
+  toZohoRecord,
+  syncClaimToZoho,
+};
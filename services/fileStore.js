@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ===============================================
+// UPLOADED FILE STORE
+//
+// Keeps claim attachments (scheme circulars, debit notes) so webhooks
+// retried hours later can still deliver them. One "<id>" blob plus
+// "<id>.json" metadata per file under FILE_STORE_DIR.
+//
+// Receivers without multipart support get a signed download URL:
+//   /api/files/<id>?expires=<unix>&sig=<hmac>
+// signed with FILE_URL_SECRET (falls back to AUTH_SECRET), valid for
+// FILE_URL_TTL_HOURS (default 168 – a week of outbox retries).
+// ===============================================
+
+const DEFAULT_URL_TTL_HOURS = 168;
+const VALID_ID = /^[0-9a-f-]{36}$/;
+
+function storeDir() {
+  const dir =
+    process.env.FILE_STORE_DIR || path.join(os.tmpdir(), "elec-zoho-files");
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function pathsFor(id) {
+  if (!VALID_ID.test(id)) return null;
+  const dir = storeDir();
+  return { blob: path.join(dir, id), meta: path.join(dir, `${id}.json`) };
+}
+
+/**
+ * Persist an uploaded file (multer memory-storage shape).
+ * @returns {Promise<object>} metadata – id, name, type, size, sha256
+ */
+async function saveFile(file, { owner } = {}) {
+  const id = crypto.randomUUID();
+  const meta = {
+    id,
+    name: file.originalname,
+    type: file.mimetype,
+    size: file.size,
+    sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+    owner: owner || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const paths = pathsFor(id);
+  await fs.promises.writeFile(paths.blob, file.buffer);
+  await fs.promises.writeFile(paths.meta, JSON.stringify(meta));
+  return meta;
+}
+
+async function getFileMeta(id) {
+  const paths = pathsFor(id);
+  if (!paths) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(paths.meta, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// { meta, buffer } or null – same shape senders need for multipart
+async function readFile(id) {
+  const meta = await getFileMeta(id);
+  if (!meta) return null;
+  return { meta, buffer: await fs.promises.readFile(pathsFor(id).blob) };
+}
+
+// ===============================================
+// SIGNED DOWNLOAD URLS
+// ===============================================
+
+function urlSecret() {
+  const secret = process.env.FILE_URL_SECRET || process.env.AUTH_SECRET;
+  if (!secret) throw new Error("FILE_URL_SECRET missing");
+  return secret;
+}
+
+function signFileId(id, expires) {
+  return crypto
+    .createHmac("sha256", urlSecret())
+    .update(`${id}.${expires}`)
+    .digest("base64url");
+}
+
+function signedFileUrl(baseUrl, id) {
+  const ttlHours =
+    Number(process.env.FILE_URL_TTL_HOURS) || DEFAULT_URL_TTL_HOURS;
+  const expires = Math.floor(Date.now() / 1000) + ttlHours * 3600;
+  const sig = signFileId(id, expires);
+  return `${baseUrl.replace(/\/$/, "")}/api/files/${id}?expires=${expires}&sig=${sig}`;
+}
+
+function verifyFileSignature(id, expires, sig) {
+  if (!sig || !(Number(expires) > Date.now() / 1000)) return false;
+  const expected = Buffer.from(signFileId(id, Number(expires)));
+  const received = Buffer.from(String(sig));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+module.exports = {
+  saveFile,
+  getFileMeta,
+  readFile,
+  signedFileUrl,
+  verifyFileSignature,
+};
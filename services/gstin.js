@@ -0,0 +1,283 @@
+// ===============================================
+// GSTIN
+//
+//   27 AAPFU0939F 1 Z V
+//   │  │          │ │ └ check character (mod-36 Luhn over the first 14)
+//   │  │          │ └── "Z" for regular registrations
+//   │  │          └──── registration number under this PAN (1-9, A-Z)
+//   │  └─────────────── PAN – its 4th letter is the holder's entity type
+//   └────────────────── state code
+//
+// A typo almost always breaks the check character, so this is what
+// stops a mistyped GSTIN from creating a second vendor. Used by the
+// `format: "gstin"` schema rule (middleware/validate.js), the vendor
+// and contact writes, and GET /api/gstin/:gstin/validate.
+//
+// Vendor writes fill State and Type_of_Supplier from the GSTIN when
+// they are empty and report the difference when they disagree
+// (gstinVendorFields). Type_of_Supplier gets the ENTITY_TYPES name
+// unless GSTIN_SUPPLIER_TYPES maps the PAN letter to the layout's
+// picklist value: '{"P": "Individual", "C": "Private Limited", …}'
+// ===============================================
+
+const { logger } = require("./logger");
+
+const CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const FORMAT = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const STATES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  10: "Bihar",
+  11: "Sikkim",
+  12: "Arunachal Pradesh",
+  13: "Nagaland",
+  14: "Manipur",
+  15: "Mizoram",
+  16: "Tripura",
+  17: "Meghalaya",
+  18: "Assam",
+  19: "West Bengal",
+  20: "Jharkhand",
+  21: "Odisha",
+  22: "Chhattisgarh",
+  23: "Madhya Pradesh",
+  24: "Gujarat",
+  // Daman and Diu's old code; merged into 26 in 2020
+  25: "Dadra and Nagar Haveli and Daman and Diu",
+  26: "Dadra and Nagar Haveli and Daman and Diu",
+  27: "Maharashtra",
+  // Pre-2014 Andhra Pradesh registrations
+  28: "Andhra Pradesh",
+  29: "Karnataka",
+  30: "Goa",
+  31: "Lakshadweep",
+  32: "Kerala",
+  33: "Tamil Nadu",
+  34: "Puducherry",
+  35: "Andaman and Nicobar Islands",
+  36: "Telangana",
+  37: "Andhra Pradesh",
+  38: "Ladakh",
+  97: "Other Territory",
+  99: "Centre Jurisdiction",
+};
+
+// Short codes and old / common spellings people type for a state,
+// keyed like stateKey() – "Tamilnadu", "Tamil Nadu" and "TAMIL-NADU"
+// already match the name in STATES
+const STATE_ALIASES = {
+  jk: "Jammu and Kashmir",
+  jandk: "Jammu and Kashmir",
+  hp: "Himachal Pradesh",
+  pb: "Punjab",
+  ch: "Chandigarh",
+  uk: "Uttarakhand",
+  ut: "Uttarakhand",
+  uttaranchal: "Uttarakhand",
+  hr: "Haryana",
+  dl: "Delhi",
+  newdelhi: "Delhi",
+  nctofdelhi: "Delhi",
+  rj: "Rajasthan",
+  up: "Uttar Pradesh",
+  br: "Bihar",
+  sk: "Sikkim",
+  ar: "Arunachal Pradesh",
+  nl: "Nagaland",
+  mn: "Manipur",
+  mz: "Mizoram",
+  tr: "Tripura",
+  ml: "Meghalaya",
+  as: "Assam",
+  wb: "West Bengal",
+  jh: "Jharkhand",
+  od: "Odisha",
+  or: "Odisha",
+  orissa: "Odisha",
+  cg: "Chhattisgarh",
+  ct: "Chhattisgarh",
+  chattisgarh: "Chhattisgarh",
+  mp: "Madhya Pradesh",
+  gj: "Gujarat",
+  dd: "Dadra and Nagar Haveli and Daman and Diu",
+  dn: "Dadra and Nagar Haveli and Daman and Diu",
+  damananddiu: "Dadra and Nagar Haveli and Daman and Diu",
+  dadraandnagarhaveli: "Dadra and Nagar Haveli and Daman and Diu",
+  mh: "Maharashtra",
+  ap: "Andhra Pradesh",
+  ka: "Karnataka",
+  ga: "Goa",
+  ld: "Lakshadweep",
+  kl: "Kerala",
+  tn: "Tamil Nadu",
+  py: "Puducherry",
+  pondicherry: "Puducherry",
+  an: "Andaman and Nicobar Islands",
+  andamanandnicobar: "Andaman and Nicobar Islands",
+  ts: "Telangana",
+  tg: "Telangana",
+  telengana: "Telangana",
+  la: "Ladakh",
+};
+
+// PAN 4th character
+const ENTITY_TYPES = {
+  P: "Proprietorship",
+  C: "Company",
+  H: "Hindu Undivided Family",
+  F: "Partnership Firm / LLP",
+  A: "Association of Persons",
+  B: "Body of Individuals",
+  T: "Trust",
+  L: "Local Authority",
+  J: "Artificial Juridical Person",
+  G: "Government",
+};
+
+const normalize = (value) =>
+  String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+const stateKey = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * The STATES name for a state as typed – name, short code ("MH"), old
+ * spelling ("Orissa") or GST state code ("27"). null when unrecognised.
+ */
+function stateName(value) {
+  const key = stateKey(value);
+  if (!key) return null;
+  if (/^[0-9]{1,2}$/.test(key)) return STATES[key.padStart(2, "0")] || null;
+  return (
+    Object.values(STATES).find((state) => stateKey(state) === key) ||
+    STATE_ALIASES[key] ||
+    null
+  );
+}
+
+/**
+ * Type_of_Supplier picklist value for a parsed GSTIN, null when its
+ * entity type is unknown.
+ */
+function supplierType(details) {
+  const code = details.pan?.[3];
+  if (!ENTITY_TYPES[code]) return null;
+
+  let picklist = {};
+  try {
+    picklist = JSON.parse(process.env.GSTIN_SUPPLIER_TYPES || "{}");
+  } catch (error) {
+    logger.warn("GSTIN_SUPPLIER_TYPES is not valid JSON", {
+      error: error.message,
+    });
+  }
+  return picklist[code] || ENTITY_TYPES[code];
+}
+
+/**
+ * Fill State / Type_of_Supplier of vendor fields from a parsed GSTIN
+ * (a matching value is normalized, "MH" → "Maharashtra"). Values the
+ * GSTIN contradicts are kept and returned so the response can show
+ * them.
+ * @param {object} vendor   Zoho Vendors fields, updated in place
+ * @param {object} details  parseGstin() result
+ * @returns {{field: string, value: string, gstin: string}[]}
+ */
+function gstinVendorFields(vendor, details) {
+  const differences = [];
+  const check = (field, expected, same) => {
+    if (!expected) return;
+    if (!vendor[field] || same(vendor[field], expected)) {
+      vendor[field] = expected;
+    } else {
+      differences.push({ field, value: vendor[field], gstin: expected });
+    }
+  };
+
+  check("State", details.state, (value, state) => stateName(value) === state);
+  check(
+    "Type_of_Supplier",
+    supplierType(details),
+    (value, type) => stateKey(value) === stateKey(type),
+  );
+  return differences;
+}
+
+/**
+ * Check character for the first 14 characters of a GSTIN.
+ */
+function checkCharacter(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validate a GSTIN and read what it encodes.
+ * @returns {{gstin: string, valid: boolean, errors: string[],
+ *   stateCode?: string, state?: string|null, pan?: string,
+ *   entityType?: string|null, registrationNumber?: string}}
+ *   gstin is normalized (upper case, no spaces); the derived fields are
+ *   present whenever the format is right, even if the checksum isn't
+ */
+function parseGstin(value) {
+  const gstin = normalize(value);
+  if (!FORMAT.test(gstin)) {
+    return {
+      gstin,
+      valid: false,
+      errors: ["must be a 15-character GSTIN"],
+    };
+  }
+
+  const stateCode = gstin.slice(0, 2);
+  const pan = gstin.slice(2, 12);
+  const errors = [];
+
+  const state = STATES[stateCode] || null;
+  if (!state) errors.push(`unknown state code ${stateCode}`);
+
+  const entityType = ENTITY_TYPES[pan[3]] || null;
+  if (!entityType) errors.push(`PAN ${pan} has an unknown holder type`);
+
+  const expected = checkCharacter(gstin);
+  if (gstin[14] !== expected) {
+    errors.push("check character does not match – likely a typo");
+  }
+
+  return {
+    gstin,
+    valid: errors.length === 0,
+    errors,
+    stateCode,
+    state,
+    pan,
+    entityType,
+    registrationNumber: gstin[12],
+  };
+}
+
+module.exports = {
+  GSTIN_STATES: STATES,
+  GSTIN_ENTITY_TYPES: ENTITY_TYPES,
+  parseGstin,
+  stateName,
+  supplierType,
+  gstinVendorFields,
+};
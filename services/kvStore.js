@@ -0,0 +1,170 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ===============================================
+// KEY-VALUE STORE
+// Local stand-in for a hosted KV (Vercel KV / Redis).
+// Every method is async so a networked driver can drop in.
+// setIfAbsent is atomic (SET NX) – use it for locks / first-writer-wins.
+// list(prefix) returns [{ key, value }] – fine for small keyspaces
+// (outbox, admin views), not a substitute for an index.
+//
+//   KV_DRIVER=file   (default) one JSON file per key under KV_DIR
+//   KV_DRIVER=memory process-local Map, lost on restart
+// ===============================================
+
+function isExpired(entry) {
+  return entry.expiresAt && entry.expiresAt <= Date.now();
+}
+
+function expiryFor(ttlMs) {
+  return ttlMs ? Date.now() + ttlMs : null;
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    driver: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: expiryFor(ttlMs) });
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const entry = entries.get(key);
+      if (entry && !isExpired(entry)) return false;
+      entries.set(key, { value, expiresAt: expiryFor(ttlMs) });
+      return true;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(prefix = "") {
+      const out = [];
+      entries.forEach((entry, key) => {
+        if (!key.startsWith(prefix)) return;
+        if (isExpired(entry)) entries.delete(key);
+        else out.push({ key, value: entry.value });
+      });
+      return out;
+    },
+  };
+}
+
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  function read(key) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(fileFor(key), "utf8"));
+      if (isExpired(entry)) {
+        fs.rmSync(fileFor(key), { force: true });
+        return null;
+      }
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    driver: "file",
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      // Write then rename so readers never see a half-written file
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(
+        tmp,
+        JSON.stringify({ value, expiresAt: expiryFor(ttlMs) }),
+      );
+      fs.renameSync(tmp, file);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      fs.writeFileSync(
+        tmp,
+        JSON.stringify({ value, expiresAt: expiryFor(ttlMs) }),
+      );
+
+      // link() fails with EEXIST if the key is taken – atomic on one host
+      const claim = () => {
+        try {
+          fs.linkSync(tmp, file);
+          return true;
+        } catch (error) {
+          if (error.code !== "EEXIST") throw error;
+          return false;
+        }
+      };
+
+      try {
+        if (claim()) return true;
+        // read() drops an expired entry, freeing the key for one more try
+        return read(key) === null && claim();
+      } finally {
+        fs.rmSync(tmp, { force: true });
+      }
+    },
+
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    async list(prefix = "") {
+      return fs
+        .readdirSync(dir)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => decodeURIComponent(name.slice(0, -".json".length)))
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => ({ key, entry: read(key) }))
+        .filter(({ entry }) => entry !== null)
+        .map(({ key, entry }) => ({ key, value: entry.value }));
+    },
+  };
+}
+
+function createKvStore(
+  driver = process.env.KV_DRIVER || "file",
+  dir = process.env.KV_DIR || path.join(os.tmpdir(), "elec-zoho-kv"),
+) {
+  if (driver === "memory") return createMemoryStore();
+  if (driver === "file") return createFileStore(dir);
+  throw new Error(`Unknown KV_DRIVER "${driver}"`);
+}
+
+let defaultStore = null;
+
+// Shared store for the whole backend (created lazily on first use)
+function getKvStore() {
+  if (!defaultStore) defaultStore = createKvStore();
+  return defaultStore;
+}
+
+module.exports = {
+  createKvStore,
+  getKvStore,
+};
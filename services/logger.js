@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+
+// ===============================================
+// STRUCTURED LOGGER
+//
+// One JSON line per event, tagged with the current request's
+// correlation ID. Customer PII and credentials are masked before
+// anything is written.
+//
+//   LOG_LEVEL=debug | info (default) | warn | error | silent
+// ===============================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Credentials are dropped entirely
+const SECRET_KEYS = [
+  /token/i,
+  /secret/i,
+  /password/i,
+  /authorization/i,
+  /api[-_]?key/i,
+  /encryptedkey/i,
+  /cookie/i,
+  /signature/i,
+];
+
+// Customer PII keeps its first/last two characters for debugging
+const PII_KEYS = [
+  /mobile/i,
+  /phone/i,
+  /contact_number/i,
+  /alternate_number/i,
+  /e-?mail/i,
+  /gst/i,
+  /(^|_)pan($|_|number)/i,
+  /bank/i,
+  /account/i,
+  /ifsc/i,
+];
+
+// Patterns masked inside free text (error messages, notes, URLs)
+const SENSITIVE_PATTERNS = [
+  // Zoho OAuth tokens: 1000.<hex>.<hex>
+  [/\b1000\.[a-f0-9]{16,}\.[a-f0-9]{16,}\b/gi, "[token]"],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, "[email]"],
+  [/\b[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/gi, "[gstin]"],
+  // Phone / bank account numbers: 9–18 digits (Zoho record IDs are 19)
+  [/(?<![\d.])\+?\d(?:[\s-]?\d){8,17}(?![\d.])/g, "[number]"],
+];
+
+const MAX_DEPTH = 6;
+
+function maskValue(value) {
+  const text = String(value);
+  if (text.length <= 4) return "****";
+  return `${text.slice(0, 2)}${"*".repeat(Math.min(text.length - 4, 8))}${text.slice(-2)}`;
+}
+
+function redactString(text) {
+  return SENSITIVE_PATTERNS.reduce(
+    (out, [pattern, replacement]) => out.replace(pattern, replacement),
+    text,
+  );
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.status && { status: value.status }),
+    };
+  }
+
+  if (Buffer.isBuffer(value)) return `[buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  Object.entries(value).forEach(([key, v]) => {
+    const blank = v === null || v === undefined || v === "";
+    if (!blank && SECRET_KEYS.some((pattern) => pattern.test(key))) {
+      out[key] = "[redacted]";
+    } else if (
+      !blank &&
+      typeof v !== "object" &&
+      PII_KEYS.some((pattern) => pattern.test(key))
+    ) {
+      out[key] = maskValue(v);
+    } else {
+      out[key] = redact(v, depth + 1);
+    }
+  });
+  return out;
+}
+
+function currentLevel() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...(fields !== undefined &&
+      redact(fields instanceof Error ? { error: fields } : fields)),
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+// ===============================================
+// REQUEST CORRELATION
+// ===============================================
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+const VALID_REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Headers for outbound calls (Zoho, webhooks) so receivers can correlate
+function correlationHeaders() {
+  const requestId = currentRequestId();
+  return requestId ? { [REQUEST_ID_HEADER]: requestId } : {};
+}
+
+// Express middleware: assign/propagate the request ID and log the request
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId =
+    incoming && VALID_REQUEST_ID.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  const started = process.hrtime.bigint();
+
+  requestContext.run({ requestId }, () => {
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const level =
+        res.statusCode >= 500
+          ? "error"
+          : res.statusCode >= 400
+            ? "warn"
+            : "info";
+
+      // "finish" fires outside the async context, so pass the ID along
+      write(level, "request completed", {
+        requestId,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+        user: req.user?.id,
+      });
+    });
+
+    next();
+  });
+}
+
+// Middleware that calls next() from a stream callback (multer/busboy)
+// drops the async context – re-bind it so later logs and outbound
+// calls keep the request ID
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  logger,
+  redact,
+  requestLogger,
+  keepRequestContext,
+  correlationHeaders,
+  currentRequestId,
+  REQUEST_ID_HEADER,
+};
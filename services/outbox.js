@@ -0,0 +1,338 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const FormData = require("form-data");
+const { getKvStore } = require("./kvStore");
+const { logger, currentRequestId, REQUEST_ID_HEADER } = require("./logger");
+const { webhookSecretFor, signatureHeaders } = require("./webhookSigning");
+const { readFile } = require("./fileStore");
+
+// ===============================================
+// WEBHOOK OUTBOX
+//
+// Every webhook delivery is persisted before it is attempted, so a
+// receiver being down never loses a claim:
+//
+//   pending  → delivered           (2xx)
+//   pending  → pending (backoff)   (error / non-2xx, attempts left)
+//   pending  → dead                (OUTBOX_MAX_ATTEMPTS exhausted)
+//   dead     → pending             (admin re-drive)
+//
+// Deliveries are signed per attempt (services/webhookSigning.js) and
+// live in the shared KV under outbox:<state>:<id>. The worker
+// (startOutboxWorker) polls every OUTBOX_POLL_MS; on serverless hosts
+// call POST /api/admin/outbox/process from a cron instead.
+//
+//   OUTBOX_MAX_ATTEMPTS        default 8
+//   OUTBOX_RETRY_BASE_MS       default 30s, doubled per attempt (max 1h)
+//   OUTBOX_DELIVERED_TTL_DAYS  how long delivered records are kept (7)
+// ===============================================
+
+const STATES = ["pending", "delivered", "dead"];
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_DELIVERED_TTL_DAYS = 7;
+const DEFAULT_POLL_MS = 15 * 1000;
+const DELIVERY_TIMEOUT_MS = 15000;
+// Per-delivery lock so two workers never send the same delivery at once
+const LOCK_TTL_MS = 60 * 1000;
+const MAX_HISTORY = 20;
+
+const keyFor = (state, id) => `outbox:${state}:${id}`;
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+function retryDelayMs(attempts) {
+  const base = envNumber("OUTBOX_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS);
+  const delay = Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  // ±20% jitter so a recovering receiver isn't hit by every retry at once
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function targetHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+async function save(delivery) {
+  const ttlMs =
+    delivery.status === "delivered"
+      ? envNumber("OUTBOX_DELIVERED_TTL_DAYS", DEFAULT_DELIVERED_TTL_DAYS) *
+        24 *
+        3600 *
+        1000
+      : undefined;
+
+  const store = getKvStore();
+  await store.set(keyFor(delivery.status, delivery.id), delivery, ttlMs);
+
+  // A delivery lives under exactly one state prefix
+  await Promise.all(
+    STATES.filter((s) => s !== delivery.status).map((s) =>
+      store.delete(keyFor(s, delivery.id)),
+    ),
+  );
+}
+
+/**
+ * Persist one delivery per target for an event.
+ * @param {{url: string, payload: object, route?: string,
+ *   file?: {id: string, mode: string},
+ *   document?: {id: string, mode: string}}[]} targets
+ * @returns {Promise<object[]>} the pending deliveries
+ */
+async function enqueue(event, targets) {
+  const now = new Date().toISOString();
+
+  const deliveries = targets.map(({ url, payload, route, file, document }) => ({
+    id: crypto.randomUUID(),
+    event,
+    url,
+    route: route || null,
+    payload,
+    file: file || null,
+    document: document || null,
+    requestId: currentRequestId(),
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    lastError: null,
+    history: [],
+  }));
+
+  await Promise.all(deliveries.map(save));
+  logger.info("Outbox deliveries queued", {
+    event,
+    count: deliveries.length,
+    ids: deliveries.map((d) => d.id),
+  });
+  return deliveries;
+}
+
+// "payload" part (the signed JSON) + "file" part (the stored upload)
+// + "document" part (the claim PDF) when the delivery has them
+async function multipartBody(delivery, body) {
+  const form = new FormData();
+  form.append("payload", body, { contentType: "application/json" });
+
+  for (const part of ["file", "document"]) {
+    if (delivery[part]?.mode !== "multipart") continue;
+    const stored = await readFile(delivery[part].id);
+    if (!stored) {
+      throw new Error(`Stored file ${delivery[part].id} is missing`);
+    }
+    form.append(part, stored.buffer, {
+      filename: stored.meta.name,
+      contentType: stored.meta.type,
+    });
+  }
+  return { data: form.getBuffer(), contentHeaders: form.getHeaders() };
+}
+
+async function send(delivery) {
+  // Sign the exact bytes we send; a fresh timestamp per attempt
+  const body = JSON.stringify(delivery.payload);
+  const secret = webhookSecretFor(delivery.url);
+  if (!secret) {
+    logger.warn("Webhook sent unsigned – no secret configured", {
+      url: targetHost(delivery.url),
+    });
+  }
+
+  const { data, contentHeaders } =
+    delivery.file?.mode === "multipart" ||
+    delivery.document?.mode === "multipart"
+      ? await multipartBody(delivery, body)
+      : { data: body, contentHeaders: { "Content-Type": "application/json" } };
+
+  const response = await axios.post(delivery.url, data, {
+    headers: {
+      ...contentHeaders,
+      ...signatureHeaders({ secret, deliveryId: delivery.id, body }),
+      // Retries run outside the request, so carry its ID along
+      ...(delivery.requestId && { [REQUEST_ID_HEADER]: delivery.requestId }),
+    },
+    timeout: DELIVERY_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Receiver answered ${response.status}`);
+    error.status = response.status;
+    error.response = response;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Attempt one pending delivery now and record the outcome.
+ * Returns the updated delivery, or null if it is no longer pending or
+ * another worker holds it.
+ */
+async function attempt({ id }) {
+  const store = getKvStore();
+  const lockKey = `outbox:lock:${id}`;
+  if (!(await store.setIfAbsent(lockKey, true, LOCK_TTL_MS))) return null;
+
+  try {
+    // Re-read under the lock – another worker may have just sent it
+    const delivery = await store.get(keyFor("pending", id));
+    if (!delivery || Date.parse(delivery.nextAttemptAt) > Date.now()) {
+      return null;
+    }
+
+    const maxAttempts = envNumber("OUTBOX_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+    const attemptedAt = new Date().toISOString();
+    const next = { ...delivery, attempts: delivery.attempts + 1 };
+
+    try {
+      const response = await send(delivery);
+      Object.assign(next, {
+        status: "delivered",
+        deliveredAt: attemptedAt,
+        lastError: null,
+        lastStatus: response.status,
+      });
+      logger.info("Webhook delivered", {
+        id: delivery.id,
+        event: delivery.event,
+        url: targetHost(delivery.url),
+        attempts: next.attempts,
+      });
+    } catch (error) {
+      const exhausted = next.attempts >= maxAttempts;
+      Object.assign(next, {
+        status: exhausted ? "dead" : "pending",
+        lastError: error.code || error.message,
+        lastStatus: error.status || null,
+        nextAttemptAt: exhausted
+          ? null
+          : new Date(Date.now() + retryDelayMs(next.attempts)).toISOString(),
+      });
+
+      const log = exhausted ? logger.error : logger.warn;
+      log(exhausted ? "Webhook moved to dead letter" : "Webhook failed", {
+        id: delivery.id,
+        event: delivery.event,
+        url: targetHost(delivery.url),
+        attempts: next.attempts,
+        status: error.status,
+        response: error.response?.data,
+        error: error.code || error.message,
+        nextAttemptAt: next.nextAttemptAt,
+      });
+    }
+
+    next.updatedAt = attemptedAt;
+    next.history = [
+      ...delivery.history,
+      {
+        at: attemptedAt,
+        status: next.lastStatus,
+        error: next.lastError,
+      },
+    ].slice(-MAX_HISTORY);
+
+    await save(next);
+    return next;
+  } finally {
+    await store.delete(lockKey);
+  }
+}
+
+// Attempt every due pending delivery once
+async function processOutbox() {
+  const now = Date.now();
+  const due = (await getKvStore().list(keyFor("pending", "")))
+    .map(({ value }) => value)
+    .filter((d) => Date.parse(d.nextAttemptAt) <= now);
+
+  const results = [];
+  for (const delivery of due) {
+    results.push(await attempt(delivery));
+  }
+
+  const done = results.filter(Boolean);
+  return {
+    attempted: done.length,
+    delivered: done.filter((d) => d.status === "delivered").length,
+    dead: done.filter((d) => d.status === "dead").length,
+  };
+}
+
+async function listDeliveries(status) {
+  const states = status ? [status] : STATES;
+  const lists = await Promise.all(
+    states.map((s) => getKvStore().list(keyFor(s, ""))),
+  );
+  return lists
+    .flat()
+    .map(({ value }) => value)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getDelivery(id) {
+  for (const state of STATES) {
+    const delivery = await getKvStore().get(keyFor(state, id));
+    if (delivery) return delivery;
+  }
+  return null;
+}
+
+// Re-drive a failed delivery: fresh attempt budget, sent right away
+async function redeliver(id) {
+  const delivery = await getDelivery(id);
+  if (!delivery || delivery.status === "delivered") return delivery;
+
+  const reset = {
+    ...delivery,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    redrivenAt: new Date().toISOString(),
+  };
+  await save(reset);
+  return (await attempt(reset)) || reset;
+}
+
+let worker = null;
+
+function startOutboxWorker() {
+  if (worker) return;
+  let running = false;
+
+  worker = setInterval(
+    async () => {
+      if (running) return;
+      running = true;
+      try {
+        const result = await processOutbox();
+        if (result.attempted > 0) logger.info("Outbox processed", result);
+      } catch (error) {
+        logger.error("Outbox worker failed", error);
+      } finally {
+        running = false;
+      }
+    },
+    envNumber("OUTBOX_POLL_MS", DEFAULT_POLL_MS),
+  );
+  worker.unref();
+}
+
+module.exports = {
+  OUTBOX_STATES: STATES,
+  enqueue,
+  attempt,
+  processOutbox,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  startOutboxWorker,
+};
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { zoho } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+const { webhookRoutes } = require("../config/webhookRoutes");
+const { logger } = require("./logger");
+const { webhookSecretFor } = require("./webhookSigning");
+
+// ===============================================
+// READINESS CHECKS (GET /health/ready)
+//
+// Each check reports { status: "up" | "down", critical, ... }.
+// Any critical check down → overall "unavailable" (503); a
+// non-critical one down → "degraded" (still 200).
+// Results are cached for HEALTH_CACHE_MS (default 30s) so probes
+// and dashboards don't hammer Zoho.
+//
+// Anonymous callers only get the overall status: the checks name
+// missing env vars, the Zoho DC, module API names and webhook hosts.
+// Admins see them, and so does a monitor sending HEALTH_PROBE_TOKEN as
+// "X-Health-Token".
+// ===============================================
+
+const DEFAULT_CACHE_MS = 30 * 1000;
+const CHECK_TIMEOUT_MS = 5000;
+
+const REQUIRED_ENV = [
+  "ZOHO_CLIENT_ID",
+  "ZOHO_CLIENT_SECRET",
+  "AES_SECRET",
+  "AUTH_SECRET",
+];
+
+let cached = null; // { result, expiresAt }
+let inflight = null;
+
+const up = (critical, extra) => ({ status: "up", critical, ...extra });
+const down = (critical, extra) => ({ status: "down", critical, ...extra });
+
+function withTimeout(promise, ms = CHECK_TIMEOUT_MS) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`timed out after ${ms}ms`)),
+        ms,
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function checkEnv() {
+  const missing = REQUIRED_ENV.filter((name) => !process.env[name]);
+  return missing.length === 0 ? up(true) : down(true, { missing });
+}
+
+// Token refresh + a cheap authenticated call proves the refresh token works
+async function checkZoho() {
+  const started = Date.now();
+  try {
+    await withTimeout(zoho.get("org"));
+    return up(true, {
+      latencyMs: Date.now() - started,
+      dc: zohoConfig.emulator ? "emulator" : zohoConfig.dc,
+    });
+  } catch (error) {
+    return down(true, {
+      latencyMs: Date.now() - started,
+      error: error.code || error.message,
+    });
+  }
+}
+
+// Every module the routes write to must exist in this Zoho org
+async function checkModules() {
+  try {
+    const response = await withTimeout(zoho.get("settings/modules"));
+    const available = new Set((response.modules || []).map((m) => m.api_name));
+    const missing = Object.values(zohoConfig.modules).filter(
+      (name) => !available.has(name),
+    );
+    return missing.length === 0
+      ? up(true, { modules: Object.values(zohoConfig.modules) })
+      : down(true, { missing });
+  } catch (error) {
+    return down(true, { error: error.code || error.message });
+  }
+}
+
+async function probeUrl(url) {
+  try {
+    // Any HTTP answer (even 404/405) means the receiver is reachable
+    const response = await axios.head(url, {
+      timeout: CHECK_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    return {
+      url: new URL(url).host,
+      reachable: true,
+      status: response.status,
+      signed: Boolean(webhookSecretFor(url)),
+    };
+  } catch (error) {
+    let host = url;
+    try {
+      host = new URL(url).host;
+    } catch {
+      // keep the raw value for malformed URLs
+    }
+    return { url: host, reachable: false, error: error.code || error.message };
+  }
+}
+
+async function checkWebhooks() {
+  const { rules, defaults } = webhookRoutes;
+  const claimRouted =
+    defaults.claim.length > 0 ||
+    rules.some((rule) => rule.events.includes("claim.created"));
+  if (!claimRouted) {
+    return down(true, { error: "No webhook targets for claims" });
+  }
+
+  const urls = [
+    ...new Set([
+      ...defaults.claim,
+      ...defaults.vendor,
+      ...rules.flatMap((rule) => rule.targets.map((t) => t.url)),
+    ]),
+  ];
+
+  const targets = await Promise.all(urls.map(probeUrl));
+  const unreachable = targets.filter((t) => !t.reachable).length;
+
+  // Claims queue in the outbox, so an unreachable receiver only degrades
+  return unreachable === 0 ? up(false, { targets }) : down(false, { targets });
+}
+
+function checkAi() {
+  return process.env.GEMINI_KEY
+    ? up(false)
+    : down(false, { missing: ["GEMINI_KEY"] });
+}
+
+async function runChecks() {
+  const [zohoCheck, modules, webhooks] = await Promise.all([
+    checkZoho(),
+    checkModules(),
+    checkWebhooks(),
+  ]);
+
+  const checks = {
+    env: checkEnv(),
+    zoho: zohoCheck,
+    modules,
+    webhooks,
+    ai: checkAi(),
+  };
+
+  const failed = Object.values(checks).filter((c) => c.status === "down");
+  const status = failed.some((c) => c.critical)
+    ? "unavailable"
+    : failed.length > 0
+      ? "degraded"
+      : "ready";
+
+  if (status !== "ready") {
+    logger.warn("Readiness check not ready", {
+      status,
+      failing: Object.keys(checks).filter((k) => checks[k].status === "down"),
+    });
+  }
+
+  return { status, checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * Run (or reuse cached) readiness checks.
+ * @param {{force?: boolean}} options  force skips the cache
+ */
+async function checkReadiness({ force = false } = {}) {
+  const cacheMs = Number(process.env.HEALTH_CACHE_MS) || DEFAULT_CACHE_MS;
+
+  if (!force && cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  if (!inflight) {
+    inflight = runChecks()
+      .then((result) => {
+        cached = { result, expiresAt: Date.now() + cacheMs };
+        return result;
+      })
+      .finally(() => {
+        inflight = null;
+      });
+  }
+
+  return { ...(await inflight), cached: false };
+}
+
+// Does `token` match HEALTH_PROBE_TOKEN? false when none is configured
+function isProbeToken(token) {
+  const expected = process.env.HEALTH_PROBE_TOKEN;
+  if (!expected || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  checkReadiness,
+  isProbeToken,
+};
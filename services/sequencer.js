@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const { getKvStore } = require("./kvStore");
+const { zoho, escapeCriteria, ZohoApiError } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+const { logger, currentRequestId } = require("./logger");
+
+// ===============================================
+// DOCUMENT NUMBER SEQUENCER
+//
+// Claim, contact and cash slip numbers come from counters kept per
+// prefix, store and Indian financial year (April–March, IST):
+//
+//   CS-DB-2526-00042   cash slip #42 of store DB in FY 2025-26
+//
+// Every issued number is recorded (issued → used | void) so
+// GET /api/admin/sequences/:id/audit can show voided, unconfirmed and
+// missing numbers.
+//
+//   SEQUENCE_PREFIXES  "claim=CL,contact=CE,cashSlip=CS" (the defaults)
+//   DEFAULT_STORE_CODE store for callers without one (default "HO")
+//   SEQUENCE_STORE     kv (default) – counters in the KV, issued under
+//                      a KV lock. The KV drivers are local to one
+//                      host, so numbers are only unique while a single
+//                      instance issues them – not on Vercel or behind
+//                      a load balancer.
+//                      zoho – counters in the ZOHO_SEQUENCES_MODULE
+//                      custom module (Name, Last_Value), for several
+//                      instances or hosts whose local disk doesn't
+//                      survive a deploy. Each number is reserved by
+//                      creating a record named after it, so Name must
+//                      be set to "Do not allow duplicate values": Zoho
+//                      then refuses a second instance's reservation
+//                      and that instance moves on to the next number.
+// ===============================================
+
+const DEFAULT_PREFIXES = { claim: "CL", contact: "CE", cashSlip: "CS" };
+const DEFAULT_STORE_CODE = "HO";
+const SEQUENCE_DIGITS = 5;
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+// Numbers tried past a stale Last_Value before giving up
+const MAX_RESERVE_ATTEMPTS = 20;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function prefixFor(kind) {
+  const overrides = Object.fromEntries(
+    String(process.env.SEQUENCE_PREFIXES || "")
+      .split(",")
+      .map((pair) => pair.split("=").map((s) => s.trim()))
+      .filter(([k, v]) => k && v),
+  );
+  const prefix = overrides[kind] || DEFAULT_PREFIXES[kind];
+  if (!prefix) throw new Error(`Unknown sequence "${kind}"`);
+  return prefix.toUpperCase();
+}
+
+function storeCode(store) {
+  const code = String(store || process.env.DEFAULT_STORE_CODE || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, 6);
+  return code || DEFAULT_STORE_CODE;
+}
+
+// 2025-04-01 … 2026-03-31 (IST) → "2526"
+function financialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const start =
+    ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(start).slice(-2)}${String(start + 1).slice(-2)}`;
+}
+
+const counterId = (prefix, store, fy) => `${prefix}-${store}-${fy}`;
+const formatNumber = (id, value) =>
+  `${id}-${String(value).padStart(SEQUENCE_DIGITS, "0")}`;
+const auditKey = (id, value) =>
+  `seq:audit:${id}:${String(value).padStart(SEQUENCE_DIGITS, "0")}`;
+
+// ===============================================
+// COUNTER STORAGE
+// ===============================================
+
+const kvCounters = {
+  async read(id) {
+    return (await getKvStore().get(`seq:counter:${id}`)) || 0;
+  },
+  async write(id, value) {
+    await getKvStore().set(`seq:counter:${id}`, value);
+  },
+  async list() {
+    return (await getKvStore().list("seq:counter:")).map(({ key, value }) => ({
+      id: key.slice("seq:counter:".length),
+      last: value,
+    }));
+  },
+};
+
+// Zoho record ids per counter, so writes don't search every time
+const zohoRecordIds = new Map();
+
+const isDuplicate = (error) =>
+  error instanceof ZohoApiError && error.code === "DUPLICATE_DATA";
+
+const zohoCounters = {
+  module() {
+    if (!zohoConfig.modules.sequences) {
+      throw new Error("SEQUENCE_STORE=zoho needs the Sequences module");
+    }
+    return zohoConfig.modules.sequences;
+  },
+  async read(id) {
+    const response = await zoho.get(`${this.module()}/search`, {
+      params: { criteria: `(Name:equals:${escapeCriteria(id)})` },
+    });
+    const record = response.data?.[0];
+    if (!record) return 0;
+    zohoRecordIds.set(id, record.id);
+    return Number(record.Last_Value) || 0;
+  },
+  // Only a hint for the next reservation – reserve() decides, so a
+  // concurrent write moving it back costs a retry, not a duplicate
+  async write(id, value) {
+    if (!zohoRecordIds.has(id)) await this.read(id);
+    const recordId = zohoRecordIds.get(id);
+    if (recordId) {
+      await zoho.put(`${this.module()}/${recordId}`, {
+        data: [{ Last_Value: value }],
+      });
+      return;
+    }
+    try {
+      const created = await zoho.post(this.module(), {
+        data: [{ Name: id, Last_Value: value }],
+      });
+      zohoRecordIds.set(id, created.data[0].details.id);
+    } catch (error) {
+      // Another instance created the counter first
+      if (!isDuplicate(error)) throw error;
+      await this.read(id);
+      if (!zohoRecordIds.has(id)) throw error;
+      await this.write(id, value);
+    }
+  },
+  // First writer wins: Zoho rejects a second record with this Name
+  async reserve(id, value) {
+    try {
+      await zoho.post(this.module(), {
+        data: [{ Name: formatNumber(id, value) }],
+      });
+      return true;
+    } catch (error) {
+      if (isDuplicate(error)) return false;
+      throw error;
+    }
+  },
+  // Counter records only – reservations carry no Last_Value
+  async list() {
+    const response = await zoho.get(`${this.module()}/search`, {
+      params: {
+        criteria: "(Last_Value:greater_equal:0)",
+        fields: "Name,Last_Value",
+        per_page: 200,
+      },
+    });
+    return (response.data || []).map((r) => ({
+      id: r.Name,
+      last: Number(r.Last_Value) || 0,
+    }));
+  },
+};
+
+function counters() {
+  return process.env.SEQUENCE_STORE === "zoho" ? zohoCounters : kvCounters;
+}
+
+async function withLock(id, fn) {
+  const store = getKvStore();
+  const lockKey = `seq:lock:${id}`;
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await store.setIfAbsent(lockKey, owner, LOCK_TTL_MS))) {
+    if (Date.now() > deadline) {
+      throw new Error(`Sequence ${id} is busy, try again`);
+    }
+    await sleep(20 + Math.random() * 30);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only release our own lock (it may have expired and been retaken)
+    if ((await store.get(lockKey)) === owner) await store.delete(lockKey);
+  }
+}
+
+// ===============================================
+// ISSUE / CONFIRM / VOID
+// ===============================================
+
+/**
+ * Reserve the next number for a sequence.
+ * @param {"claim"|"contact"|"cashSlip"} kind
+ * @param {{store?: string, user?: object}} options
+ * @returns {Promise<{number: string, counter: string, value: number}>}
+ */
+async function issueNumber(kind, { store, user } = {}) {
+  const id = counterId(prefixFor(kind), storeCode(store), financialYear());
+
+  // The lock only covers this host; in zoho mode the reservation is
+  // what keeps other instances from issuing the same number
+  const value = await withLock(id, async () => {
+    const store = counters();
+    let next = (await store.read(id)) + 1;
+    if (store.reserve) {
+      let attempts = 1;
+      while (!(await store.reserve(id, next))) {
+        if (attempts++ >= MAX_RESERVE_ATTEMPTS) {
+          throw new Error(`Sequence ${id} is busy, try again`);
+        }
+        next++;
+      }
+    }
+    await store.write(id, next);
+    return next;
+  });
+
+  const issued = { number: formatNumber(id, value), counter: id, value };
+  await getKvStore().set(auditKey(id, value), {
+    number: issued.number,
+    kind,
+    status: "issued",
+    issuedAt: new Date().toISOString(),
+    issuedBy: user?.id || null,
+    requestId: currentRequestId(),
+  });
+
+  logger.info("Sequence number issued", { number: issued.number });
+  return issued;
+}
+
+async function updateAudit(issued, changes) {
+  const store = getKvStore();
+  const key = auditKey(issued.counter, issued.value);
+  const entry = (await store.get(key)) || { number: issued.number };
+  await store.set(key, {
+    ...entry,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// The number made it onto a record – never reported as a gap
+async function confirmNumber(issued, { recordId } = {}) {
+  try {
+    await updateAudit(issued, { status: "used", recordId: recordId || null });
+  } catch (error) {
+    logger.error("Sequence confirm failed", { number: issued.number, error });
+  }
+}
+
+// The record was never created – the gap is explained, not lost
+async function voidNumber(issued, reason) {
+  if (!issued) return;
+  try {
+    await updateAudit(issued, { status: "void", reason: reason || null });
+    logger.warn("Sequence number voided", { number: issued.number, reason });
+  } catch (error) {
+    logger.error("Sequence void failed", { number: issued.number, error });
+  }
+}
+
+// ===============================================
+// AUDIT
+// ===============================================
+
+async function listCounters() {
+  return (await counters().list()).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Every number of one counter that isn't plainly "used":
+ * void (with reason), issued-but-unconfirmed, and missing (no record).
+ */
+async function auditCounter(id) {
+  const last = await counters().read(id);
+  const entries = new Map(
+    (await getKvStore().list(`seq:audit:${id}:`)).map(({ value }) => [
+      value.number,
+      value,
+    ]),
+  );
+
+  const voided = [];
+  const unconfirmed = [];
+  const missing = [];
+  let used = 0;
+
+  for (let value = 1; value <= last; value++) {
+    const number = formatNumber(id, value);
+    const entry = entries.get(number);
+    if (!entry) missing.push(number);
+    else if (entry.status === "void") voided.push(entry);
+    else if (entry.status === "issued") unconfirmed.push(entry);
+    else used++;
+  }
+
+  return { counter: id, last, used, voided, unconfirmed, missing };
+}
+
+module.exports = {
+  financialYear,
+  issueNumber,
+  confirmNumber,
+  voidNumber,
+  listCounters,
+  auditCounter,
+};
@@ -0,0 +1,312 @@
+const { zoho, escapeCriteria } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+
+// ===============================================
+// VENDOR MATCHING (no GSTIN)
+//
+// Unregistered suppliers have no GSTIN to look up, so POST /api/vendors
+// compares the incoming vendor with existing ones before creating it:
+//
+//   name      normalized (case, punctuation, M/s, Pvt Ltd, …) –
+//             character-bigram similarity
+//   phone     last 10 digits
+//   email     exact; same company domain counts for half
+//   bank      account number (ZOHO_VENDOR_BANK_FIELD,
+//             default "Bank_Account_Number")
+//   address   street words + PIN code
+//
+// Only signals both sides have count; the score is their weighted
+// average. At VENDOR_MATCH_MIN (default 0.6) a vendor is a candidate
+// the caller must confirm; at VENDOR_AUTO_MERGE (default 0.9, "off" to
+// disable) it is used without asking – but only when a phone, email or
+// bank account matches exactly and a second signal (a similar name
+// counts) agrees too, so one shared phone number never merges two
+// vendors. Vendors carrying a GSTIN never match on name alone
+// ("Unknown Vendor" never matches on name at all).
+// ===============================================
+
+const DEFAULT_MIN_SCORE = 0.6;
+const DEFAULT_AUTO_MERGE = 0.9;
+const CANDIDATES = 200;
+
+const WEIGHTS = { name: 4, bank: 4, phone: 3, email: 3, address: 2 };
+const IDENTIFIERS = ["bank", "phone", "email"];
+// A signal at or above this agrees with the match
+const AGREES = 0.8;
+
+const PLACEHOLDER_NAMES = ["unknown vendor", "unknown", "na", "n a"];
+const LEGAL_WORDS = [
+  "m s",
+  "ms",
+  "the",
+  "pvt",
+  "private",
+  "ltd",
+  "limited",
+  "llp",
+  "co",
+  "company",
+  "inc",
+  "corp",
+  "corporation",
+];
+const FREE_MAIL = [
+  "gmail.com",
+  "yahoo.com",
+  "yahoo.co.in",
+  "hotmail.com",
+  "outlook.com",
+  "rediffmail.com",
+  "icloud.com",
+];
+
+function bankField() {
+  return process.env.ZOHO_VENDOR_BANK_FIELD || "Bank_Account_Number";
+}
+
+function thresholds() {
+  const auto = process.env.VENDOR_AUTO_MERGE;
+  return {
+    min: Number(process.env.VENDOR_MATCH_MIN) || DEFAULT_MIN_SCORE,
+    autoMerge: auto === "off" ? null : Number(auto) || DEFAULT_AUTO_MERGE,
+  };
+}
+
+const text = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+const digits = (value) => String(value ?? "").replace(/\D/g, "");
+const round = (n) => Math.round(n * 100) / 100;
+
+function normalizeName(name) {
+  let words = ` ${text(name)} `;
+  LEGAL_WORDS.forEach((word) => {
+    words = words.replace(new RegExp(` ${word} `, "g"), " ");
+  });
+  words = words.replace(/\s+/g, " ").trim();
+  return PLACEHOLDER_NAMES.includes(words) ? "" : words;
+}
+
+const phoneOf = (vendor) => digits(vendor.Phone || vendor.Mobile).slice(-10);
+const emailOf = (vendor) =>
+  String(vendor.Email || "")
+    .trim()
+    .toLowerCase();
+const bankOf = (vendor) => digits(vendor[bankField()]);
+const pinOf = (vendor) => digits(vendor.Zip_Code);
+const streetOf = (vendor) => text([vendor.Street, vendor.City].join(" "));
+
+function bigrams(value) {
+  const compact = value.replace(/ /g, "");
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice over character bigrams: 1 identical, 0 nothing shared
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let shared = 0;
+  let total = 0;
+  left.forEach((count, gram) => {
+    shared += Math.min(count, right.get(gram) || 0);
+    total += count;
+  });
+  right.forEach((count) => (total += count));
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+function signals(incoming, vendor) {
+  const result = {};
+
+  const names = [
+    normalizeName(incoming.Vendor_Name),
+    normalizeName(vendor.Vendor_Name),
+  ];
+  if (names[0] && names[1]) result.name = similarity(...names);
+
+  const phones = [phoneOf(incoming), phoneOf(vendor)];
+  if (phones[0].length === 10 && phones[1].length === 10) {
+    result.phone = phones[0] === phones[1] ? 1 : 0;
+  }
+
+  const emails = [emailOf(incoming), emailOf(vendor)];
+  if (emails[0] && emails[1]) {
+    const domains = emails.map((e) => e.split("@")[1]);
+    result.email =
+      emails[0] === emails[1]
+        ? 1
+        : domains[0] === domains[1] && !FREE_MAIL.includes(domains[0])
+          ? 0.5
+          : 0;
+  }
+
+  const banks = [bankOf(incoming), bankOf(vendor)];
+  if (banks[0] && banks[1]) result.bank = banks[0] === banks[1] ? 1 : 0;
+
+  const streets = [streetOf(incoming), streetOf(vendor)];
+  const pins = [pinOf(incoming), pinOf(vendor)];
+  if (streets[0] && streets[1]) {
+    const street = similarity(streets[0], streets[1]);
+    result.address =
+      pins[0] && pins[1]
+        ? pins[0] === pins[1]
+          ? 0.3 + 0.7 * street
+          : 0
+        : street;
+  }
+
+  return result;
+}
+
+/**
+ * Score one existing vendor against the incoming vendor data.
+ * @returns {{score: number, signals: object, identified: boolean,
+ *   corroborated: boolean}}
+ *   identified: a phone, email or bank account matched exactly;
+ *   corroborated: identified and at least one more signal agrees – the
+ *   bar for merging without asking
+ */
+function scoreVendorMatch(incoming, vendor) {
+  const found = signals(incoming, vendor);
+  const keys = Object.keys(found);
+  const identified = IDENTIFIERS.some((key) => found[key] === 1);
+  const corroborated =
+    identified && keys.filter((key) => found[key] >= AGREES).length >= 2;
+
+  // A registered vendor is only "the same" if something besides the
+  // name says so – the incoming one has no GSTIN to compare
+  if (keys.length === 0 || (vendor.GSTIN_NUMBER && !identified)) {
+    return { score: 0, signals: found, identified, corroborated: false };
+  }
+
+  const weight = keys.reduce((sum, key) => sum + WEIGHTS[key], 0);
+  const score =
+    keys.reduce((sum, key) => sum + WEIGHTS[key] * found[key], 0) / weight;
+  return {
+    score: round(score),
+    signals: Object.fromEntries(keys.map((key) => [key, round(found[key])])),
+    identified,
+    corroborated,
+  };
+}
+
+// Vendors sharing an identifier or a name word – Zoho search, not a
+// walk over the module
+async function candidatesFor(incoming) {
+  const path = `${zohoConfig.modules.vendors}/search`;
+  const conditions = [];
+
+  const phone = phoneOf(incoming);
+  if (phone.length === 10) {
+    [phone, `+91${phone}`, `+91 ${phone}`].forEach((variant) =>
+      conditions.push(`(Phone:equals:${escapeCriteria(variant)})`),
+    );
+  }
+  if (emailOf(incoming)) {
+    conditions.push(`(Email:equals:${escapeCriteria(emailOf(incoming))})`);
+  }
+  if (bankOf(incoming)) {
+    conditions.push(`(${bankField()}:equals:${bankOf(incoming)})`);
+  }
+
+  // Longest word of the name is the most telling one for word search
+  const word = normalizeName(incoming.Vendor_Name)
+    .split(" ")
+    .sort((a, b) => b.length - a.length)[0];
+
+  const searches = [];
+  if (conditions.length > 0) {
+    searches.push(
+      zoho.get(path, {
+        params: {
+          criteria:
+            conditions.length === 1
+              ? conditions[0]
+              : `(${conditions.join("or")})`,
+          per_page: CANDIDATES,
+        },
+      }),
+    );
+  }
+  if (word && word.length >= 3) {
+    searches.push(zoho.get(path, { params: { word, per_page: CANDIDATES } }));
+  }
+
+  const seen = new Map();
+  (await Promise.all(searches)).forEach((response) =>
+    (response.data || []).forEach((vendor) => seen.set(vendor.id, vendor)),
+  );
+  return [...seen.values()];
+}
+
+/**
+ * Existing vendors that are likely the incoming one, best first.
+ * @param {object} incoming  Zoho-shaped vendor data (Vendor_Name, Phone,
+ *   Email, Street, City, Zip_Code, bank account field)
+ * @returns {Promise<{candidates: object[], autoMerge: object|null}>}
+ *   candidates: {id, Vendor_Name, Phone, Email, GSTIN_NUMBER, score,
+ *   signals, identified, corroborated}; autoMerge: the candidate to use without asking, if any
+ */
+async function findVendorMatches(incoming) {
+  const { min, autoMerge } = thresholds();
+
+  const candidates = (await candidatesFor(incoming))
+    .map((vendor) => ({ vendor, ...scoreVendorMatch(incoming, vendor) }))
+    .filter((match) => match.score >= min)
+    .sort((a, b) => b.score - a.score)
+    .map(({ vendor, score, signals: found, identified, corroborated }) => ({
+      id: vendor.id,
+      Vendor_Name: vendor.Vendor_Name,
+      Phone: vendor.Phone || null,
+      Email: vendor.Email || null,
+      GSTIN_NUMBER: vendor.GSTIN_NUMBER || null,
+      score,
+      signals: found,
+      identified,
+      corroborated,
+    }));
+
+  const best = candidates[0];
+  const merge =
+    best && autoMerge !== null && best.score >= autoMerge && best.corroborated
+      ? best
+      : null;
+  return { candidates, autoMerge: merge };
+}
+
+/**
+ * Changes that fill the existing vendor's empty fields from the incoming
+ * data – a merge never overwrites what is already on the record.
+ */
+function mergeVendorFields(existing, incoming) {
+  const changes = {};
+  Object.entries(incoming).forEach(([key, value]) => {
+    const current = existing[key];
+    if (
+      value !== "" &&
+      value !== null &&
+      value !== undefined &&
+      (current === undefined || current === null || current === "") &&
+      !(key === "Vendor_Name" && !normalizeName(value))
+    ) {
+      changes[key] = value;
+    }
+  });
+  return changes;
+}
+
+module.exports = {
+  normalizeName,
+  scoreVendorMatch,
+  findVendorMatches,
+  mergeVendorFields,
+};
@@ -0,0 +1,181 @@
+const { zoho, escapeCriteria } = require("./zohoClient");
+const { zohoConfig } = require("../config/zoho");
+
+// ===============================================
+// VENDOR SEARCH
+//
+// Zoho's search API does the finding – never a walk over the whole
+// module. Two queries run side by side:
+//
+//   criteria  Vendor_Name, GSTIN_NUMBER, Phone, Email and the supplier
+//             code (ZOHO_VENDOR_CODE_FIELD, default "Supplier_Code";
+//             "" leaves it out) starting with the query
+//   word      Zoho's full-text word search, for names matching in the
+//             middle ("traders" finds "Sri Ganesh Traders")
+//
+// Both are capped at one page of 200; the union is ranked here and
+// paged for the caller. `truncated` says Zoho had more candidates than
+// were ranked – a longer query narrows it down.
+// ===============================================
+
+const MIN_QUERY = 2;
+const CANDIDATES = 200;
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 50;
+
+const lower = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+const digits = (value) => String(value ?? "").replace(/\D/g, "");
+
+function searchFields() {
+  const code = process.env.ZOHO_VENDOR_CODE_FIELD ?? "Supplier_Code";
+  return {
+    name: "Vendor_Name",
+    gstin: "GSTIN_NUMBER",
+    phone: "Phone",
+    email: "Email",
+    ...(code && { code }),
+  };
+}
+
+// Only conditions the query could satisfy – Zoho rejects e.g. a
+// starts_with on a phone field with letters in it
+function buildCriteria(query, fields) {
+  const value = escapeCriteria(query);
+  const conditions = [`(${fields.name}:starts_with:${value})`];
+
+  if (/^[0-9a-z]+$/i.test(query)) {
+    conditions.push(`(${fields.gstin}:starts_with:${value.toUpperCase()})`);
+    if (fields.code) conditions.push(`(${fields.code}:starts_with:${value})`);
+  }
+  // Phone fields are free text: try the number as typed, bare and with
+  // the +91 prefix
+  const phone = digits(query);
+  if (phone.length >= 4 && /^[+\d\s-]+$/.test(query)) {
+    const last10 = phone.slice(-10);
+    new Set([
+      query,
+      phone,
+      ...(phone.length >= 10 ? [last10, `+91${last10}`, `+91 ${last10}`] : []),
+    ]).forEach((variant) =>
+      conditions.push(
+        `(${fields.phone}:starts_with:${escapeCriteria(variant)})`,
+      ),
+    );
+  }
+  if (/^[^\s()]+$/.test(query)) {
+    conditions.push(`(${fields.email}:starts_with:${value})`);
+  }
+
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join("or")})`;
+}
+
+/**
+ * How well a vendor matches (0 = not at all) and on which field.
+ * Exact identifiers beat name matches; prefixes beat substrings.
+ */
+function scoreVendor(vendor, query, fields) {
+  const q = lower(query);
+  const qDigits = digits(query);
+  const name = lower(vendor[fields.name]);
+  const best = { score: 0, field: null };
+  const consider = (score, field) => {
+    if (score > best.score) Object.assign(best, { score, field });
+  };
+
+  for (const key of ["gstin", "code", "email"]) {
+    const value = fields[key] && lower(vendor[fields[key]]);
+    if (!value) continue;
+    if (value === q) consider(100, key);
+    else if (value.startsWith(q)) consider(70, key);
+  }
+  const phone = digits(vendor[fields.phone]);
+  if (phone && qDigits.length >= 4) {
+    // Stored numbers may or may not carry the country code
+    if (qDigits.length >= 10 && phone.endsWith(qDigits.slice(-10))) {
+      consider(100, "phone");
+    } else if (phone.startsWith(qDigits)) consider(70, "phone");
+  }
+
+  if (name === q) consider(90, "name");
+  else if (name.startsWith(q)) consider(80, "name");
+  else if (name.split(/[\s.,&()/-]+/).some((word) => word.startsWith(q))) {
+    consider(60, "name");
+  } else if (name.includes(q)) consider(40, "name");
+
+  return best;
+}
+
+async function searchPage(path, params) {
+  const response = await zoho.get(path, {
+    params: { ...params, page: 1, per_page: CANDIDATES },
+  });
+  return {
+    records: response.data || [],
+    more: response.info?.more_records === true,
+  };
+}
+
+/**
+ * Ranked vendor matches for a search box.
+ * @param {string} query  name, GSTIN, phone, email or supplier code
+ * @param {{page?: number, perPage?: number}} options
+ * @returns {Promise<{vendors: object[], page: number, perPage: number,
+ *   total: number, more: boolean, truncated: boolean}>}
+ *   vendors are Zoho records plus match: {field, score}.
+ *   Zoho failures throw (ZohoApiError).
+ */
+async function searchVendors(
+  query,
+  { page = 1, perPage = DEFAULT_PER_PAGE } = {},
+) {
+  const q = String(query || "").trim();
+  const size = Math.min(
+    Math.max(Number(perPage) || DEFAULT_PER_PAGE, 1),
+    MAX_PER_PAGE,
+  );
+  const pageNo = Math.max(Number(page) || 1, 1);
+  const empty = {
+    vendors: [],
+    page: pageNo,
+    perPage: size,
+    total: 0,
+    more: false,
+    truncated: false,
+  };
+  if (q.length < MIN_QUERY) return empty;
+
+  const fields = searchFields();
+  const path = `${zohoConfig.modules.vendors}/search`;
+  const [byCriteria, byWord] = await Promise.all([
+    searchPage(path, { criteria: buildCriteria(q, fields) }),
+    searchPage(path, { word: q }),
+  ]);
+
+  const seen = new Map();
+  [...byCriteria.records, ...byWord.records].forEach((vendor) => {
+    if (seen.has(vendor.id)) return;
+    const match = scoreVendor(vendor, q, fields);
+    if (match.score > 0) seen.set(vendor.id, { ...vendor, match });
+  });
+
+  const ranked = [...seen.values()].sort(
+    (a, b) =>
+      b.match.score - a.match.score ||
+      lower(a[fields.name]).localeCompare(lower(b[fields.name])),
+  );
+
+  return {
+    ...empty,
+    vendors: ranked.slice((pageNo - 1) * size, pageNo * size),
+    total: ranked.length,
+    more: pageNo * size < ranked.length,
+    truncated: byCriteria.more || byWord.more,
+  };
+}
+
+module.exports = {
+  searchVendors,
+};
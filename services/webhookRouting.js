@@ -0,0 +1,168 @@
+const { webhookRoutes } = require("../config/webhookRoutes");
+const outbox = require("./outbox");
+const { logger } = require("./logger");
+const { signedFileUrl } = require("./fileStore");
+
+// ===============================================
+// WEBHOOK ROUTING
+//
+// Turns an event into outbox deliveries: picks the targets from the
+// rules in config/webhookRoutes.js, applies each target's payload
+// transform, then queues + attempts them through services/outbox.js.
+// ===============================================
+
+// "monthly_scheme" | "discount" | "other", unless the claim says
+function claimTypeOf(claim) {
+  if (claim.claimType) return String(claim.claimType);
+  if (claim.monthlySchemes?.length > 0) return "monthly_scheme";
+  if (claim.discountModels?.length > 0) return "discount";
+  return "other";
+}
+
+// "LG*" → /^LG.*$/i
+function wildcardMatch(pattern, value) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(String(value || "").trim());
+}
+
+function matches(rule, event, payload) {
+  if (!rule.events.includes(event)) return false;
+  const { supplier, schemeFrom, schemeTo, claimType } = rule.match;
+
+  if (
+    supplier &&
+    !supplier.some((p) => wildcardMatch(p, payload.supplierName))
+  ) {
+    return false;
+  }
+
+  // Dates are YYYY-MM-DD strings, so they compare lexically
+  if (schemeFrom && !(payload.schemeStartDate >= schemeFrom)) return false;
+  if (schemeTo && !(payload.schemeEndDate <= schemeTo)) return false;
+
+  if (claimType && !claimType.includes(claimTypeOf(payload))) return false;
+
+  return true;
+}
+
+function applyTransform(transform, event, payload) {
+  if (!transform) return payload;
+  let out = { ...payload };
+
+  if (transform.pick) {
+    out = Object.fromEntries(
+      transform.pick.filter((key) => key in out).map((key) => [key, out[key]]),
+    );
+  }
+  (transform.omit || []).forEach((key) => delete out[key]);
+  Object.entries(transform.rename || {}).forEach(([from, to]) => {
+    if (!(from in out)) return;
+    out[to] = out[from];
+    delete out[from];
+  });
+  Object.assign(out, transform.set || {});
+
+  return transform.envelope ? { event, [transform.envelope]: out } : out;
+}
+
+function defaultUrlsFor(event) {
+  if (event.startsWith("claim.")) return webhookRoutes.defaults.claim;
+  if (event.startsWith("vendor.") || event.startsWith("purchase_request.")) {
+    return webhookRoutes.defaults.vendor;
+  }
+  return [];
+}
+
+/**
+ * Targets (with transformed payloads) for one event.
+ * @returns {{url: string, payload: object, route: string, fileDelivery: string}[]}
+ */
+function routeEvent(event, payload) {
+  const rules = webhookRoutes.rules.filter((rule) =>
+    matches(rule, event, payload),
+  );
+
+  const targets =
+    rules.length > 0
+      ? rules.flatMap((rule) =>
+          rule.targets.map((target) => ({
+            url: target.url,
+            payload: applyTransform(target.transform, event, payload),
+            route: rule.name,
+            fileDelivery:
+              target.fileDelivery || webhookRoutes.defaults.fileDelivery,
+          })),
+        )
+      : defaultUrlsFor(event).map((url) => ({
+          url,
+          payload,
+          route: "default",
+          fileDelivery: webhookRoutes.defaults.fileDelivery,
+        }));
+
+  // Two rules pointing at one URL still deliver once (first rule wins)
+  const seen = new Set();
+  return targets.filter(({ url }) => !seen.has(url) && seen.add(url));
+}
+
+// Describe a stored file in the payload under `key` ("file" = the
+// upload, "document" = the claim PDF); "url" targets get a link,
+// "multipart" targets get the bytes from the outbox at send time
+function withFile(target, key, file, baseUrl) {
+  const { id, name, type, size, sha256 } = file;
+  const url =
+    target.fileDelivery === "url" ? signedFileUrl(baseUrl, id) : undefined;
+
+  return {
+    ...target,
+    payload: {
+      ...target.payload,
+      [key]: { id, name, type, size, sha256, url },
+    },
+    [key]: { id, mode: target.fileDelivery },
+  };
+}
+
+/**
+ * Route, persist and attempt an event's deliveries.
+ * wait=false returns once they are queued – the outbox worker retries.
+ * file / document (fileStore metadata) + baseUrl attach the uploaded
+ * file and a generated document (claim PDF).
+ * @returns {Promise<object[]>} deliveries (after the first attempt if waited)
+ */
+async function dispatchEvent(
+  event,
+  payload,
+  { wait = true, file = null, document = null, baseUrl = null } = {},
+) {
+  const targets = routeEvent(event, payload).map((target) => {
+    let out = target;
+    if (file) out = withFile(out, "file", file, baseUrl);
+    if (document) out = withFile(out, "document", document, baseUrl);
+    return out;
+  });
+  if (targets.length === 0) {
+    logger.warn("No webhook targets for event", { event });
+    return [];
+  }
+
+  const deliveries = await outbox.enqueue(event, targets);
+  const attempts = Promise.all(
+    deliveries.map((d) => outbox.attempt(d).then((result) => result || d)),
+  );
+
+  if (!wait) {
+    attempts.catch((error) => logger.error("Webhook dispatch failed", error));
+    return deliveries;
+  }
+  return attempts;
+}
+
+module.exports = {
+  claimTypeOf,
+  routeEvent,
+  dispatchEvent,
+};
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+// ===============================================
+// WEBHOOK SIGNING
+//
+// Every outbound webhook carries:
+//
+//   X-Webhook-Id         delivery ID – same on every retry, dedupe on it
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  v1=<hex HMAC-SHA256(secret, "<timestamp>.<id>.<raw body>")>
+//
+// Receivers recompute the HMAC over the raw request body (for
+// multipart deliveries: the "payload" part), compare in constant time,
+// and reject timestamps older than 5 minutes.
+//
+// Secrets are per webhook URL:
+//   WEBHOOK_SECRETS='{"https://hooks.example.com/claims":"<secret>"}'
+//   WEBHOOK_SECRET=<secret>   fallback for URLs not listed above
+//
+// Inbound callbacks (POST /api/claims/callback) use the same headers
+// plus "X-Callback-Key: <name>" naming the caller's secret in
+//   CLAIM_CALLBACK_SECRETS='{"lg":"<secret>","erp":"<secret>"}'
+// ===============================================
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+const DELIVERY_ID_HEADER = "X-Webhook-Id";
+const CALLBACK_KEY_HEADER = "X-Callback-Key";
+
+const SIGNATURE_VERSION = "v1";
+const DEFAULT_TOLERANCE_SEC = 5 * 60;
+
+function parseSecrets(name) {
+  if (!process.env[name]) return {};
+  try {
+    const value = JSON.parse(process.env[name]);
+    return value && typeof value === "object" ? value : {};
+  } catch {
+    logger.error("Webhook secrets are not valid JSON", { name });
+    return {};
+  }
+}
+
+// Shared secret for a webhook URL, or null if it has none
+function webhookSecretFor(url) {
+  return (
+    parseSecrets("WEBHOOK_SECRETS")[url] || process.env.WEBHOOK_SECRET || null
+  );
+}
+
+// Secret an inbound caller signs with (X-Callback-Key), or null
+function callbackSecretFor(keyId) {
+  if (!keyId) return null;
+  const secrets = parseSecrets("CLAIM_CALLBACK_SECRETS");
+  return Object.hasOwn(secrets, keyId) ? secrets[keyId] : null;
+}
+
+function computeSignature(secret, timestamp, deliveryId, body) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${deliveryId}.${body}`)
+    .digest("hex");
+  return `${SIGNATURE_VERSION}=${hmac}`;
+}
+
+/**
+ * Headers for one delivery attempt.
+ * @param {string} body  the exact JSON string being sent
+ */
+function signatureHeaders({ secret, deliveryId, body, timestamp }) {
+  const ts = timestamp ?? Math.floor(Date.now() / 1000);
+  return {
+    [DELIVERY_ID_HEADER]: deliveryId,
+    [TIMESTAMP_HEADER]: String(ts),
+    ...(secret && {
+      [SIGNATURE_HEADER]: computeSignature(secret, ts, deliveryId, body),
+    }),
+  };
+}
+
+/**
+ * Check a received signature – the reference implementation receivers
+ * can port.
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifySignature({
+  secret,
+  body,
+  timestamp,
+  deliveryId,
+  signature,
+  toleranceSec = DEFAULT_TOLERANCE_SEC,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  if (!secret) return { valid: false, reason: "No secret" };
+  if (!signature || !timestamp || !deliveryId) {
+    return { valid: false, reason: "Missing signature headers" };
+  }
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) return { valid: false, reason: "Bad timestamp" };
+  if (Math.abs(now - ts) > toleranceSec) {
+    return { valid: false, reason: "Timestamp outside tolerance" };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, ts, deliveryId, body));
+  const received = Buffer.from(String(signature));
+  const valid =
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+
+  return valid ? { valid } : { valid, reason: "Signature mismatch" };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_ID_HEADER,
+  CALLBACK_KEY_HEADER,
+  DEFAULT_TOLERANCE_SEC,
+  webhookSecretFor,
+  callbackSecretFor,
+  computeSignature,
+  signatureHeaders,
+  verifySignature,
+};
@@ -0,0 +1,202 @@
+const axios = require("axios");
+const os = require("os");
+const path = require("path");
+const { createKvStore, getKvStore } = require("./kvStore");
+const { zohoConfig } = require("../config/zoho");
+const { encrypt, decrypt } = require("./aesCrypto");
+const { logger } = require("./logger");
+
+// ===============================================
+// ZOHO ACCESS TOKEN MANAGEMENT
+//
+// Tokens live in a pluggable store so warm and cold
+// serverless instances reuse the same access token:
+//   ZOHO_TOKEN_STORE=kv     (default) the shared KV store (see kvStore.js)
+//   ZOHO_TOKEN_STORE=file   JSON file in ZOHO_TOKEN_DIR (os.tmpdir())
+//   ZOHO_TOKEN_STORE=memory this process only
+//
+// Only a store every instance can reach shares the token: on Vercel
+// each instance has its own tmpdir, so production needs KV_DRIVER on a
+// hosted KV – file and memory only share it within one host.
+//
+// A refresh token saved through /oauth/callback is kept
+// AES-encrypted in the same store and wins over ZOHO_REFRESH_TOKEN.
+// ===============================================
+
+// Namespaced per data centre so emulator / other-region tokens never mix
+const TOKEN_SCOPE = zohoConfig.emulator ? "emulator" : zohoConfig.dc;
+const TOKEN_KEY = `zoho:${TOKEN_SCOPE}:access-token`;
+const REFRESH_TOKEN_KEY = `zoho:${TOKEN_SCOPE}:refresh-token`;
+
+// Refresh a little before Zoho's own expiry so in-flight calls never race it
+const EXPIRY_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_EXPIRES_IN_S = 3600;
+
+let tokenStore = null;
+let cachedToken = null; // { accessToken, expiresAt }
+let inflightRefresh = null;
+
+function getTokenStore() {
+  if (tokenStore) return tokenStore;
+
+  const driver = process.env.ZOHO_TOKEN_STORE || "kv";
+  if (driver === "kv") {
+    tokenStore = getKvStore();
+  } else {
+    tokenStore = createKvStore(
+      driver,
+      process.env.ZOHO_TOKEN_DIR || path.join(os.tmpdir(), "elec-zoho-token"),
+    );
+  }
+  return tokenStore;
+}
+
+function isUsable(token) {
+  return Boolean(token?.accessToken && token.expiresAt > Date.now());
+}
+
+async function getZohoRefreshToken() {
+  const stored = await getTokenStore().get(REFRESH_TOKEN_KEY);
+  if (stored?.cipher) {
+    // A corrupt cipher or rotated AES_SECRET must not stop every Zoho
+    // call – fall back to the configured token
+    try {
+      const refreshToken = decrypt(stored.cipher);
+      if (refreshToken) return refreshToken;
+      logger.error("Stored Zoho refresh token could not be decrypted");
+    } catch (error) {
+      logger.error("Stored Zoho refresh token could not be decrypted", error);
+    }
+  }
+  return process.env.ZOHO_REFRESH_TOKEN;
+}
+
+async function requestToken(params) {
+  const response = await axios.post(
+    `${zohoConfig.accountsUrl}/oauth/v2/token`,
+    null,
+    {
+      params: {
+        client_id: process.env.ZOHO_CLIENT_ID,
+        client_secret: process.env.ZOHO_CLIENT_SECRET,
+        ...params,
+      },
+      timeout: 10000,
+    },
+  );
+
+  // Zoho reports failures (e.g. invalid_code, throttling) with a 200 + error
+  if (!response.data.access_token) {
+    throw new Error(
+      `Zoho token request failed: ${response.data.error || "no access_token"}`,
+    );
+  }
+
+  return response.data;
+}
+
+async function storeAccessToken(tokens) {
+  const expiresIn = Number(tokens.expires_in) || DEFAULT_EXPIRES_IN_S;
+  const lifetimeMs = expiresIn * 1000;
+
+  const token = {
+    accessToken: tokens.access_token,
+    expiresAt:
+      Date.now() + Math.max(lifetimeMs / 2, lifetimeMs - EXPIRY_SKEW_MS),
+  };
+
+  await getTokenStore().set(TOKEN_KEY, token, lifetimeMs);
+  return token;
+}
+
+async function refreshAccessToken() {
+  logger.info("Refreshing Zoho access token");
+
+  const tokens = await requestToken({
+    refresh_token: await getZohoRefreshToken(),
+    grant_type: "refresh_token",
+  });
+  const token = await storeAccessToken(tokens);
+
+  logger.info("Zoho access token updated");
+
+  return token;
+}
+
+async function loadOrRefresh() {
+  // Another instance may have refreshed since we last looked
+  const stored = await getTokenStore().get(TOKEN_KEY);
+  if (isUsable(stored)) return stored;
+
+  return refreshAccessToken();
+}
+
+async function getZohoAccessToken() {
+  if (isUsable(cachedToken)) return cachedToken.accessToken;
+
+  // Single-flight: concurrent callers on a cold instance share one refresh
+  if (!inflightRefresh) {
+    inflightRefresh = loadOrRefresh().finally(() => {
+      inflightRefresh = null;
+    });
+  }
+
+  cachedToken = await inflightRefresh;
+  return cachedToken.accessToken;
+}
+
+// Drop a token Zoho rejected (401 INVALID_TOKEN before our expiry).
+// Only clears it if it is still the current one, so a fresher token
+// written by another request or instance survives.
+async function invalidateZohoAccessToken(accessToken) {
+  if (!accessToken || cachedToken?.accessToken === accessToken) {
+    cachedToken = null;
+  }
+
+  const store = getTokenStore();
+  const stored = await store.get(TOKEN_KEY);
+  if (stored && (!accessToken || stored.accessToken === accessToken)) {
+    await store.delete(TOKEN_KEY);
+  }
+}
+
+/**
+ * Exchange an OAuth authorization code (from /oauth/callback) and keep
+ * the resulting refresh token encrypted in the token store.
+ *
+ * @returns {Promise<{scope: string, apiDomain: string}>} no secrets
+ */
+async function exchangeZohoAuthCode(code, redirectUri) {
+  const tokens = await requestToken({
+    grant_type: "authorization_code",
+    redirect_uri: redirectUri,
+    code,
+  });
+
+  // Zoho only returns a refresh token on the first consent (prompt=consent)
+  if (!tokens.refresh_token) {
+    throw new Error("Zoho did not return a refresh token");
+  }
+
+  const store = getTokenStore();
+  await store.set(REFRESH_TOKEN_KEY, {
+    cipher: encrypt(tokens.refresh_token),
+    updatedAt: new Date().toISOString(),
+  });
+
+  cachedToken = await storeAccessToken(tokens);
+
+  return { scope: tokens.scope, apiDomain: tokens.api_domain };
+}
+
+// Expiry of the token we currently hold (null when none)
+function getZohoTokenExpiry() {
+  return isUsable(cachedToken) ? new Date(cachedToken.expiresAt) : null;
+}
+
+module.exports = {
+  getZohoAccessToken,
+  invalidateZohoAccessToken,
+  getZohoTokenExpiry,
+  exchangeZohoAuthCode,
+};
@@ -0,0 +1,260 @@
+const axios = require("axios");
+const { getZohoAccessToken, invalidateZohoAccessToken } = require("./zohoAuth");
+const { zohoConfig, apiVersionFor } = require("../config/zoho");
+const { logger, correlationHeaders } = require("./logger");
+
+// ===============================================
+// ZOHO CRM API CLIENT
+// One place for headers, retries, rate limits and
+// token refresh – every route talks to Zoho through here.
+// ===============================================
+
+const MAX_RETRIES = Number(process.env.ZOHO_MAX_RETRIES || 3);
+const BASE_DELAY_MS = Number(process.env.ZOHO_RETRY_BASE_MS || 500);
+const MAX_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+
+const IDEMPOTENT_METHODS = ["get", "head", "put", "delete", "options"];
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE",
+];
+
+// Set when Zoho tells us the window is exhausted, so the next
+// call waits instead of burning another 429
+let rateLimitedUntil = 0;
+
+class ZohoApiError extends Error {
+  constructor({
+    message,
+    status,
+    code,
+    details,
+    data,
+    method,
+    path,
+    retryable,
+  }) {
+    super(message);
+    this.name = "ZohoApiError";
+    this.status = status || 502;
+    this.code = code || "ZOHO_ERROR";
+    this.details = details || null;
+    this.data = data || null;
+    this.method = method;
+    this.path = path;
+    this.retryable = Boolean(retryable);
+  }
+
+  toJSON() {
+    return {
+      status: this.status,
+      code: this.code,
+      message: this.message,
+      details: this.details,
+    };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  // Full jitter keeps parallel requests from retrying in lockstep
+  return Math.floor(Math.random() * exp);
+}
+
+function header(headers, name) {
+  if (!headers) return undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+// How long Zoho asked us to wait, in ms (null if it didn't say)
+function rateLimitDelay(headers) {
+  const retryAfter = header(headers, "retry-after");
+  if (retryAfter !== undefined && !isNaN(retryAfter)) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const reset = Number(header(headers, "x-ratelimit-reset"));
+  if (reset) {
+    // Zoho sends the reset as epoch millis; tolerate seconds too
+    const resetAt = reset < 1e12 ? reset * 1000 : reset;
+    return Math.max(0, resetAt - Date.now());
+  }
+
+  return null;
+}
+
+function trackRateLimit(headers) {
+  const remaining = header(headers, "x-ratelimit-remaining");
+  if (remaining === undefined || Number(remaining) > 0) return;
+
+  const wait = rateLimitDelay(headers);
+  if (wait) rateLimitedUntil = Date.now() + Math.min(wait, MAX_DELAY_MS);
+}
+
+function isInvalidToken(error) {
+  const status = error.response?.status;
+  const code = error.response?.data?.code;
+  return (
+    status === 401 &&
+    (!code || code === "INVALID_TOKEN" || code === "AUTHENTICATION_FAILURE")
+  );
+}
+
+function isRetryable(error, method) {
+  const status = error.response?.status;
+
+  // A 429 was never processed by Zoho, so even a POST is safe to replay
+  if (status === 429) return true;
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  if (status) return RETRYABLE_STATUS.includes(status);
+
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+function normalizeError(error, method, path) {
+  const response = error.response;
+  const body = response?.data;
+
+  // Zoho wraps record-level failures as { data: [{ code, message, details }] }
+  const first = Array.isArray(body?.data) ? body.data[0] : null;
+
+  return new ZohoApiError({
+    message: body?.message || first?.message || error.message,
+    status: response?.status || (error.code === "ECONNABORTED" ? 504 : 502),
+    code: body?.code || first?.code || error.code,
+    details: body?.details || first?.details,
+    data: body,
+    method: method.toUpperCase(),
+    path,
+    retryable: isRetryable(error, method),
+  });
+}
+
+/**
+ * Call the Zoho CRM REST API.
+ *
+ * @param {object} options
+ * @param {string} options.method   HTTP verb (default "get")
+ * @param {string} options.path     path after the version, e.g. "Contacts/search"
+ * @param {string} [options.version] API version (default: per module, see config/zoho.js)
+ * @param {object} [options.params] query string
+ * @param {*}      [options.data]   request body (must be replayable – no streams)
+ * @param {object} [options.headers] extra headers
+ * @returns {Promise<object>} Zoho response body; 204 becomes { data: [] }
+ * @throws {ZohoApiError}
+ */
+async function zohoRequest({
+  method = "get",
+  path,
+  version = apiVersionFor(path),
+  params,
+  data,
+  headers = {},
+  timeout = REQUEST_TIMEOUT_MS,
+}) {
+  method = method.toLowerCase();
+  const url = `${zohoConfig.crmUrl}/${version}/${path.replace(/^\//, "")}`;
+
+  let attempt = 0;
+  let tokenRefreshed = false;
+
+  for (;;) {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    const accessToken = await getZohoAccessToken();
+
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        params,
+        data,
+        timeout,
+        headers: {
+          "Content-Type": "application/json",
+          ...correlationHeaders(),
+          ...headers,
+          Authorization: `Zoho-oauthtoken ${accessToken}`,
+        },
+      });
+
+      trackRateLimit(response.headers);
+
+      // Zoho answers searches with no hits as 204 + empty body
+      if (response.status === 204 || !response.data) {
+        return { data: [], info: {} };
+      }
+
+      return response.data;
+    } catch (error) {
+      if (error.response) trackRateLimit(error.response.headers);
+
+      // Token expired or revoked early → refresh and replay once
+      if (isInvalidToken(error) && !tokenRefreshed) {
+        tokenRefreshed = true;
+        await invalidateZohoAccessToken(accessToken);
+        continue;
+      }
+
+      if (attempt < MAX_RETRIES && isRetryable(error, method)) {
+        const delay =
+          (error.response?.status === 429 &&
+            rateLimitDelay(error.response.headers)) ||
+          backoffDelay(attempt);
+
+        attempt++;
+        logger.warn("Zoho request failed, retrying", {
+          method: method.toUpperCase(),
+          path,
+          status: error.response?.status || error.code,
+          attempt,
+          maxRetries: MAX_RETRIES,
+          delayMs: delay,
+        });
+        await sleep(Math.min(delay, MAX_DELAY_MS));
+        continue;
+      }
+
+      throw normalizeError(error, method, path);
+    }
+  }
+}
+
+const zoho = {
+  request: zohoRequest,
+  get: (path, options = {}) => zohoRequest({ ...options, method: "get", path }),
+  post: (path, data, options = {}) =>
+    zohoRequest({ ...options, method: "post", path, data }),
+  put: (path, data, options = {}) =>
+    zohoRequest({ ...options, method: "put", path, data }),
+  delete: (path, options = {}) =>
+    zohoRequest({ ...options, method: "delete", path }),
+};
+
+// Values inside search criteria must escape ( ) , and backslash
+function escapeCriteria(value) {
+  return String(value).replace(/[(),\\]/g, "\\$&");
+}
+
+// Shape a ZohoApiError (or anything else) for an API response
+function zohoErrorBody(error) {
+  if (error instanceof ZohoApiError) return error.toJSON();
+  return { status: 500, code: "INTERNAL_ERROR", message: error.message };
+}
+
+module.exports = {
+  zoho,
+  zohoRequest,
+  ZohoApiError,
+  zohoErrorBody,
+  escapeCriteria,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const { zohoConfig } = require("../config/zoho");
+const { getKvStore } = require("./kvStore");
+
+// ===============================================
+// ZOHO OAUTH ONBOARDING
+// /oauth/start → Zoho consent → /oauth/callback
+// ===============================================
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = "zoho_oauth_state";
+
+// Everything the routes in index.js touch, plus COQL for search
+const DEFAULT_SCOPES = [
+  "ZohoCRM.modules.ALL",
+  "ZohoCRM.settings.READ",
+  "ZohoCRM.users.READ",
+  "ZohoCRM.coql.READ",
+];
+
+function getScopes() {
+  return process.env.ZOHO_SCOPES
+    ? process.env.ZOHO_SCOPES.split(",").map((s) => s.trim())
+    : DEFAULT_SCOPES;
+}
+
+const stateKey = (state) => `oauth:state:${state}`;
+
+// Random CSRF state, remembered server-side until the callback
+async function createOAuthState() {
+  const state = crypto.randomBytes(32).toString("hex");
+  await getKvStore().set(
+    stateKey(state),
+    { createdAt: Date.now() },
+    STATE_TTL_MS,
+  );
+  return state;
+}
+
+// One-time check: a state can only complete a single callback
+async function consumeOAuthState(state, cookieState) {
+  if (!state || typeof state !== "string" || !/^[a-f0-9]{64}$/.test(state)) {
+    return false;
+  }
+
+  // Same browser that started the flow?
+  if (
+    !cookieState ||
+    cookieState.length !== state.length ||
+    !crypto.timingSafeEqual(Buffer.from(cookieState), Buffer.from(state))
+  ) {
+    return false;
+  }
+
+  const store = getKvStore();
+  const entry = await store.get(stateKey(state));
+  if (!entry) return false;
+
+  await store.delete(stateKey(state));
+  return true;
+}
+
+function buildConsentUrl(state) {
+  const params = new URLSearchParams({
+    scope: getScopes().join(","),
+    client_id: process.env.ZOHO_CLIENT_ID,
+    response_type: "code",
+    access_type: "offline",
+    // Force a fresh refresh token even if the app was approved before
+    prompt: "consent",
+    redirect_uri: process.env.ZOHO_REDIRECT_URI,
+    state,
+  });
+  return `${zohoConfig.accountsUrl}/oauth/v2/auth?${params.toString()}`;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+function stateCookie(state, maxAgeMs = STATE_TTL_MS) {
+  const attrs = [
+    `${STATE_COOKIE}=${encodeURIComponent(state)}`,
+    "Path=/oauth",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ];
+  if (process.env.NODE_ENV === "production") attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+module.exports = {
+  STATE_COOKIE,
+  createOAuthState,
+  consumeOAuthState,
+  buildConsentUrl,
+  readCookie,
+  stateCookie,
+};
@@ -0,0 +1,59 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  hashPassword,
+  authenticateUser,
+  authenticateApiKey,
+  issueSessionToken,
+  verifySessionToken,
+} = require("../services/auth");
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = "test-secret";
+  process.env.API_KEYS = JSON.stringify([
+    { name: "no-key", roles: ["admin"] },
+    { key: "", name: "blank-key", roles: ["admin"] },
+    { key: "kiosk-key", name: "counter-kiosk", roles: ["cashier", "root"] },
+  ]);
+  process.env.AUTH_USERS = JSON.stringify([
+    { username: "ravi", password: hashPassword("pass"), roles: ["salesman"] },
+  ]);
+});
+
+test("an API key resolves to its principal with known roles only", () => {
+  assert.deepEqual(authenticateApiKey("kiosk-key"), {
+    type: "api-key",
+    id: "counter-kiosk",
+    name: "counter-kiosk",
+    roles: ["cashier"],
+    zohoUserId: null,
+    store: null,
+  });
+  assert.equal(authenticateApiKey("wrong-key"), null);
+});
+
+test("entries without a key never match", () => {
+  assert.equal(authenticateApiKey("undefined"), null);
+  assert.equal(authenticateApiKey(""), null);
+  assert.equal(authenticateApiKey(undefined), null);
+});
+
+test("users sign in with their password", () => {
+  assert.equal(authenticateUser("ravi", "pass").id, "ravi");
+  assert.equal(authenticateUser("ravi", "nope"), null);
+  assert.equal(authenticateUser("nobody", "pass"), null);
+});
+
+test("session tokens verify and re-read roles", () => {
+  const { token } = issueSessionToken(authenticateUser("ravi", "pass"));
+  assert.deepEqual(verifySessionToken(token).roles, ["salesman"]);
+
+  process.env.AUTH_USERS = JSON.stringify([
+    { username: "ravi", password: "x", roles: ["cashier"] },
+  ]);
+  assert.deepEqual(verifySessionToken(token).roles, ["cashier"]);
+
+  const [payload] = token.split(".");
+  assert.equal(verifySessionToken(`${payload}.forged`), null);
+  assert.equal(verifySessionToken("garbage"), null);
+});
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateClaim } = require("../services/claimCalculator");
+
+const items = [
+  {
+    sku: "TV-1",
+    category: "TV",
+    quantity: 2,
+    rate: 10000,
+    saleDate: "2025-06-03",
+  },
+  {
+    sku: "AC-1",
+    category: "AC",
+    quantity: 1,
+    amount: 30000,
+    saleDate: "2025-06-20",
+  },
+];
+
+test("percent and flat discounts apply per matching line", () => {
+  const { errors, summary } = calculateClaim({
+    items,
+    discountModels: [
+      { type: "percent", value: 5 },
+      { type: "flat", value: 500, category: "TV" },
+    ],
+  });
+  assert.deepEqual(errors, []);
+  // TV: 5% of 20000 + 500 × 2; AC: 5% of 30000
+  assert.equal(summary.items[0].claimAmount, 2000);
+  assert.equal(summary.items[1].claimAmount, 1500);
+  assert.equal(summary.totals.value, 50000);
+  assert.equal(summary.totals.discountClaim, 3500);
+  assert.equal(summary.totals.claimAmount, 3500);
+});
+
+test("flat per line and maxAmount caps", () => {
+  const { summary } = calculateClaim({
+    items,
+    discountModels: [
+      { type: "flat", value: 700, perUnit: "false" },
+      { type: "percent", value: 10, maxAmount: 1000 },
+    ],
+  });
+  assert.equal(summary.items[0].claimAmount, 1700);
+  assert.equal(summary.items[1].claimAmount, 1700);
+});
+
+test("monthly scheme pays the highest slab reached", () => {
+  const { summary } = calculateClaim({
+    items,
+    monthlySchemes: [
+      {
+        name: "June push",
+        month: "2025-06",
+        slabs: [
+          { min: 1, max: 2, payout: 100 },
+          { min: 3, payout: 300 },
+        ],
+      },
+    ],
+  });
+  assert.equal(summary.schemes.length, 1);
+  assert.equal(summary.schemes[0].quantity, 3);
+  assert.equal(summary.schemes[0].payout, 900);
+  assert.equal(summary.totals.schemeClaim, 900);
+});
+
+test("sales outside the scheme window are rejected", () => {
+  const { errors, summary } = calculateClaim({
+    items,
+    schemeStartDate: "2025-06-10",
+    schemeEndDate: "2025-06-30",
+  });
+  assert.equal(summary, null);
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["items[0].saleDate"],
+  );
+});
+
+test("an end date before the start date is rejected", () => {
+  const { errors } = calculateClaim({
+    items,
+    schemeStartDate: "2025-07-01",
+    schemeEndDate: "2025-06-01",
+  });
+  assert.deepEqual(errors, [
+    { field: "schemeEndDate", message: "must be on or after schemeStartDate" },
+  ]);
+});
@@ -0,0 +1,223 @@
+const { test, before, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.KV_DRIVER = "memory";
+const claims = require("../services/claimStore");
+const {
+  claimFingerprint,
+  findDuplicates,
+  duplicateGuard,
+} = require("../services/claimDuplicates");
+
+const items = [
+  {
+    sku: "TV-1",
+    serialNo: "SN1",
+    quantity: 1,
+    rate: 50000,
+    saleDate: "2025-06-03",
+  },
+  {
+    sku: "TV-2",
+    serialNo: "SN2",
+    quantity: 1,
+    rate: 60000,
+    saleDate: "2025-06-04",
+  },
+  { sku: "AC-1", quantity: 2, amount: 80000, saleDate: "2025-06-10" },
+  { sku: "RF-1", quantity: 1, rate: 30000, saleDate: "2025-06-12" },
+  { sku: "WM-1", quantity: 1, rate: 25000, saleDate: "2025-06-15" },
+];
+
+const claimOf = (fields = {}) => ({
+  supplierName: "LG Electronics",
+  schemeStartDate: "2025-06-01",
+  schemeEndDate: "2025-06-30",
+  items,
+  claimSummary: { totals: { claimAmount: 12250 } },
+  ...fields,
+});
+
+const manager = { id: "m1", roles: ["manager"] };
+const clerk = { id: "c1", roles: ["store"] };
+
+before(async () => {
+  await claims.createClaim(
+    { ...claimOf(), claimNumber: "CL-1" },
+    { user: clerk },
+  );
+  // A rejected claim is never a duplicate
+  await claims.createClaim(
+    {
+      ...claimOf({ items: [{ ...items[0], serialNo: "SN9" }] }),
+      claimNumber: "CL-2",
+    },
+    { user: clerk },
+  );
+  await claims.updateClaimStatus("CL-2", "rejected");
+});
+
+afterEach(() => delete process.env.CLAIM_DUPLICATE_MODE);
+
+const match = async (claim) =>
+  (await findDuplicates(claim)).map(({ claimNumber, score, reason }) => ({
+    claimNumber,
+    score,
+    reason,
+  }));
+
+test("the fingerprint ignores item order, case and whitespace", () => {
+  assert.equal(
+    claimFingerprint(claimOf()),
+    claimFingerprint(
+      claimOf({
+        supplierName: " lg electronics ",
+        items: [...items].reverse(),
+      }),
+    ),
+  );
+  assert.notEqual(
+    claimFingerprint(claimOf()),
+    claimFingerprint(claimOf({ schemeEndDate: "2025-07-31" })),
+  );
+});
+
+test("the same claim again scores 1", async () => {
+  assert.deepEqual(await match(claimOf({ supplierName: "LG ELECTRONICS" })), [
+    {
+      claimNumber: "CL-1",
+      score: 1,
+      reason: "identical supplier, scheme dates and items",
+    },
+  ]);
+});
+
+test("a claimed serial number scores 0.95", async () => {
+  const [found] = await match(
+    claimOf({ items: [{ ...items[1], saleDate: "2025-06-20" }] }),
+  );
+  assert.equal(found.score, 0.95);
+  assert.equal(found.reason, "serial number(s) already claimed: sn2");
+
+  // SN9 was only on the rejected claim
+  assert.deepEqual(
+    await match(
+      claimOf({
+        items: [{ ...items[0], serialNo: "SN9", saleDate: "2025-06-20" }],
+        claimSummary: { totals: { claimAmount: 1 } },
+      }),
+    ),
+    [],
+  );
+});
+
+test("mostly the same items in an overlapping window", async () => {
+  const changed = items.map(({ serialNo, ...item }) => item);
+  changed[4] = { ...changed[4], rate: 26000 };
+  const [found] = await match(
+    claimOf({ schemeStartDate: "2025-06-10", items: changed }),
+  );
+  assert.deepEqual(found, {
+    claimNumber: "CL-1",
+    score: 0.72,
+    reason: "80% of the items were already claimed",
+  });
+
+  // Below the threshold, or in another window, it isn't a match
+  changed[3] = { ...changed[3], rate: 31000 };
+  assert.deepEqual(
+    await match(
+      claimOf({ items: changed, claimSummary: { totals: { claimAmount: 1 } } }),
+    ),
+    [],
+  );
+  assert.deepEqual(
+    await match(
+      claimOf({
+        schemeStartDate: "2025-07-01",
+        schemeEndDate: "2025-07-31",
+        items: changed.slice(0, 3),
+      }),
+    ),
+    [],
+  );
+});
+
+test("the same period and amount is a weak match", async () => {
+  const [found] = await match(claimOf({ items: [{ sku: "X", quantity: 1 }] }));
+  assert.equal(found.score, 0.7);
+  assert.equal(found.reason, "same scheme period and claim amount");
+});
+
+test("other suppliers are never compared", async () => {
+  assert.deepEqual(await match(claimOf({ supplierName: "LG" })), []);
+});
+
+test("duplicates are blocked unless a manager overrides with a reason", async () => {
+  let guard = await duplicateGuard(claimOf(), { user: clerk });
+  assert.deepEqual(guard.blocked, {
+    status: 409,
+    message: "Possible duplicate claim",
+  });
+  assert.equal(guard.matches[0].url, "/api/claims/CL-1");
+
+  guard = await duplicateGuard(claimOf({ overrideDuplicate: "true" }), {
+    user: clerk,
+  });
+  assert.equal(guard.blocked.status, 403);
+
+  guard = await duplicateGuard(claimOf({ overrideDuplicate: true }), {
+    user: manager,
+  });
+  assert.equal(guard.blocked.status, 400);
+
+  const claim = claimOf({
+    overrideDuplicate: "yes",
+    overrideReason: "Re-sent",
+  });
+  guard = await duplicateGuard(claim, { user: manager });
+  await guard.release();
+  assert.equal(guard.blocked, null);
+  assert.equal(guard.check.status, "overridden");
+  assert.equal(guard.check.reason, "Re-sent");
+  assert.equal(claim.overrideDuplicate, undefined);
+});
+
+test("flag mode accepts the claim and records the matches", async () => {
+  process.env.CLAIM_DUPLICATE_MODE = "flag";
+  const guard = await duplicateGuard(claimOf(), { user: clerk });
+  await guard.release();
+  assert.equal(guard.blocked, null);
+  assert.deepEqual(guard.check, {
+    status: "flagged",
+    matches: [
+      {
+        claimNumber: "CL-1",
+        score: 1,
+        reason: "identical supplier, scheme dates and items",
+      },
+    ],
+  });
+
+  process.env.CLAIM_DUPLICATE_MODE = "off";
+  assert.deepEqual((await duplicateGuard(claimOf())).matches, []);
+});
+
+test("a second submit for the supplier waits for the first", async () => {
+  // Nothing like it was claimed before, so the guard keeps the lock
+  const fresh = () =>
+    claimOf({ items: [], claimSummary: { totals: { claimAmount: 1 } } });
+  const first = await duplicateGuard(fresh(), { user: clerk });
+  assert.deepEqual(first.matches, []);
+  let secondDone = false;
+  const second = duplicateGuard(fresh(), { user: clerk }).then((guard) => {
+    secondDone = true;
+    return guard;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(secondDone, false);
+
+  await first.release();
+  await (await second).release();
+  assert.equal(secondDone, true);
+});
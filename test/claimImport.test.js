@@ -0,0 +1,183 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), "claim-import-"));
+Object.assign(process.env, { KV_DRIVER: "memory", FILE_STORE_DIR: fileDir });
+const {
+  ImportError,
+  parseImport,
+  getImport,
+  confirmImport,
+} = require("../services/claimImport");
+
+after(() => fs.rmSync(fileDir, { recursive: true, force: true }));
+
+const user = { id: "u1" };
+const csv = (lines) => ({
+  originalname: "claims.csv",
+  mimetype: "text/csv",
+  buffer: Buffer.from(lines.join("\n")),
+});
+
+const SHEET = [
+  "Ref,Vendor,Scheme Start Date,Scheme End Date,Discount Type,Discount Value,SKU,Qty,Rate,Sale Date",
+  "A,LG Electronics,2025-06-01,2025-06-30,percent,5,TV-1,2,10000,2025-06-03",
+  "A,LG Electronics,,,,,AC-1,1,30000,2025-06-20",
+  "B,Samsung India,2025-06-01,2025-06-30,flat,500,RF-1,1,20000,2025-06-05",
+  "C,Sony India,2025-06-01,2025-06-30,percent,5,TV-9,1,10000,2025-07-02",
+];
+
+// Stand-in for submitClaim: numbers every claim it is given
+const submitter = () => {
+  const submitted = [];
+  const submit = async (data) => {
+    submitted.push(data.supplierName);
+    return {
+      errors: [],
+      claimNumber: `CL-${submitted.length}`,
+      summary: { totals: { claimAmount: 100 } },
+    };
+  };
+  return { submitted, submit };
+};
+
+const rejectsWith = (promise, status) =>
+  assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ImportError);
+    assert.equal(error.status, status);
+    return true;
+  });
+
+test("rows group into claims and are priced", async () => {
+  const preview = await parseImport(csv(SHEET), {
+    mapping: { Vendor: "supplierName" },
+    user,
+  });
+  assert.equal(preview.status, "preview");
+  assert.deepEqual(
+    preview.claims.map((c) => [c.ref, c.rows, c.valid, c.claimAmount]),
+    [
+      ["A", [2, 3], true, 2500],
+      ["B", [4], true, 500],
+      ["C", [5], false, null],
+    ],
+  );
+  assert.equal(preview.claims[2].errors[0].row, 5);
+  assert.deepEqual(preview.totals, {
+    rows: 4,
+    claims: 3,
+    valid: 2,
+    invalid: 1,
+    claimAmount: 3000,
+  });
+  assert.deepEqual(await getImport(preview.id), preview);
+});
+
+test("disagreeing claim columns are reported per row", async () => {
+  const preview = await parseImport(
+    csv([
+      "Claim Ref,Supplier Name,SKU,Qty,Rate,Sale Date",
+      "A,LG Electronics,TV-1,1,100,2025-06-03",
+      "A,LG India,TV-2,1,100,2025-06-03",
+    ]),
+    { user },
+  );
+  assert.deepEqual(preview.claims[0].errors[0], {
+    row: 3,
+    column: "Supplier Name",
+    message: "differs from row 2 of the same claim",
+  });
+});
+
+test("unusable sheets and mappings are refused", async () => {
+  await rejectsWith(parseImport(csv(["SKU,Qty", "TV,1"]), { user }), 400);
+  await rejectsWith(
+    parseImport(csv(SHEET), { mapping: { Vendor: "brand" }, user }),
+    400,
+  );
+});
+
+test("confirm submits the valid claims once", async () => {
+  const { id } = await parseImport(csv(SHEET), {
+    mapping: { Vendor: "supplierName" },
+    user,
+  });
+  await rejectsWith(
+    confirmImport(id, { user: { id: "u2" }, submit: submitter().submit }),
+    403,
+  );
+
+  const { submitted, submit } = submitter();
+  const confirmed = await confirmImport(id, { user, submit });
+  assert.equal(confirmed.status, "confirmed");
+  assert.deepEqual(submitted, ["LG Electronics", "Samsung India"]);
+  assert.deepEqual(
+    confirmed.results.map((r) => [r.ref, r.status, r.claimNumber]),
+    [
+      ["A", "submitted", "CL-1"],
+      ["B", "submitted", "CL-2"],
+      ["C", "skipped", undefined],
+    ],
+  );
+  assert.equal(confirmed.totals.submitted, 2);
+  assert.ok(fs.existsSync(path.join(fileDir, confirmed.resultFile.id)));
+
+  await rejectsWith(confirmImport(id, { user, submit }), 409);
+  assert.equal(submitted.length, 2);
+  await rejectsWith(confirmImport("missing", { user, submit }), 404);
+});
+
+test("a claim that fails doesn't stop the others", async () => {
+  const { id } = await parseImport(csv(SHEET), {
+    mapping: { Vendor: "supplierName" },
+    user,
+  });
+  const { submitted, submit } = submitter();
+  const failing = async (data) => {
+    if (data.supplierName === "Samsung India") throw new Error("KV down");
+    return submit(data);
+  };
+
+  const confirmed = await confirmImport(id, { user, submit: failing });
+  assert.deepEqual(
+    confirmed.results.map((r) => r.status),
+    ["submitted", "failed", "skipped"],
+  );
+  assert.equal(confirmed.results[1].message, "KV down");
+  assert.deepEqual(submitted, ["LG Electronics"]);
+});
+
+test("a crashed confirm only blocks the import until its lock runs out", async (t) => {
+  const { id } = await parseImport(csv(SHEET), {
+    mapping: { Vendor: "supplierName" },
+    user,
+  });
+  const { submitted, submit } = submitter();
+
+  // The first confirm dies while submitting the second claim
+  let stalled;
+  const crashing = (data) =>
+    data.supplierName === "Samsung India"
+      ? new Promise((resolve) => (stalled = resolve))
+      : submit(data);
+  const crashed = confirmImport(id, { user, submit: crashing });
+  while (!stalled) await new Promise((resolve) => setTimeout(resolve, 5));
+
+  assert.equal((await getImport(id)).status, "confirming");
+  await rejectsWith(confirmImport(id, { user, submit }), 409);
+
+  // Minutes later (not the preview's 24 hours) it can be confirmed again
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 3 * 60 * 1000);
+  const resumed = await confirmImport(id, { user, submit });
+  assert.equal(resumed.status, "confirmed");
+  assert.deepEqual(submitted, ["LG Electronics", "Samsung India"]);
+
+  // The stalled confirm gives way instead of overwriting the result
+  stalled({ errors: [], claimNumber: "CL-LATE", summary: {} });
+  await rejectsWith(crashed, 409);
+  assert.equal((await getImport(id)).status, "confirmed");
+});
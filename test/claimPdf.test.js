@@ -0,0 +1,127 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { renderClaimPdf } = require("../services/claimPdf");
+
+// Text runs of every page: PDFKit deflates the content streams and
+// writes each run as hex in a TJ array (split where it kerns)
+function pdfText(buffer) {
+  const pdf = buffer.toString("latin1");
+  const runs = [];
+  for (const [, stream] of pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    const content = zlib.inflateSync(Buffer.from(stream, "latin1")).toString();
+    for (const [, array] of content.matchAll(/\[(.*?)\] TJ/g)) {
+      runs.push(
+        [...array.matchAll(/<([0-9a-f]*)>/g)]
+          .map(([, hex]) => Buffer.from(hex, "hex").toString("latin1"))
+          .join(""),
+      );
+    }
+  }
+  return runs;
+}
+
+const pageCount = (buffer) =>
+  Number(/\/Type \/Pages\n\/Count (\d+)/.exec(buffer.toString("latin1"))[1]);
+
+const claim = (items = 2) => ({
+  claimNumber: "CL-DB-2526-00007",
+  status: "submitted",
+  store: "DB",
+  supplierName: "LG Electronics",
+  vendorId: "4000000000001",
+  schemeStartDate: "2025-06-01",
+  schemeEndDate: "2025-06-30",
+  createdAt: "2025-07-02T10:00:00.000Z",
+  data: {
+    discountModels: [{ type: "percent", value: 5, category: "TV" }],
+    claimSummary: {
+      items: Array.from({ length: items }, (_, index) => ({
+        index,
+        sku: `TV-${index + 1}`,
+        saleDate: "2025-06-03",
+        quantity: 1,
+        value: 125000,
+        claimAmount: 6250,
+      })),
+      schemes: [
+        {
+          name: "June push",
+          month: "2025-06",
+          basis: "quantity",
+          quantity: 12,
+          slab: { min: 10 },
+          payout: 3000,
+        },
+      ],
+      totals: {
+        items,
+        quantity: items,
+        value: 125000 * items,
+        discountClaim: 6250 * items,
+        schemeClaim: 3000,
+        claimAmount: 6250 * items + 3000,
+      },
+    },
+  },
+});
+
+afterEach(() => delete process.env.CLAIM_LETTERHEAD);
+
+test("the statement carries the claim, its tables and totals", async () => {
+  const buffer = await renderClaimPdf(claim());
+  assert.equal(buffer.subarray(0, 5).toString(), "%PDF-");
+  assert.match(buffer.toString("latin1"), /\(Claim CL-DB-2526-00007\)/);
+
+  const text = pdfText(buffer);
+  for (const expected of [
+    "Claim Statement",
+    "CLAIM STATEMENT",
+    "CL-DB-2526-00007",
+    "LG Electronics",
+    "2025-06-01 to 2025-06-30",
+    "TV-2",
+    "Rs. 1,25,000.00",
+    "June push",
+    "10+",
+    "Rs. 15,500.00",
+  ]) {
+    assert.ok(text.includes(expected), `missing "${expected}"`);
+  }
+  assert.equal(pageCount(buffer), 1);
+});
+
+test("the store's letterhead is used, with a default", async () => {
+  process.env.CLAIM_LETTERHEAD = JSON.stringify({
+    default: { name: "Elec Stores", gstin: "27AAPFU0939F1ZV" },
+    DB: { name: "Elec Stores Dadar", signatory: "R. Mehta" },
+  });
+  let text = pdfText(await renderClaimPdf(claim()));
+  assert.ok(text.includes("Elec Stores Dadar"));
+  assert.ok(text.some((t) => t.includes("GSTIN: 27AAPFU0939F1ZV")));
+  assert.ok(text.includes("R. Mehta"));
+
+  text = pdfText(await renderClaimPdf({ ...claim(), store: "HO" }));
+  assert.ok(text.includes("Elec Stores"));
+  assert.ok(!text.includes("R. Mehta"));
+});
+
+test("bad letterhead JSON falls back to a plain heading", async () => {
+  process.env.CLAIM_LETTERHEAD = "{";
+  assert.ok(pdfText(await renderClaimPdf(claim())).includes("Claim Statement"));
+});
+
+test("long claims run onto numbered pages", async () => {
+  const buffer = await renderClaimPdf(claim(120));
+  const pages = pageCount(buffer);
+  assert.ok(pages > 2);
+
+  const text = pdfText(buffer);
+  assert.ok(text.includes("TV-120"));
+  assert.ok(
+    text.some((t) => t.endsWith(`page ${pages} of ${pages}`)),
+    "footer on the last page",
+  );
+  // The table header repeats on every page
+  assert.ok(text.filter((t) => t === "Discount claim").length >= pages);
+});
@@ -0,0 +1,164 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.KV_DRIVER = "memory";
+const { zoho } = require("../services/zohoClient");
+const claims = require("../services/claimStore");
+const { reconcileClaims } = require("../services/claimReconciliation");
+
+// Zoho search answered from these (June 2025 only), one page per module
+const sales = {
+  Trial: [
+    {
+      id: "t1",
+      Name: "TR-1",
+      Created_Time: "2025-06-03T11:00:00+05:30",
+      Company_Brand: "LG",
+      Claim_No_1: "CL-LG-1",
+      Delivered_Company_Scheme: true,
+    },
+    {
+      id: "t2",
+      Name: "TR-2",
+      Created_Time: "2025-06-04T11:00:00+05:30",
+      Company_Brand: "LG",
+      Claim_No_1: "CL-MISSING",
+      Delivered_DDS: true,
+    },
+    {
+      id: "t3",
+      Name: "TR-3",
+      Created_Time: "2025-06-05T11:00:00+05:30",
+      Company_Brand: "LG",
+      SKU1: "TV-55",
+      Scheme_Offered: ["Exchange"],
+    },
+    {
+      id: "t4",
+      Name: "TR-4",
+      Created_Time: "2025-06-06T11:00:00+05:30",
+      Company_Brand: "LG",
+      Delivered_DDS: true,
+    },
+    {
+      // Samsung sale naming an LG claim by mistake
+      id: "t5",
+      Name: "TR-5",
+      Created_Time: "2025-06-07T11:00:00+05:30",
+      Company_Brand: "Samsung",
+      Claim_No_2: "CL-LG-1",
+    },
+  ],
+  Cash_Slips: [
+    {
+      id: "c1",
+      Toeken_number: "CS-1",
+      Created_Time: "2025-06-08T11:00:00+05:30",
+      Scheme_Number: "CL-DRAFT-1",
+    },
+  ],
+};
+
+const searches = [];
+
+before(async () => {
+  zoho.get = async (path, { params }) => {
+    searches.push({ path, params });
+    if (!params.criteria.includes("2025-06")) return {};
+    return { data: sales[path.split("/")[0]], info: { more_records: false } };
+  };
+
+  const user = { id: "u1", store: "DB" };
+  const claim = (claimNumber, supplierName, fields = {}) =>
+    claims.createClaim(
+      {
+        claimNumber,
+        supplierName,
+        schemeStartDate: "2025-06-01",
+        schemeEndDate: "2025-06-30",
+        claimSummary: { totals: { claimAmount: 1000 } },
+        ...fields,
+      },
+      { user },
+    );
+
+  await claim("CL-LG-1", "LG Electronics");
+  await claims.updateClaimStatus("CL-LG-1", "submitted");
+  await claims.updateClaimStatus("CL-LG-1", "settled", { settledAmount: 800 });
+
+  await claim("CL-LG-2", "LG Electronics", {
+    items: [{ sku: "tv-55", quantity: 1, saleDate: "2025-06-05" }],
+  });
+  await claims.updateClaimStatus("CL-LG-2", "submitted");
+
+  // Still drafted (its webhooks haven't gone out yet)
+  await claim("CL-DRAFT-1", "Whirlpool");
+});
+
+test("sales join their claims by reference and by items", async () => {
+  const report = await reconcileClaims({
+    from: "2025-06-01",
+    to: "2025-06-30",
+  });
+
+  assert.equal(
+    searches[0].params.criteria,
+    "(Created_Time:between:2025-06-01T00:00:00+05:30,2025-06-30T23:59:59+05:30)",
+  );
+  const salesOf = (claimNumber) =>
+    report.claims
+      .find((c) => c.claimNumber === claimNumber)
+      .sales.map((s) => s.id);
+  assert.deepEqual(salesOf("CL-LG-1"), ["t1", "t5"]);
+  assert.deepEqual(salesOf("CL-LG-2"), ["t3"]);
+  assert.deepEqual(salesOf("CL-DRAFT-1"), ["c1"]);
+
+  assert.deepEqual(
+    report.unclaimedSales.map((s) => s.id),
+    ["t2", "t4"],
+  );
+  assert.deepEqual(report.unknownClaimNumbers, [
+    {
+      claimNumber: "CL-MISSING",
+      field: "Claim_No_1",
+      module: "Trial",
+      id: "t2",
+      name: "TR-2",
+      date: "2025-06-04",
+    },
+  ]);
+  assert.deepEqual(report.shortSettled, [
+    {
+      claimNumber: "CL-LG-1",
+      supplierName: "LG Electronics",
+      claimAmount: 1000,
+      settledAmount: 800,
+      shortfall: 200,
+    },
+  ]);
+  assert.equal(report.totals.sales, 6);
+  assert.equal(report.totals.eligibleSales, 5);
+});
+
+test("a supplier filter narrows the report, not the lookups", async () => {
+  const report = await reconcileClaims({
+    from: "2025-06-01",
+    to: "2025-06-30",
+    supplier: "samsung",
+  });
+
+  // The LG claim number on a Samsung sale is still a known claim
+  assert.deepEqual(report.unknownClaimNumbers, []);
+  assert.deepEqual(report.claims, []);
+  assert.equal(report.totals.sales, 2);
+  assert.deepEqual(report.unclaimedSales, []);
+});
+
+test("claims outside the range are left out", async () => {
+  const report = await reconcileClaims({
+    from: "2025-08-01",
+    to: "2025-08-31",
+  });
+  assert.deepEqual(report.claims, []);
+  assert.equal(report.totals.sales, 0);
+});
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.KV_DRIVER = "memory";
+const claims = require("../services/claimStore");
+const { getKvStore } = require("../services/kvStore");
+
+let counter = 0;
+const newClaim = (fields = {}) =>
+  claims.createClaim(
+    {
+      claimNumber: `CL-T-${++counter}`,
+      supplierName: "LG Electronics",
+      claimSummary: { totals: { claimAmount: 1000 } },
+      ...fields,
+    },
+    { user: { id: "u1", store: "DB" } },
+  );
+
+const rejects = (promise, status, message) =>
+  assert.rejects(promise, (error) => {
+    assert.ok(error instanceof claims.ClaimStatusError);
+    assert.equal(error.status, status);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+
+test("a new claim starts drafted", async () => {
+  const record = await newClaim();
+  assert.equal(record.status, "drafted");
+  assert.equal(record.store, "DB");
+  assert.equal(record.claimAmount, 1000);
+  assert.deepEqual(
+    record.history.map((h) => h.status),
+    ["drafted"],
+  );
+  assert.deepEqual(await claims.getClaim(record.claimNumber), record);
+});
+
+test("status moves follow the lifecycle", async () => {
+  const { claimNumber } = await newClaim();
+  await claims.updateClaimStatus(claimNumber, "submitted", { by: "u1" });
+  const approved = await claims.updateClaimStatus(claimNumber, "approved", {
+    by: "lg",
+    note: "OK",
+  });
+  assert.deepEqual(
+    approved.history.map((h) => h.status),
+    ["drafted", "submitted", "approved"],
+  );
+  assert.equal(approved.history[2].note, "OK");
+
+  await rejects(
+    claims.updateClaimStatus(claimNumber, "submitted"),
+    409,
+    /approved claim to submitted/,
+  );
+  await rejects(claims.updateClaimStatus(claimNumber, "lost"), 400);
+  await rejects(claims.updateClaimStatus("CL-NONE", "submitted"), 404);
+
+  await claims.updateClaimStatus(claimNumber, "rejected");
+  await rejects(claims.updateClaimStatus(claimNumber, "settled"), 409);
+});
+
+test("settlements are a running total", async () => {
+  const { claimNumber } = await newClaim();
+  await claims.updateClaimStatus(claimNumber, "submitted");
+
+  let record = await claims.updateClaimStatus(claimNumber, "settled", {
+    settledAmount: "400",
+    reference: "UTR-1",
+  });
+  assert.equal(record.settledAmount, 400);
+  assert.equal(record.settlement, "partial");
+  assert.equal(record.history.at(-1).reference, "UTR-1");
+
+  await rejects(
+    claims.updateClaimStatus(claimNumber, "settled", { settledAmount: 300 }),
+    400,
+  );
+
+  record = await claims.updateClaimStatus(claimNumber, "settled", {
+    settledAmount: 1000,
+  });
+  assert.equal(record.settlement, "full");
+});
+
+test("concurrent changes to one claim don't lose writes", async () => {
+  const { claimNumber } = await newClaim();
+  await claims.updateClaimStatus(claimNumber, "submitted");
+
+  const results = await Promise.allSettled([
+    claims.updateClaimStatus(claimNumber, "approved"),
+    claims.updateClaimStatus(claimNumber, "approved"),
+    claims.updateClaim(claimNumber, { zoho: { id: "z1" } }),
+  ]);
+  // One approval wins, the second finds the claim already approved
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "rejected", "fulfilled"],
+  );
+
+  const record = await claims.getClaim(claimNumber);
+  assert.equal(record.status, "approved");
+  assert.deepEqual(record.zoho, { id: "z1" });
+  assert.equal(record.history.length, 3);
+});
+
+test("an update waits for the claim's lock", async () => {
+  const { claimNumber } = await newClaim();
+  const kv = getKvStore();
+  await kv.setIfAbsent(`claim-lock:${claimNumber}`, "other", 10000);
+  setTimeout(() => kv.delete(`claim-lock:${claimNumber}`), 100);
+
+  const started = Date.now();
+  const record = await claims.updateClaimStatus(claimNumber, "submitted");
+  assert.equal(record.status, "submitted");
+  assert.ok(Date.now() - started >= 90);
+  assert.equal(await kv.get(`claim-lock:${claimNumber}`), null);
+});
+
+test("listClaims filters and skips locks", async () => {
+  const samsung = await newClaim({ supplierName: "Samsung India" });
+  await claims.updateClaimStatus(samsung.claimNumber, "submitted");
+  await getKvStore().setIfAbsent(
+    `claim-lock:${samsung.claimNumber}`,
+    "x",
+    1000,
+  );
+
+  const listed = await claims.listClaims({ supplier: "samsung" });
+  assert.deepEqual(
+    listed.map((c) => c.claimNumber),
+    [samsung.claimNumber],
+  );
+  assert.deepEqual(await claims.listClaims({ status: "acknowledged" }), []);
+  assert.equal(
+    (await claims.listClaims({ store: "DB" })).every((c) => c.store === "DB"),
+    true,
+  );
+
+  await claims.deleteClaim(samsung.claimNumber);
+  assert.equal(await claims.getClaim(samsung.claimNumber), null);
+});
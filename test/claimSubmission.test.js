@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), "claim-files-"));
+Object.assign(process.env, {
+  KV_DRIVER: "memory",
+  FILE_STORE_DIR: fileDir,
+  FILE_URL_SECRET: "file-secret",
+  WEBHOOK_URLS: "",
+});
+
+// Only LG claims have a receiver; the rule is set once the fake
+// receiver's port is known, before the services are required
+const received = [];
+const app = express();
+app.use(express.json());
+app.post("/claims", (req, res) => {
+  received.push(req.body);
+  res.status(200).end();
+});
+
+let server;
+let submitClaim;
+let listClaims;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  process.env.WEBHOOK_ROUTES = JSON.stringify([
+    {
+      name: "lg",
+      match: { supplier: ["LG*"] },
+      targets: [`http://127.0.0.1:${server.address().port}/claims`],
+    },
+  ]);
+  ({ submitClaim } = require("../services/claimSubmission"));
+  ({ listClaims } = require("../services/claimStore"));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(fileDir, { recursive: true, force: true });
+});
+
+const user = { id: "u1", store: "DB", roles: ["admin"] };
+const upload = {
+  originalname: "circular.pdf",
+  mimetype: "application/pdf",
+  size: 4,
+  buffer: Buffer.from("%PDF"),
+};
+const claimFor = (supplierName) => ({
+  supplierName,
+  schemeStartDate: "2025-06-01",
+  schemeEndDate: "2025-06-30",
+  items: [{ sku: "TV-1", quantity: 1, rate: 10000, saleDate: "2025-06-03" }],
+  discountModels: [{ type: "percent", value: 5 }],
+});
+
+test("a claim no webhook receives stores nothing", async () => {
+  const outcome = await submitClaim(claimFor("Sony India"), {
+    user,
+    upload,
+    baseUrl: "http://localhost",
+  });
+  assert.deepEqual(outcome.errors, []);
+  assert.deepEqual(outcome.attempts, []);
+  assert.equal(outcome.claimNumber, undefined);
+  assert.deepEqual(fs.readdirSync(fileDir), []);
+  assert.deepEqual(await listClaims(), []);
+});
+
+test("a routed claim keeps its file and is submitted", async () => {
+  const outcome = await submitClaim(claimFor("LG Electronics"), {
+    user,
+    upload,
+    baseUrl: "http://localhost",
+  });
+  assert.equal(outcome.attempts.length, 1);
+  assert.equal(outcome.attempts[0].status, "delivered");
+  assert.match(outcome.claimNumber, /DB/);
+  assert.deepEqual(fs.readdirSync(fileDir).sort(), [
+    outcome.file.id,
+    `${outcome.file.id}.json`,
+  ]);
+  assert.equal(received[0].claimNumber, outcome.claimNumber);
+
+  const [stored] = await listClaims();
+  assert.equal(stored.status, "submitted");
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createZohoEmulator } = require("../dev/zohoEmulator");
+
+const emulator = createZohoEmulator({
+  modules: ["Vendors", "Claims"],
+  seed: { Vendors: [{ Vendor_Name: "LG Electronics" }] },
+});
+const records = (module) => [...emulator.locals.store.get(module).values()];
+
+let server;
+let claims;
+let toZohoRecord;
+let syncClaimToZoho;
+
+before(async () => {
+  server = emulator.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    KV_DRIVER: "memory",
+    ZOHO_TOKEN_STORE: "memory",
+    ZOHO_ACCOUNTS_URL: url,
+    ZOHO_API_URL: url,
+    ZOHO_REFRESH_TOKEN: "refresh",
+    ZOHO_CLAIMS_MODULE: "Claims",
+  });
+  claims = require("../services/claimStore");
+  ({ toZohoRecord, syncClaimToZoho } = require("../services/claimZoho"));
+});
+
+after(() => server.close());
+
+const claimData = (fields = {}) => ({
+  supplierName: "LG Electronics",
+  schemeStartDate: "2025-06-01",
+  schemeEndDate: "2025-06-30",
+  items: [
+    { sku: "TV-1", quantity: "2", rate: "50000", saleDate: "2025-06-03" },
+  ],
+  discountModels: [
+    { type: "flat", value: "500", perUnit: "false", category: "TV" },
+  ],
+  claimSummary: {
+    items: [{ value: 100000, claimAmount: 500 }],
+    schemes: [
+      {
+        name: "June push",
+        month: "2025-06",
+        basis: "quantity",
+        quantity: 2,
+        slab: { min: 2, payout: 100 },
+        payout: 200,
+      },
+    ],
+    totals: { claimAmount: 700, discountClaim: 500, schemeClaim: 200 },
+  },
+  ...fields,
+});
+
+test("a stored claim maps onto the Claims layout", () => {
+  const record = toZohoRecord(
+    {
+      claimNumber: "CL-1",
+      status: "submitted",
+      settlement: "none",
+      store: "DB",
+      supplierName: "LG Electronics",
+      schemeStartDate: "2025-06-01T00:00:00Z",
+      settledAmount: 0,
+      duplicateOf: ["CL-0"],
+      data: claimData(),
+    },
+    { vendorId: "v1", owner: { Owner: { id: "u9" } } },
+  );
+
+  assert.equal(record.Name, "CL-1");
+  assert.deepEqual(record.Vendor, { id: "v1" });
+  assert.equal(record.Status, "Submitted");
+  assert.equal(record.Scheme_Start_Date, "2025-06-01");
+  assert.equal(record.Claim_Amount, 700);
+  assert.equal(record.Duplicate_Of, "CL-0");
+  assert.deepEqual(record.Owner, { id: "u9" });
+  assert.deepEqual(record.Claim_Items, [
+    {
+      SKU: "TV-1",
+      Model_No: null,
+      Serial_No: null,
+      Category: null,
+      Quantity: 2,
+      Rate: 50000,
+      Amount: 100000,
+      Sale_Date: "2025-06-03",
+      Discount_Claim: 500,
+    },
+  ]);
+  assert.deepEqual(record.Discount_Models, [
+    {
+      Model_Name: "flat 500",
+      Discount_Type: "flat",
+      Value: 500,
+      Per_Unit: false,
+      Max_Amount: null,
+      Applies_To: "category: TV",
+    },
+  ]);
+  assert.equal(record.Monthly_Schemes[0].Slab, "2+: 100 perUnit");
+});
+
+test("claims are upserted by number and linked to the vendor", async () => {
+  const [vendor] = records("Vendors");
+  await claims.createClaim(
+    { ...claimData(), claimNumber: "CL-DB-1" },
+    { user: { id: "u1", store: "DB" } },
+  );
+
+  const first = await syncClaimToZoho("CL-DB-1");
+  assert.equal(first.error, null);
+  assert.equal(first.vendorId, vendor.id);
+  assert.equal(records("Claims").length, 1);
+  assert.equal(records("Claims")[0].id, first.recordId);
+  assert.deepEqual(records("Claims")[0].Vendor, { id: vendor.id });
+  assert.deepEqual((await claims.getClaim("CL-DB-1")).zoho, first);
+
+  await claims.updateClaimStatus("CL-DB-1", "submitted");
+  const second = await syncClaimToZoho("CL-DB-1");
+  assert.equal(second.recordId, first.recordId);
+  assert.equal(records("Claims").length, 1);
+  assert.equal(records("Claims")[0].Status, "Submitted");
+});
+
+test("a claim without a vendor record is still synced", async () => {
+  await claims.createClaim(
+    {
+      ...claimData({ supplierName: "Unknown Traders" }),
+      claimNumber: "CL-DB-2",
+    },
+    { user: { id: "u1", store: "DB" } },
+  );
+  const state = await syncClaimToZoho("CL-DB-2");
+  assert.equal(state.vendorId, null);
+  assert.equal(state.error, null);
+  const record = records("Claims").find((r) => r.Name === "CL-DB-2");
+  assert.equal(record.Vendor, undefined);
+});
+
+test("a Zoho failure is kept on the claim, not thrown", async () => {
+  const store = emulator.locals.store;
+  const saved = store.get("Claims");
+  store.delete("Claims");
+  let state;
+  try {
+    state = await syncClaimToZoho("CL-DB-1");
+  } finally {
+    store.set("Claims", saved);
+  }
+
+  assert.match(state.error, /module name/);
+  assert.ok(state.failedAt);
+  // What the last good sync recorded is kept for the retry
+  assert.equal(state.recordId, saved.values().next().value.id);
+  assert.deepEqual((await claims.getClaim("CL-DB-1")).zoho, state);
+
+  assert.equal(await syncClaimToZoho("CL-NONE"), null);
+});
@@ -0,0 +1,110 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseGstin,
+  stateName,
+  supplierType,
+  gstinVendorFields,
+} = require("../services/gstin");
+
+afterEach(() => delete process.env.GSTIN_SUPPLIER_TYPES);
+
+test("parseGstin reads a valid GSTIN", () => {
+  const parsed = parseGstin("27AAPFU0939F1ZV");
+  assert.equal(parsed.valid, true);
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.stateCode, "27");
+  assert.equal(parsed.state, "Maharashtra");
+  assert.equal(parsed.pan, "AAPFU0939F");
+  assert.equal(parsed.entityType, "Partnership Firm / LLP");
+  assert.equal(parsed.registrationNumber, "1");
+});
+
+test("parseGstin normalizes case and spacing", () => {
+  const parsed = parseGstin(" 29aagcb7383j1z4 ");
+  assert.equal(parsed.gstin, "29AAGCB7383J1Z4");
+  assert.equal(parsed.valid, true);
+  assert.equal(parsed.state, "Karnataka");
+  assert.equal(parsed.entityType, "Company");
+});
+
+test("parseGstin rejects a typo through the check character", () => {
+  const parsed = parseGstin("27AAPFU0939F1ZW");
+  assert.equal(parsed.valid, false);
+  assert.match(parsed.errors[0], /check character/);
+  // Still derived – the format is right
+  assert.equal(parsed.state, "Maharashtra");
+});
+
+test("parseGstin rejects a malformed GSTIN", () => {
+  for (const value of ["", null, "27AAPFU0939F1Z", "27AAPFU0939F0ZV"]) {
+    const parsed = parseGstin(value);
+    assert.equal(parsed.valid, false);
+    assert.deepEqual(parsed.errors, ["must be a 15-character GSTIN"]);
+    assert.equal(parsed.state, undefined);
+  }
+});
+
+test("parseGstin flags an unknown state code", () => {
+  const parsed = parseGstin("00AAPFU0939F1ZV");
+  assert.equal(parsed.valid, false);
+  assert.equal(parsed.state, null);
+  assert.ok(parsed.errors.includes("unknown state code 00"));
+});
+
+test("stateName accepts codes, aliases and spellings", () => {
+  assert.equal(stateName("MH"), "Maharashtra");
+  assert.equal(stateName("Tamilnadu"), "Tamil Nadu");
+  assert.equal(stateName("Orissa"), "Odisha");
+  assert.equal(stateName("27"), "Maharashtra");
+  assert.equal(stateName("J&K"), "Jammu and Kashmir");
+  assert.equal(stateName("Atlantis"), null);
+  assert.equal(stateName(""), null);
+});
+
+test("supplierType maps the PAN letter onto the picklist", () => {
+  const gstin = parseGstin("29AAGCB7383J1Z4");
+  assert.equal(supplierType(gstin), "Company");
+
+  process.env.GSTIN_SUPPLIER_TYPES = JSON.stringify({ C: "Private Limited" });
+  assert.equal(supplierType(gstin), "Private Limited");
+  // Letters the map leaves out keep the entity type name
+  assert.equal(
+    supplierType(parseGstin("27AAPFU0939F1ZV")),
+    "Partnership Firm / LLP",
+  );
+
+  process.env.GSTIN_SUPPLIER_TYPES = "{";
+  assert.equal(supplierType(gstin), "Company");
+  assert.equal(supplierType(parseGstin("nope")), null);
+});
+
+test("gstinVendorFields fills empty fields and normalizes matching ones", () => {
+  const gstin = parseGstin("27AAPFU0939F1ZV");
+
+  const empty = { Vendor_Name: "Acme" };
+  assert.deepEqual(gstinVendorFields(empty, gstin), []);
+  assert.equal(empty.State, "Maharashtra");
+  assert.equal(empty.Type_of_Supplier, "Partnership Firm / LLP");
+
+  const typed = { State: "MH", Type_of_Supplier: "partnership firm/llp" };
+  assert.deepEqual(gstinVendorFields(typed, gstin), []);
+  assert.deepEqual(typed, {
+    State: "Maharashtra",
+    Type_of_Supplier: "Partnership Firm / LLP",
+  });
+});
+
+test("gstinVendorFields returns what the GSTIN contradicts", () => {
+  const vendor = { State: "Karnataka", Type_of_Supplier: "Company" };
+  assert.deepEqual(gstinVendorFields(vendor, parseGstin("27AAPFU0939F1ZV")), [
+    { field: "State", value: "Karnataka", gstin: "Maharashtra" },
+    {
+      field: "Type_of_Supplier",
+      value: "Company",
+      gstin: "Partnership Firm / LLP",
+    },
+  ]);
+  // The caller's values are kept
+  assert.deepEqual(vendor, { State: "Karnataka", Type_of_Supplier: "Company" });
+});
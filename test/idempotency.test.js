@@ -0,0 +1,99 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.KV_DRIVER = "memory";
+const { idempotent } = require("../middleware/idempotency");
+
+let created = 0;
+let release = null;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { type: "api-key", id: req.get("x-caller") || "kiosk" };
+  next();
+});
+app.post("/things", idempotent(), async (req, res) => {
+  if (req.body.wait) await new Promise((resolve) => (release = resolve));
+  if (req.body.fail) return res.status(502).json({ success: false });
+  res.status(201).json({ success: true, id: ++created });
+});
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const post = (key, body, headers = {}) =>
+  fetch(`${base}/things`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(key && { "Idempotency-Key": key }),
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+
+test("a repeated key replays the first response", async () => {
+  const first = await post("key-replay-1", { name: "a" });
+  const again = await post("key-replay-1", { name: "a" });
+  assert.equal(first.status, 201);
+  assert.equal(again.status, 201);
+  assert.equal(again.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(await again.json(), await first.json());
+  assert.equal(created, 1);
+});
+
+test("requests without a key run every time", async () => {
+  const count = created;
+  await post(null, { name: "b" });
+  await post(null, { name: "b" });
+  assert.equal(created, count + 2);
+});
+
+test("the same key with another body is rejected", async () => {
+  await post("key-body-1", { name: "a" });
+  const other = await post("key-body-1", { name: "b" });
+  assert.equal(other.status, 422);
+});
+
+test("the same key while the first is running answers 409", async () => {
+  const first = post("key-inflight-1", { wait: true });
+  while (!release) await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const second = await post("key-inflight-1", { wait: true });
+  assert.equal(second.status, 409);
+  assert.equal(second.headers.get("retry-after"), "2");
+
+  release();
+  release = null;
+  assert.equal((await first).status, 201);
+  assert.equal((await post("key-inflight-1", { wait: true })).status, 201);
+});
+
+test("5xx answers are not stored, so a retry runs again", async () => {
+  assert.equal((await post("key-fail-1", { fail: true })).status, 502);
+  const retry = await post("key-fail-1", { fail: true });
+  assert.equal(retry.status, 502);
+  assert.equal(retry.headers.get("idempotent-replayed"), null);
+});
+
+test("keys are scoped per caller", async () => {
+  const count = created;
+  await post("key-scope-1", { name: "a" }, { "X-Caller": "one" });
+  const other = await post("key-scope-1", { name: "a" }, { "X-Caller": "two" });
+  assert.equal(other.headers.get("idempotent-replayed"), null);
+  assert.equal(created, count + 2);
+});
+
+test("malformed keys are rejected", async () => {
+  assert.equal((await post("short", { name: "a" })).status, 400);
+});
@@ -0,0 +1,141 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+Object.assign(process.env, {
+  KV_DRIVER: "memory",
+  OUTBOX_MAX_ATTEMPTS: "3",
+  OUTBOX_RETRY_BASE_MS: "1",
+});
+const outbox = require("../services/outbox");
+const { getKvStore } = require("../services/kvStore");
+const { verifySignature } = require("../services/webhookSigning");
+
+// Receiver answering each delivery from a script of status codes
+const received = [];
+let statuses = [];
+
+const app = express();
+app.use(express.text({ type: "*/*" }));
+app.post("/hook", (req, res) => {
+  received.push({ headers: req.headers, body: req.body });
+  res.status(statuses.shift() ?? 200).end();
+});
+
+let server;
+let url;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  received.length = 0;
+  statuses = [];
+  // Start every test from an empty outbox
+  const store = getKvStore();
+  for (const { key } of await store.list("outbox:")) await store.delete(key);
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test("a queued delivery is sent once and marked delivered", async () => {
+  const [queued] = await outbox.enqueue("claim.created", [
+    { url, payload: { claimNumber: "CL-1" } },
+  ]);
+  assert.equal(queued.status, "pending");
+
+  assert.deepEqual(await outbox.processOutbox(), {
+    attempted: 1,
+    delivered: 1,
+    dead: 0,
+  });
+  assert.deepEqual(JSON.parse(received[0].body), { claimNumber: "CL-1" });
+  assert.equal(received[0].headers["x-webhook-id"], queued.id);
+
+  const delivery = await outbox.getDelivery(queued.id);
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 1);
+
+  // Nothing left to send
+  assert.equal((await outbox.processOutbox()).attempted, 0);
+  assert.equal(received.length, 1);
+});
+
+test("failures back off and end in the dead letter", async () => {
+  statuses = [500, 503, 502];
+  const [queued] = await outbox.enqueue("claim.created", [
+    { url, payload: { claimNumber: "CL-2" } },
+  ]);
+
+  let result = await outbox.processOutbox();
+  assert.deepEqual(result, { attempted: 1, delivered: 0, dead: 0 });
+  let delivery = await outbox.getDelivery(queued.id);
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.lastStatus, 500);
+  assert.ok(
+    Date.parse(delivery.nextAttemptAt) > Date.parse(delivery.createdAt),
+  );
+
+  await settle();
+  await outbox.processOutbox();
+  await settle();
+  result = await outbox.processOutbox();
+  assert.equal(result.dead, 1);
+
+  delivery = await outbox.getDelivery(queued.id);
+  assert.equal(delivery.status, "dead");
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.deepEqual(
+    delivery.history.map((h) => h.status),
+    [500, 503, 502],
+  );
+  assert.deepEqual(
+    (await outbox.listDeliveries("dead")).map((d) => d.id),
+    [queued.id],
+  );
+});
+
+test("a dead delivery can be re-driven", async () => {
+  statuses = [500, 500, 500];
+  const [queued] = await outbox.enqueue("claim.created", [
+    { url, payload: { claimNumber: "CL-3" } },
+  ]);
+  for (let i = 0; i < 3; i++) {
+    await outbox.processOutbox();
+    await settle();
+  }
+  assert.equal((await outbox.getDelivery(queued.id)).status, "dead");
+
+  const redriven = await outbox.redeliver(queued.id);
+  assert.equal(redriven.status, "delivered");
+  assert.equal(redriven.attempts, 1);
+  assert.equal(received.length, 4);
+  assert.equal(new Set(received.map((r) => r.headers["x-webhook-id"])).size, 1);
+});
+
+test("deliveries are signed when the URL has a secret", async () => {
+  process.env.WEBHOOK_SECRET = "hook-secret";
+  try {
+    await outbox.enqueue("claim.created", [{ url, payload: { n: 1 } }]);
+    await outbox.processOutbox();
+  } finally {
+    delete process.env.WEBHOOK_SECRET;
+  }
+  const { headers, body } = received[0];
+  assert.deepEqual(
+    verifySignature({
+      secret: "hook-secret",
+      body,
+      timestamp: headers["x-webhook-timestamp"],
+      deliveryId: headers["x-webhook-id"],
+      signature: headers["x-webhook-signature"],
+    }),
+    { valid: true },
+  );
+});
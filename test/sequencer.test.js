@@ -0,0 +1,112 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createZohoEmulator } = require("../dev/zohoEmulator");
+
+// Zoho counters live in an emulated Sequences module whose Name is set
+// to "Do not allow duplicate values"
+const emulator = createZohoEmulator({
+  modules: ["Sequences"],
+  seed: {},
+  unique: { Sequences: ["Name"] },
+});
+
+let server;
+let sequencer;
+
+before(async () => {
+  server = emulator.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    KV_DRIVER: "memory",
+    ZOHO_TOKEN_STORE: "memory",
+    ZOHO_ACCOUNTS_URL: url,
+    ZOHO_API_URL: url,
+    ZOHO_REFRESH_TOKEN: "refresh",
+    SEQUENCE_STORE: "zoho",
+  });
+  sequencer = require("../services/sequencer");
+});
+
+after(() => server.close());
+
+const inKv = async (fn) => {
+  process.env.SEQUENCE_STORE = "kv";
+  try {
+    return await fn();
+  } finally {
+    process.env.SEQUENCE_STORE = "zoho";
+  }
+};
+
+const fy = () => sequencer.financialYear();
+
+test("financial years run April to March in IST", () => {
+  assert.equal(
+    sequencer.financialYear(new Date("2025-04-01T00:00+05:30")),
+    "2526",
+  );
+  assert.equal(
+    sequencer.financialYear(new Date("2025-03-31T23:59+05:30")),
+    "2425",
+  );
+  // 31 March 19:00 UTC is already 1 April in India
+  assert.equal(sequencer.financialYear(new Date("2026-03-31T19:00Z")), "2627");
+});
+
+test("concurrent issues get distinct consecutive numbers", async () => {
+  const issued = await inKv(() =>
+    Promise.all(
+      Array.from({ length: 8 }, () =>
+        sequencer.issueNumber("claim", { store: "kv1" }),
+      ),
+    ),
+  );
+  assert.deepEqual(
+    issued.map((i) => i.value).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6, 7, 8],
+  );
+  assert.equal(issued[0].number.slice(0, -5), `CL-KV1-${fy()}-`);
+});
+
+test("the audit lists void, unconfirmed and used numbers", async () => {
+  const audit = await inKv(async () => {
+    const first = await sequencer.issueNumber("cashSlip", { store: "kv2" });
+    const second = await sequencer.issueNumber("cashSlip", { store: "kv2" });
+    await sequencer.issueNumber("cashSlip", { store: "kv2" });
+    await sequencer.confirmNumber(first, { recordId: "r1" });
+    await sequencer.voidNumber(second, "Zoho create failed");
+    return sequencer.auditCounter(`CS-KV2-${fy()}`);
+  });
+  assert.equal(audit.last, 3);
+  assert.equal(audit.used, 1);
+  assert.deepEqual(
+    audit.voided.map((v) => v.reason),
+    ["Zoho create failed"],
+  );
+  assert.deepEqual(
+    audit.unconfirmed.map((v) => v.number),
+    [`CS-KV2-${fy()}-00003`],
+  );
+  assert.deepEqual(audit.missing, []);
+});
+
+test("zoho mode reserves each number by record name", async () => {
+  const first = await sequencer.issueNumber("claim", { store: "zh" });
+  assert.equal(first.number, `CL-ZH-${fy()}-00001`);
+
+  // Another instance has already reserved 2 and 3
+  const records = emulator.locals.store.get("Sequences");
+  for (const n of ["00002", "00003"]) {
+    records.set(`other-${n}`, { id: `other-${n}`, Name: `CL-ZH-${fy()}-${n}` });
+  }
+
+  const next = await sequencer.issueNumber("claim", { store: "zh" });
+  assert.equal(next.number, `CL-ZH-${fy()}-00004`);
+
+  const counter = [...records.values()].find((r) => r.Name === `CL-ZH-${fy()}`);
+  assert.equal(counter.Last_Value, 4);
+  assert.deepEqual(await sequencer.listCounters(), [
+    { id: `CL-ZH-${fy()}`, last: 4 },
+  ]);
+});
@@ -0,0 +1,153 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, validateBody } = require("../middleware/validate");
+const schemas = require("../schemas");
+
+const schema = {
+  fields: {
+    name: { type: "string", required: true, minLength: 2, maxLength: 5 },
+    qty: { type: "integer", min: 1, max: 10 },
+    when: { type: "date" },
+    email: { type: "email" },
+    kind: { type: "string", enum: ["a", "b"] },
+    agreed: { type: "boolean" },
+    code: { type: "string", pattern: "^[A-Z]{3}$", patternMessage: "3 caps" },
+    tags: { type: "array", maxItems: 2, items: { type: "string" } },
+    meta: {
+      type: "object",
+      fields: { id: { type: "number", required: true } },
+    },
+    items: { type: "array", json: true, minItems: 1 },
+  },
+};
+
+const fieldsOf = (errors) => errors.map((e) => e.field);
+
+test("a valid body has no errors", () => {
+  assert.deepEqual(
+    validate(schema, {
+      name: "Ravi",
+      qty: "3",
+      when: "2025-06-01",
+      email: "a@b.in",
+      kind: "a",
+      agreed: "yes",
+      code: "ABC",
+      tags: ["x"],
+      meta: { id: 5 },
+      items: '[{"sku":"TV"}]',
+    }),
+    [],
+  );
+});
+
+test("every offending field is reported with its path", () => {
+  const errors = validate(schema, {
+    qty: 2.5,
+    when: "01/06/2025",
+    email: "nope",
+    kind: "c",
+    agreed: "maybe",
+    code: "abc",
+    tags: ["x", "y", {}],
+    meta: {},
+    items: "[oops",
+  });
+  assert.deepEqual(fieldsOf(errors), [
+    "name",
+    "qty",
+    "when",
+    "email",
+    "kind",
+    "agreed",
+    "code",
+    "tags",
+    "tags[2]",
+    "meta.id",
+    "items",
+  ]);
+  assert.equal(errors.find((e) => e.field === "code").message, "3 caps");
+  assert.equal(errors.find((e) => e.field === "name").message, "is required");
+});
+
+test("limits on numbers and text", () => {
+  assert.deepEqual(fieldsOf(validate(schema, { name: "R", qty: 0 })), [
+    "name",
+    "qty",
+  ]);
+  assert.deepEqual(fieldsOf(validate(schema, { name: "Ravish", qty: 11 })), [
+    "name",
+    "qty",
+  ]);
+});
+
+test("empty strings count as absent", () => {
+  assert.deepEqual(fieldsOf(validate(schema, { name: "", qty: "" })), ["name"]);
+});
+
+test("gstin format checks the check character", () => {
+  const errors = validate(schemas.vendor, {
+    vendorData: { GSTIN_NUMBER: "27AAPFU0939F1ZW" },
+  });
+  assert.deepEqual(fieldsOf(errors), ["vendorData.GSTIN_NUMBER"]);
+  assert.match(errors[0].message, /check character/);
+  assert.deepEqual(
+    validate(schemas.vendor, {
+      vendorData: { GSTIN_NUMBER: "27AAPFU0939F1ZV" },
+    }),
+    [],
+  );
+});
+
+test("trail amounts accept zero and reject text", () => {
+  assert.deepEqual(
+    validate(schemas.trail, { Mobile_Number: "9876543210", Bill_Amount: "0" }),
+    [],
+  );
+  assert.deepEqual(
+    fieldsOf(
+      validate(schemas.trail, {
+        Mobile_Number: "9876543210",
+        Bill_Amount: "abc",
+      }),
+    ),
+    ["Bill_Amount"],
+  );
+});
+
+test("vendor confirmVendorId must be a record ID", () => {
+  assert.deepEqual(
+    fieldsOf(
+      validate(schemas.vendor, {
+        vendorData: {},
+        confirmVendorId: "../Contacts",
+      }),
+    ),
+    ["confirmVendorId"],
+  );
+});
+
+test("validateBody answers 400 before the handler", () => {
+  const middleware = validateBody(schema);
+  let status;
+  let body;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      body = payload;
+    },
+  };
+  let called = false;
+
+  middleware({ body: {} }, res, () => (called = true));
+  assert.equal(called, false);
+  assert.equal(status, 400);
+  assert.equal(body.message, "Validation failed");
+  assert.deepEqual(fieldsOf(body.errors), ["name"]);
+
+  middleware({ body: { name: "Ravi" } }, res, () => (called = true));
+  assert.equal(called, true);
+});
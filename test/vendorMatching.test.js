@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeName,
+  scoreVendorMatch,
+  mergeVendorFields,
+} = require("../services/vendorMatching");
+
+test("normalizeName drops legal words and placeholders", () => {
+  assert.equal(normalizeName("M/s. Ravi Traders Pvt. Ltd."), "ravi traders");
+  assert.equal(normalizeName("Unknown Vendor"), "");
+});
+
+test("same name and phone is corroborated", () => {
+  const match = scoreVendorMatch(
+    { Vendor_Name: "Ravi Traders Pvt Ltd", Phone: "98765 43210" },
+    { Vendor_Name: "Ravi Traders", Phone: "+91 9876543210" },
+  );
+  assert.equal(match.score, 1);
+  assert.equal(match.identified, true);
+  assert.equal(match.corroborated, true);
+});
+
+test("a placeholder name and one shared phone never auto-merges", () => {
+  const match = scoreVendorMatch(
+    { Vendor_Name: "Unknown Vendor", Phone: "9876543210" },
+    { Vendor_Name: "Ravi Traders", Phone: "9876543210" },
+  );
+  assert.equal(match.score, 1);
+  assert.deepEqual(match.signals, { phone: 1 });
+  assert.equal(match.corroborated, false);
+});
+
+test("a shared phone with a different name is not corroborated", () => {
+  const match = scoreVendorMatch(
+    { Vendor_Name: "Sri Balaji Electronics", Phone: "9876543210" },
+    { Vendor_Name: "Ravi Traders", Phone: "9876543210" },
+  );
+  assert.equal(match.identified, true);
+  assert.equal(match.corroborated, false);
+  assert.ok(match.score < 0.9);
+});
+
+test("a registered vendor never matches on name alone", () => {
+  const match = scoreVendorMatch(
+    { Vendor_Name: "Ravi Traders" },
+    { Vendor_Name: "Ravi Traders", GSTIN_NUMBER: "27AAPFU0939F1ZV" },
+  );
+  assert.equal(match.score, 0);
+});
+
+test("different identifiers score low", () => {
+  const match = scoreVendorMatch(
+    { Vendor_Name: "Ravi Traders", Phone: "9876543210", Email: "a@x.in" },
+    { Vendor_Name: "Ravi Traders", Phone: "9123456780", Email: "b@y.in" },
+  );
+  assert.equal(match.identified, false);
+  assert.ok(match.score < 0.6);
+});
+
+test("mergeVendorFields only fills empty fields", () => {
+  assert.deepEqual(
+    mergeVendorFields(
+      { Vendor_Name: "Ravi Traders", Phone: "", Email: "a@x.in" },
+      { Vendor_Name: "Unknown Vendor", Phone: "9876543210", Email: "b@y.in" },
+    ),
+    { Phone: "9876543210" },
+  );
+});
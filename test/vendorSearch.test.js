@@ -0,0 +1,123 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createZohoEmulator } = require("../dev/zohoEmulator");
+
+const emulator = createZohoEmulator({
+  modules: ["Vendors"],
+  seed: {
+    Vendors: [
+      {
+        Vendor_Name: "Sri Ganesh Traders",
+        GSTIN_NUMBER: "27AAPFU0939F1ZV",
+        Phone: "+91 98200 12345",
+        Supplier_Code: "SGT01",
+      },
+      { Vendor_Name: "Ganesh Electricals", Email: "sales@ganesh.in" },
+      { Vendor_Name: "Ganesh", Phone: "9820012345" },
+      { Vendor_Name: "Mahaganesh & Co" },
+      { Vendor_Name: "LG Electronics (India)", Email: "lg@example.com" },
+      ...Array.from({ length: 30 }, (_, i) => ({
+        Vendor_Name: `Bulk Supplier ${String(i + 1).padStart(2, "0")}`,
+      })),
+    ],
+  },
+});
+
+// Records the search parameters on their way to the emulator
+const searches = [];
+const app = express();
+app.use((req, res, next) => {
+  if (req.path.endsWith("/search")) searches.push(req.query);
+  next();
+});
+app.use(emulator);
+
+let server;
+let searchVendors;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    KV_DRIVER: "memory",
+    ZOHO_TOKEN_STORE: "memory",
+    ZOHO_ACCOUNTS_URL: url,
+    ZOHO_API_URL: url,
+    ZOHO_REFRESH_TOKEN: "refresh",
+  });
+  ({ searchVendors } = require("../services/vendorSearch"));
+});
+
+after(() => server.close());
+
+const ranking = (result) =>
+  result.vendors.map((v) => [v.Vendor_Name, v.match.field, v.match.score]);
+
+test("exact names beat prefixes, words and substrings", async () => {
+  assert.deepEqual(ranking(await searchVendors("ganesh")), [
+    ["Ganesh", "name", 90],
+    ["Ganesh Electricals", "name", 80],
+    ["Sri Ganesh Traders", "name", 60],
+    ["Mahaganesh & Co", "name", 40],
+  ]);
+});
+
+test("identifiers match exactly or by prefix", async () => {
+  assert.deepEqual(ranking(await searchVendors("27aapfu0939f1zv")), [
+    ["Sri Ganesh Traders", "gstin", 100],
+  ]);
+  assert.deepEqual(ranking(await searchVendors("SGT")), [
+    ["Sri Ganesh Traders", "code", 70],
+  ]);
+  assert.deepEqual(ranking(await searchVendors("sales@ganesh.in")), [
+    ["Ganesh Electricals", "email", 100],
+  ]);
+});
+
+test("phone numbers match with or without the country code", async () => {
+  const result = await searchVendors("98200 12345");
+  assert.deepEqual(ranking(result), [
+    ["Ganesh", "phone", 100],
+    ["Sri Ganesh Traders", "phone", 100],
+  ]);
+});
+
+test("the query is escaped and only sensible conditions are sent", async () => {
+  searches.length = 0;
+  assert.deepEqual(ranking(await searchVendors("LG Electronics (India)")), [
+    ["LG Electronics (India)", "name", 90],
+  ]);
+  const { criteria } = searches.find((s) => s.criteria);
+  assert.equal(
+    criteria,
+    "(Vendor_Name:starts_with:LG Electronics \\(India\\))",
+  );
+  assert.ok(searches.some((s) => s.word === "LG Electronics (India)"));
+});
+
+test("results are paged after ranking", async () => {
+  const first = await searchVendors("bulk", { page: 1, perPage: 25 });
+  assert.equal(first.total, 30);
+  assert.equal(first.vendors.length, 25);
+  assert.equal(first.more, true);
+  assert.equal(first.truncated, false);
+  assert.equal(first.vendors[0].Vendor_Name, "Bulk Supplier 01");
+
+  const second = await searchVendors("bulk", { page: 2, perPage: 25 });
+  assert.deepEqual(
+    second.vendors.map((v) => v.Vendor_Name),
+    ["26", "27", "28", "29", "30"].map((n) => `Bulk Supplier ${n}`),
+  );
+  assert.equal(second.more, false);
+
+  // perPage is capped
+  assert.equal((await searchVendors("bulk", { perPage: 500 })).perPage, 50);
+});
+
+test("short queries don't search", async () => {
+  searches.length = 0;
+  assert.deepEqual((await searchVendors(" g ")).vendors, []);
+  assert.equal(searches.length, 0);
+});
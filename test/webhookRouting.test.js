@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  WEBHOOK_URLS: "https://default.example.com/claims",
+  VENDOR_WEBHOOK_URLS: "https://default.example.com/vendors",
+  WEBHOOK_ROUTES: JSON.stringify([
+    {
+      name: "lg-fy26",
+      match: {
+        supplier: ["LG*"],
+        schemeFrom: "2025-04-01",
+        schemeTo: "2026-03-31",
+      },
+      targets: [
+        "https://lg.example.com/claims",
+        {
+          url: "https://erp.example.com/hooks",
+          transform: {
+            pick: ["claimNumber", "supplierName", "claimAmount"],
+            rename: { claimAmount: "amount" },
+            set: { source: "elec" },
+          },
+          fileDelivery: "multipart",
+        },
+      ],
+      transform: { omit: ["items"], envelope: "claim" },
+    },
+    {
+      name: "schemes",
+      match: { claimType: "monthly_scheme" },
+      targets: ["https://schemes.example.com", "https://lg.example.com/claims"],
+    },
+  ]),
+});
+const { routeEvent, claimTypeOf } = require("../services/webhookRouting");
+const { loadWebhookRoutes } = require("../config/webhookRoutes");
+
+const claim = {
+  claimNumber: "CL-1",
+  supplierName: "LG Electronics",
+  schemeStartDate: "2025-06-01",
+  schemeEndDate: "2025-06-30",
+  claimAmount: 1200,
+  items: [{ sku: "TV-1" }],
+};
+
+test("matching rules route to their targets with transforms", () => {
+  const targets = routeEvent("claim.created", claim);
+  assert.deepEqual(
+    targets.map((t) => [t.url, t.route, t.fileDelivery]),
+    [
+      ["https://lg.example.com/claims", "lg-fy26", "url"],
+      ["https://erp.example.com/hooks", "lg-fy26", "multipart"],
+    ],
+  );
+  assert.deepEqual(targets[0].payload, {
+    event: "claim.created",
+    claim: {
+      claimNumber: "CL-1",
+      supplierName: "LG Electronics",
+      schemeStartDate: "2025-06-01",
+      schemeEndDate: "2025-06-30",
+      claimAmount: 1200,
+    },
+  });
+  assert.deepEqual(targets[1].payload, {
+    claimNumber: "CL-1",
+    supplierName: "LG Electronics",
+    amount: 1200,
+    source: "elec",
+  });
+});
+
+test("supplier wildcards are case-insensitive", () => {
+  const targets = routeEvent("claim.created", {
+    ...claim,
+    supplierName: "lg india",
+  });
+  assert.equal(targets[0].route, "lg-fy26");
+});
+
+test("claims outside the scheme window fall through", () => {
+  const targets = routeEvent("claim.created", {
+    ...claim,
+    schemeEndDate: "2026-04-30",
+  });
+  assert.deepEqual(
+    targets.map((t) => [t.url, t.route]),
+    [["https://default.example.com/claims", "default"]],
+  );
+  assert.equal(targets[0].payload.items.length, 1);
+});
+
+test("a URL two rules share is delivered once, first rule wins", () => {
+  const targets = routeEvent("claim.created", {
+    ...claim,
+    monthlySchemes: [{ name: "June" }],
+  });
+  assert.deepEqual(
+    targets.map((t) => [t.url, t.route]),
+    [
+      ["https://lg.example.com/claims", "lg-fy26"],
+      ["https://erp.example.com/hooks", "lg-fy26"],
+      ["https://schemes.example.com", "schemes"],
+    ],
+  );
+});
+
+test("other events use their default URLs", () => {
+  assert.deepEqual(
+    routeEvent("vendor.created", { id: "1" }).map((t) => t.url),
+    ["https://default.example.com/vendors"],
+  );
+  assert.deepEqual(routeEvent("claim.status_changed", claim), [
+    {
+      url: "https://default.example.com/claims",
+      payload: claim,
+      route: "default",
+      fileDelivery: "url",
+    },
+  ]);
+  assert.deepEqual(routeEvent("unknown.event", {}), []);
+});
+
+test("claimTypeOf reads the claim's contents", () => {
+  assert.equal(claimTypeOf({ claimType: "special" }), "special");
+  assert.equal(claimTypeOf({ monthlySchemes: [{}] }), "monthly_scheme");
+  assert.equal(claimTypeOf({ discountModels: [{}] }), "discount");
+  assert.equal(claimTypeOf({}), "other");
+});
+
+test("bad route config fails loudly", () => {
+  const load = (rules, env = {}) =>
+    loadWebhookRoutes({ WEBHOOK_ROUTES: JSON.stringify(rules), ...env });
+
+  assert.throws(() => loadWebhookRoutes({ WEBHOOK_ROUTES: "[" }), /valid JSON/);
+  assert.throws(() => load({}), /JSON array/);
+  assert.throws(() => load([{ name: "x", targets: [] }]), /at least one/);
+  assert.throws(
+    () => load([{ name: "x", targets: ["not a url"] }]),
+    /invalid target URL/,
+  );
+  assert.throws(
+    () =>
+      load([{ name: "x", match: { brand: "LG" }, targets: ["https://a.b"] }]),
+    /unknown match key/,
+  );
+  assert.throws(
+    () =>
+      load([
+        {
+          name: "x",
+          match: { schemeFrom: "01-04-2025" },
+          targets: ["https://a.b"],
+        },
+      ]),
+    /YYYY-MM-DD/,
+  );
+  assert.throws(
+    () =>
+      load([
+        { name: "x", targets: [{ url: "https://a.b", transform: { map: 1 } }] },
+      ]),
+    /unknown transform step/,
+  );
+  assert.throws(() => load([], { WEBHOOK_FILE_DELIVERY: "ftp" }), /one of/);
+});
@@ -0,0 +1,98 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  webhookSecretFor,
+  callbackSecretFor,
+  computeSignature,
+  signatureHeaders,
+  verifySignature,
+} = require("../services/webhookSigning");
+
+const body = JSON.stringify({ claimNumber: "CL-DB-2526-0001" });
+const now = 1750000000;
+
+afterEach(() => {
+  delete process.env.WEBHOOK_SECRETS;
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.CLAIM_CALLBACK_SECRETS;
+});
+
+test("the signature is HMAC-SHA256 over timestamp.id.body", () => {
+  const hex = crypto
+    .createHmac("sha256", "secret")
+    .update(`${now}.delivery-1.${body}`)
+    .digest("hex");
+  assert.equal(
+    computeSignature("secret", now, "delivery-1", body),
+    `v1=${hex}`,
+  );
+});
+
+test("signed headers verify", () => {
+  const headers = signatureHeaders({
+    secret: "secret",
+    deliveryId: "delivery-1",
+    body,
+    timestamp: now,
+  });
+  assert.equal(headers["X-Webhook-Id"], "delivery-1");
+  assert.equal(headers["X-Webhook-Timestamp"], String(now));
+
+  assert.deepEqual(
+    verifySignature({
+      secret: "secret",
+      body,
+      timestamp: headers["X-Webhook-Timestamp"],
+      deliveryId: headers["X-Webhook-Id"],
+      signature: headers["X-Webhook-Signature"],
+      now: now + 60,
+    }),
+    { valid: true },
+  );
+});
+
+test("without a secret the headers carry no signature", () => {
+  const headers = signatureHeaders({ secret: null, deliveryId: "d", body });
+  assert.equal(headers["X-Webhook-Signature"], undefined);
+});
+
+test("tampering, stale timestamps and missing headers fail", () => {
+  const signature = computeSignature("secret", now, "delivery-1", body);
+  const check = (overrides) =>
+    verifySignature({
+      secret: "secret",
+      body,
+      timestamp: now,
+      deliveryId: "delivery-1",
+      signature,
+      now,
+      ...overrides,
+    }).reason;
+
+  assert.equal(check({ body: `${body} ` }), "Signature mismatch");
+  assert.equal(check({ deliveryId: "delivery-2" }), "Signature mismatch");
+  assert.equal(check({ secret: "other" }), "Signature mismatch");
+  assert.equal(check({ now: now + 301 }), "Timestamp outside tolerance");
+  assert.equal(check({ timestamp: "soon" }), "Bad timestamp");
+  assert.equal(check({ signature: undefined }), "Missing signature headers");
+  assert.equal(check({ secret: "" }), "No secret");
+});
+
+test("secrets resolve per URL with a fallback", () => {
+  process.env.WEBHOOK_SECRETS = JSON.stringify({
+    "https://hooks.example.com/claims": "per-url",
+  });
+  assert.equal(webhookSecretFor("https://hooks.example.com/claims"), "per-url");
+  assert.equal(webhookSecretFor("https://other.example.com"), null);
+
+  process.env.WEBHOOK_SECRET = "fallback";
+  assert.equal(webhookSecretFor("https://other.example.com"), "fallback");
+});
+
+test("callback secrets are looked up by key name only", () => {
+  process.env.CLAIM_CALLBACK_SECRETS = JSON.stringify({ lg: "lg-secret" });
+  assert.equal(callbackSecretFor("lg"), "lg-secret");
+  assert.equal(callbackSecretFor("toString"), null);
+  assert.equal(callbackSecretFor(undefined), null);
+});
@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// Zoho accounts stand-in: counts token requests, answers a little late
+// so concurrent callers overlap
+const app = express();
+const requests = [];
+
+app.post("/oauth/v2/token", (req, res) => {
+  requests.push(req.query);
+  const n = requests.length;
+  setTimeout(
+    () =>
+      res.json({
+        access_token: `access-${n}`,
+        expires_in: 3600,
+        ...(req.query.grant_type === "authorization_code" && {
+          refresh_token: "refresh-from-consent",
+        }),
+      }),
+    30,
+  );
+});
+
+let server;
+let kv;
+const load = () => {
+  delete require.cache[require.resolve("../services/zohoAuth")];
+  return require("../services/zohoAuth");
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  Object.assign(process.env, {
+    ZOHO_ACCOUNTS_URL: `http://127.0.0.1:${server.address().port}`,
+    ZOHO_DC: "in",
+    KV_DRIVER: "memory",
+    ZOHO_REFRESH_TOKEN: "refresh-from-env",
+    AES_SECRET: "test-secret",
+  });
+  delete process.env.ZOHO_TOKEN_STORE;
+  kv = require("../services/kvStore").getKvStore();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  requests.length = 0;
+  await kv.delete("zoho:in:access-token");
+  await kv.delete("zoho:in:refresh-token");
+});
+
+test("concurrent callers share one refresh", async () => {
+  const auth = load();
+  const tokens = await Promise.all(
+    Array.from({ length: 5 }, () => auth.getZohoAccessToken()),
+  );
+  assert.equal(requests.length, 1);
+  assert.deepEqual(new Set(tokens), new Set(["access-1"]));
+  assert.equal(requests[0].refresh_token, "refresh-from-env");
+});
+
+test("a cold instance reuses the token in the shared store", async () => {
+  await load().getZohoAccessToken();
+  const cold = load();
+  assert.equal(await cold.getZohoAccessToken(), "access-1");
+  assert.equal(requests.length, 1);
+});
+
+test("an invalidated token is refreshed on the next call", async () => {
+  const auth = load();
+  const first = await auth.getZohoAccessToken();
+  await auth.invalidateZohoAccessToken(first);
+  assert.equal(await auth.getZohoAccessToken(), "access-2");
+
+  // A stale token doesn't evict the fresher one
+  await auth.invalidateZohoAccessToken(first);
+  assert.equal(await auth.getZohoAccessToken(), "access-2");
+  assert.equal(requests.length, 2);
+});
+
+test("a refresh token from consent is stored encrypted and used", async () => {
+  const auth = load();
+  await auth.exchangeZohoAuthCode("code", "http://localhost/oauth/callback");
+  const stored = await kv.get("zoho:in:refresh-token");
+  assert.ok(stored.cipher);
+  assert.ok(!stored.cipher.includes("refresh-from-consent"));
+
+  await auth.invalidateZohoAccessToken();
+  await auth.getZohoAccessToken();
+  assert.equal(requests.at(-1).refresh_token, "refresh-from-consent");
+});
+
+test("an undecryptable stored refresh token falls back to the env", async () => {
+  await kv.set("zoho:in:refresh-token", { cipher: "not-a-cipher" });
+  assert.equal(await load().getZohoAccessToken(), "access-1");
+  assert.equal(requests[0].refresh_token, "refresh-from-env");
+});
+
+test("a refresh token encrypted under a rotated AES_SECRET falls back to the env", async () => {
+  // Encrypted with another secret; decrypting it throws Malformed UTF-8
+  await kv.set("zoho:in:refresh-token", {
+    cipher: "U2FsdGVkX19mXURzJMCThc8Lr0ABvxb4DgDO0kIcM/Q=",
+  });
+  assert.equal(await load().getZohoAccessToken(), "access-1");
+  assert.equal(requests[0].refresh_token, "refresh-from-env");
+});
@@ -0,0 +1,140 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// A stand-in Zoho that answers each path from a script of responses
+const app = express();
+const calls = [];
+let script = {};
+let issued = 0;
+
+app.post("/oauth/v2/token", (req, res) => {
+  res.json({ access_token: `token-${++issued}`, expires_in: 3600 });
+});
+app.use("/crm/v2", express.json(), (req, res) => {
+  const path = req.path.slice(1);
+  calls.push({ method: req.method, path, token: req.get("authorization") });
+  const [status, body, headers = {}] = (script[path] || []).shift() || [200];
+  res.set(headers).status(status);
+  if (body === undefined) res.end();
+  else res.json(body);
+});
+
+let server;
+let client;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    ZOHO_ACCOUNTS_URL: url,
+    ZOHO_API_URL: url,
+    ZOHO_TOKEN_STORE: "memory",
+    ZOHO_REFRESH_TOKEN: "refresh",
+    ZOHO_RETRY_BASE_MS: "1",
+    ZOHO_MAX_RETRIES: "2",
+  });
+  client = require("../services/zohoClient");
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  calls.length = 0;
+  script = {};
+});
+
+test("GET retries a 503 and returns the body", async () => {
+  script.Contacts = [
+    [503, { code: "BUSY" }],
+    [200, { data: [{ id: "1" }] }],
+  ];
+  const response = await client.zoho.get("Contacts");
+  assert.deepEqual(response.data, [{ id: "1" }]);
+  assert.equal(calls.length, 2);
+});
+
+test("GET gives up after ZOHO_MAX_RETRIES", async () => {
+  script.Contacts = [[503], [503], [503], [200, { data: [] }]];
+  await assert.rejects(client.zoho.get("Contacts"), { status: 503 });
+  assert.equal(calls.length, 3);
+});
+
+test("POST is not retried on a 500", async () => {
+  script.Contacts = [
+    [500, { code: "INTERNAL_ERROR", message: "boom" }],
+    [200, { data: [] }],
+  ];
+  await assert.rejects(
+    client.zoho.post("Contacts", { data: [{}] }),
+    (error) =>
+      error instanceof client.ZohoApiError &&
+      error.status === 500 &&
+      error.code === "INTERNAL_ERROR" &&
+      error.message === "boom",
+  );
+  assert.equal(calls.length, 1);
+});
+
+test("a 429 is replayed even for POST", async () => {
+  script.Contacts = [
+    [429, { code: "TOO_MANY_REQUESTS" }, { "Retry-After": "0" }],
+    [201, { data: [{ code: "SUCCESS" }] }],
+  ];
+  const response = await client.zoho.post("Contacts", { data: [{}] });
+  assert.equal(response.data[0].code, "SUCCESS");
+  assert.equal(calls.length, 2);
+});
+
+test("record-level errors surface their code", async () => {
+  script.Contacts = [
+    [400, { data: [{ code: "DUPLICATE_DATA", message: "duplicate" }] }],
+  ];
+  await assert.rejects(client.zoho.post("Contacts", { data: [{}] }), {
+    status: 400,
+    code: "DUPLICATE_DATA",
+  });
+});
+
+test("a 401 INVALID_TOKEN refreshes the token and replays once", async () => {
+  script.Contacts = [
+    [401, { code: "INVALID_TOKEN" }],
+    [200, { data: [{ id: "2" }] }],
+  ];
+  const response = await client.zoho.get("Contacts");
+  assert.deepEqual(response.data, [{ id: "2" }]);
+  assert.notEqual(calls[0].token, calls[1].token);
+
+  script.Contacts = [
+    [401, { code: "INVALID_TOKEN" }],
+    [401, { code: "INVALID_TOKEN" }],
+  ];
+  calls.length = 0;
+  await assert.rejects(client.zoho.get("Contacts"), { status: 401 });
+  assert.equal(calls.length, 2);
+});
+
+test("204 becomes an empty result", async () => {
+  script["Contacts/search"] = [[204]];
+  assert.deepEqual(await client.zoho.get("Contacts/search"), {
+    data: [],
+    info: {},
+  });
+});
+
+test("escapeCriteria escapes criteria syntax", () => {
+  assert.equal(
+    client.escapeCriteria("ABC (P), Ltd\\"),
+    "ABC \\(P\\)\\, Ltd\\\\",
+  );
+  assert.equal(client.escapeCriteria(9876543210), "9876543210");
+});
+
+test("zohoErrorBody shapes any error", () => {
+  assert.deepEqual(client.zohoErrorBody(new Error("nope")), {
+    status: 500,
+    code: "INTERNAL_ERROR",
+    message: "nope",
+  });
+});
@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCriteria } = require("../dev/zohoEmulator");
+const { escapeCriteria } = require("../services/zohoClient");
+
+const records = [
+  { id: "1", Vendor_Name: "Sharma (Delhi), Ltd", City: "Delhi", Amount: 500 },
+  { id: "2", Vendor_Name: "Sharma Traders", City: "Pune", Amount: 1500 },
+  { id: "3", Vendor_Name: "C:\\Path Co", City: "Delhi", Amount: 50 },
+  {
+    id: "4",
+    Vendor_Name: "Mehta & Sons",
+    City: "Mumbai",
+    Owner: { id: "99", name: "Admin" },
+    Bill_Date: "2025-06-15",
+  },
+];
+
+const ids = (criteria) =>
+  records.filter(parseCriteria(criteria)).map((r) => r.id);
+
+test("escaped values match literally", () => {
+  assert.deepEqual(
+    ids(`(Vendor_Name:equals:${escapeCriteria("Sharma (Delhi), Ltd")})`),
+    ["1"],
+  );
+  assert.deepEqual(
+    ids(`(Vendor_Name:equals:${escapeCriteria("C:\\Path Co")})`),
+    ["3"],
+  );
+  assert.deepEqual(
+    ids(`(Vendor_Name:starts_with:${escapeCriteria("sharma (")})`),
+    ["1"],
+  );
+});
+
+test("in and between split on unescaped commas only", () => {
+  const names = ["Sharma (Delhi), Ltd", "Mehta & Sons"].map(escapeCriteria);
+  assert.deepEqual(ids(`(Vendor_Name:in:${names.join(",")})`), ["1", "4"]);
+  assert.deepEqual(ids("(Bill_Date:between:2025-06-01,2025-06-30)"), ["4"]);
+  assert.deepEqual(ids("(Bill_Date:between:2025-07-01,2025-07-31)"), []);
+});
+
+test("and/or groups nest", () => {
+  assert.deepEqual(ids("((City:equals:delhi)and(Amount:greater_than:100))"), [
+    "1",
+  ]);
+  assert.deepEqual(ids("((City:equals:Pune)or(City:equals:Mumbai))"), [
+    "2",
+    "4",
+  ]);
+  assert.deepEqual(
+    ids(
+      "(((City:equals:Delhi)or(City:equals:Pune))and(Amount:less_equal:500))",
+    ),
+    ["1", "3"],
+  );
+});
+
+test("lookups compare by id", () => {
+  assert.deepEqual(ids("(Owner:equals:99)"), ["4"]);
+});
+
+test("malformed criteria throw", () => {
+  assert.throws(() => parseCriteria("City:equals:Delhi"), /expected \(/);
+  assert.throws(() => parseCriteria("(City:equals:Delhi"), /unbalanced/);
+  assert.throws(() => parseCriteria("(City:equals:Delhi)x"), /trailing input/);
+  // An escaped ")" doesn't close the condition
+  assert.throws(() => parseCriteria("(City:equals:Delhi\\)"), /unbalanced/);
+  assert.throws(() => parseCriteria("(City:like:Delhi)"), /unsupported/);
+});